@@ -0,0 +1,560 @@
+// cycling-calorie-calculator/dashboard/dashboard.js
+// Single-page dashboard over the REST API: ride list, ride details and weekly/monthly totals.
+// Plain browser JavaScript drawing its charts and maps as SVG, so it needs no CDN or network.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Rides fetched per "Load more" page, periods shown on the totals page
+const RIDES_PER_PAGE = 20;
+const PERIOD_LIMIT = 12;
+
+// Kilometers per degree of latitude, for the route map's scale bar
+const KM_PER_DEGREE = 111.32;
+const SCALE_BAR_LENGTHS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200];
+
+// Same labels as the command line's ASSUMED INPUTS section
+const ASSUMPTION_LABELS = {
+    temperature: ['Temperature', '°C'],
+    windSpeed: ['Wind speed', ' m/s'],
+    windDirection: ['Wind direction', '°'],
+    humidity: ['Humidity', '%'],
+    pressure: ['Pressure', ' hPa'],
+    elevation: ['Elevation gain', ' m'],
+    averageSpeed: ['Average speed', ' km/h']
+};
+const ASSUMPTION_SOURCES = {
+    user: 'supplied',
+    default: 'default, no data available',
+    file: 'recorded in the activity file, not corrected'
+};
+
+// Incremented on every navigation, so a slow response can't overwrite a newer page
+let currentView = 0;
+
+/**
+ * Create an HTML element; on* attributes taking functions become event listeners and
+ * children are nodes or text (never parsed as HTML)
+ */
+function el(tag, attributes = {}, ...children) {
+    return build(document.createElement(tag), attributes, children);
+}
+
+/**
+ * Create an SVG element, see el()
+ */
+function svg(tag, attributes = {}, ...children) {
+    return build(document.createElementNS(SVG_NS, tag), attributes, children);
+}
+
+function build(element, attributes, children) {
+    for (const [name, value] of Object.entries(attributes)) {
+        if (typeof value === 'function') {
+            element.addEventListener(name.slice(2), value);
+        } else if (value !== null && value !== undefined) {
+            element.setAttribute(name, value);
+        }
+    }
+
+    for (const child of children.flat(Infinity)) {
+        if (child !== null && child !== undefined && child !== false) {
+            element.append(child instanceof Node ? child : String(child));
+        }
+    }
+
+    return element;
+}
+
+/**
+ * GET an API endpoint; errors carry the API's error message
+ */
+async function api(path) {
+    const response = await fetch(path);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    return body;
+}
+
+function formatNumber(value, digits = 0) {
+    if (value === null || value === undefined) {
+        return '–';
+    }
+    return Number(value).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Minutes as "1h 05m"
+ */
+function formatDuration(minutes) {
+    if (minutes === null || minutes === undefined) {
+        return '–';
+    }
+    const total = Math.round(minutes);
+    const hours = Math.floor(total / 60);
+    return hours > 0 ? `${hours}h ${String(total % 60).padStart(2, '0')}m` : `${total}m`;
+}
+
+function formatDate(value, withTime = false) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        return value || '–';
+    }
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+    return withTime
+        ? date.toLocaleString(undefined, { ...options, hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString(undefined, options);
+}
+
+/**
+ * Period start (YYYY-MM-DD, no time zone) as "Week of Aug 19, 2024" or "August 2024"
+ */
+function formatPeriod(start, period, short = false) {
+    const date = new Date(`${start}T00:00:00Z`);
+    if (period === 'month') {
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: short ? 'short' : 'long', timeZone: 'UTC' });
+    }
+    const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: short ? undefined : 'numeric', timeZone: 'UTC' });
+    return short ? day : `Week of ${day}`;
+}
+
+function rideName(ride) {
+    return ride.track_name || ride.source_filename || `Ride ${ride.id}`;
+}
+
+/**
+ * Row of summary cards from [value, label] pairs; pairs without a value are left out
+ */
+function cards(items) {
+    return el('div', { class: 'cards' }, items
+        .filter(([value]) => value !== null && value !== undefined)
+        .map(([value, label]) => el('div', { class: 'card' },
+            el('div', { class: 'value' }, value),
+            el('div', { class: 'label' }, label))));
+}
+
+/**
+ * Table from column headings and rows of cells
+ */
+function table(headings, rows) {
+    return el('table', {},
+        el('thead', {}, el('tr', {}, headings.map(heading => el('th', {}, heading)))),
+        el('tbody', {}, rows));
+}
+
+function section(title, ...content) {
+    return el('section', {}, el('h3', {}, title), content);
+}
+
+function note(text) {
+    return el('p', { class: 'note' }, text);
+}
+
+/**
+ * Replace the page content; false and null leave out optional parts
+ */
+function render(...content) {
+    document.getElementById('app').replaceChildren(...content.flat(Infinity).filter(part => part !== null && part !== undefined && part !== false));
+}
+
+/**
+ * Horizontal bars, one per breakdown factor; negative factors extend left of zero
+ */
+function breakdownChart(breakdown) {
+    const width = 640;
+    const labelWidth = 170;
+    const valueWidth = 90;
+    const rowHeight = 32;
+    const height = breakdown.length * rowHeight + 10;
+    const values = breakdown.map(item => item.calories);
+    const min = Math.min(0, ...values);
+    const max = Math.max(0, ...values);
+    const scale = (width - labelWidth - valueWidth) / ((max - min) || 1);
+    const zero = labelWidth + -min * scale;
+
+    const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Calorie breakdown' });
+
+    breakdown.forEach((item, index) => {
+        const y = index * rowHeight + 5;
+        const classes = ['bar'];
+        if (item.calories < 0) {
+            classes.push('negative');
+        }
+
+        chart.append(
+            svg('text', { x: labelWidth - 8, y: y + rowHeight / 2 + 4, 'text-anchor': 'end' }, item.factor),
+            svg('rect', {
+                class: classes.join(' '),
+                x: item.calories < 0 ? zero + item.calories * scale : zero,
+                y: y + 4,
+                width: Math.max(1, Math.abs(item.calories) * scale),
+                height: rowHeight - 8
+            }, svg('title', {}, item.description || item.factor)),
+            svg('text', { x: width - valueWidth + 8, y: y + rowHeight / 2 + 4 }, `${formatNumber(item.calories)} kcal`)
+        );
+    });
+    chart.append(svg('line', { class: 'grid', x1: zero, x2: zero, y1: 0, y2: height }));
+
+    return chart;
+}
+
+/**
+ * Elevation against distance as a filled line, with elevation gridlines
+ */
+function elevationProfile(track) {
+    const points = track.filter(point => point.elevation !== null);
+    if (points.length < 2) {
+        return note('No elevation data stored for this ride.');
+    }
+
+    const width = 640;
+    const height = 220;
+    const left = 50;
+    const right = 15;
+    const top = 10;
+    const bottom = 25;
+    const startDistance = points[0].distance;
+    const endDistance = points[points.length - 1].distance;
+    const elevations = points.map(point => point.elevation);
+    // At least 20 m of range, so flat rides don't exaggerate noise
+    const middle = (Math.min(...elevations) + Math.max(...elevations)) / 2;
+    const minElevation = Math.min(Math.min(...elevations), middle - 10);
+    const maxElevation = Math.max(Math.max(...elevations), middle + 10);
+
+    const x = distance => left + (distance - startDistance) / ((endDistance - startDistance) || 1) * (width - left - right);
+    const y = elevation => top + (maxElevation - elevation) / (maxElevation - minElevation) * (height - top - bottom);
+
+    const line = points.map((point, index) =>
+        `${index ? 'L' : 'M'}${x(point.distance).toFixed(1)},${y(point.elevation).toFixed(1)}`).join('');
+    const area = `${line}L${x(endDistance).toFixed(1)},${height - bottom}L${x(startDistance).toFixed(1)},${height - bottom}Z`;
+
+    const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Elevation profile' });
+
+    for (let i = 0; i <= 4; i++) {
+        const elevation = minElevation + (maxElevation - minElevation) * i / 4;
+        chart.append(
+            svg('line', { class: 'grid', x1: left, x2: width - right, y1: y(elevation), y2: y(elevation) }),
+            svg('text', { class: 'axis', x: left - 6, y: y(elevation) + 4, 'text-anchor': 'end' }, `${formatNumber(elevation)} m`)
+        );
+    }
+    chart.append(
+        svg('path', { class: 'profile-area', d: area }),
+        svg('path', { class: 'profile-line', d: line }),
+        svg('text', { class: 'axis', x: left, y: height - 6 }, `${formatNumber(startDistance, 1)} km`),
+        svg('text', { class: 'axis', x: width - right, y: height - 6, 'text-anchor': 'end' }, `${formatNumber(endDistance, 1)} km`)
+    );
+
+    return chart;
+}
+
+/**
+ * Route drawn on an equirectangular projection (longitude scaled by the cosine of the
+ * mean latitude), with start and finish markers and a scale bar
+ */
+function routeMap(track) {
+    const points = track.filter(point => point.latitude !== null && point.longitude !== null);
+    if (points.length < 2) {
+        return note('No route stored for this ride.');
+    }
+
+    const width = 640;
+    const height = 400;
+    const padding = 20;
+    const meanLatitude = points.reduce((sum, point) => sum + point.latitude, 0) / points.length;
+    const lonScale = Math.cos(meanLatitude * Math.PI / 180);
+    const projected = points.map(point => [point.longitude * lonScale, -point.latitude]);
+
+    const xs = projected.map(([px]) => px);
+    const ys = projected.map(([, py]) => py);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX;
+    const spanY = Math.max(...ys) - minY;
+    // Pixels per degree of latitude, the same in both directions after the projection
+    const scale = Math.min((width - 2 * padding) / (spanX || 1e-9), (height - 2 * padding) / (spanY || 1e-9));
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const position = ([px, py]) => [offsetX + (px - minX) * scale, offsetY + (py - minY) * scale];
+
+    const route = projected.map(point => position(point).map(value => value.toFixed(1)).join(',')).join(' ');
+    const [startX, startY] = position(projected[0]);
+    const [finishX, finishY] = position(projected[projected.length - 1]);
+
+    const pixelsPerKm = scale / KM_PER_DEGREE;
+    const scaleKm = [...SCALE_BAR_LENGTHS].reverse().find(length => length * pixelsPerKm <= 120) || SCALE_BAR_LENGTHS[0];
+
+    return svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Route map' },
+        svg('rect', { class: 'map-background', width, height, rx: 4 }),
+        svg('polyline', { class: 'route', points: route }),
+        svg('circle', { class: 'marker-finish', cx: finishX, cy: finishY, r: 7 }, svg('title', {}, 'Finish')),
+        svg('circle', { class: 'marker-start', cx: startX, cy: startY, r: 7 }, svg('title', {}, 'Start')),
+        svg('line', { class: 'scale-bar', x1: 12, x2: 12 + scaleKm * pixelsPerKm, y1: height - 12, y2: height - 12 }),
+        svg('text', { class: 'axis', x: 12, y: height - 18 }, `${scaleKm} km`)
+    );
+}
+
+/**
+ * Vertical bars from { label, title, value }, with value gridlines
+ */
+function columnChart(items, unit) {
+    const width = 520;
+    const height = 230;
+    const left = 55;
+    const top = 10;
+    const bottom = 30;
+    const plotHeight = height - top - bottom;
+    const max = Math.max(0, ...items.map(item => item.value || 0)) || 1;
+    const slot = (width - left) / items.length;
+    const barWidth = Math.min(40, slot * 0.7);
+    const labelEvery = Math.ceil(items.length / 8);
+
+    const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': `Totals in ${unit}` });
+
+    for (let i = 0; i <= 4; i++) {
+        const y = top + plotHeight * (1 - i / 4);
+        chart.append(
+            svg('line', { class: 'grid', x1: left, x2: width, y1: y, y2: y }),
+            svg('text', { class: 'axis', x: left - 6, y: y + 4, 'text-anchor': 'end' }, formatNumber(max * i / 4))
+        );
+    }
+
+    items.forEach((item, index) => {
+        const barHeight = (item.value || 0) / max * plotHeight;
+        const center = left + slot * (index + 0.5);
+        chart.append(svg('rect', {
+            class: 'bar',
+            x: center - barWidth / 2,
+            y: top + plotHeight - barHeight,
+            width: barWidth,
+            height: barHeight
+        }, svg('title', {}, `${item.title}: ${formatNumber(item.value, unit === 'km' ? 1 : 0)} ${unit}`)));
+        if (index % labelEvery === 0) {
+            chart.append(svg('text', { class: 'axis', x: center, y: height - 10, 'text-anchor': 'middle' }, item.label));
+        }
+    });
+
+    return chart;
+}
+
+function rideRow(ride) {
+    return el('tr', {},
+        el('td', {}, formatDate(ride.ride_date)),
+        el('td', { class: 'text' }, el('a', { href: `#/rides/${ride.id}` }, rideName(ride))),
+        el('td', {}, formatNumber(ride.distance, 1)),
+        el('td', {}, formatDuration(ride.moving_time ?? ride.duration)),
+        el('td', {}, formatNumber(ride.elevation_gain)),
+        el('td', {}, formatNumber(ride.total_calories)),
+        el('td', { class: 'text' }, ride.calorie_model || '–'));
+}
+
+/**
+ * #/: overall statistics and the ride history, newest first
+ */
+async function showRideList(view) {
+    const [statistics, page] = await Promise.all([
+        api('/api/statistics'),
+        api(`/api/rides?limit=${RIDES_PER_PAGE}`)
+    ]);
+    if (view !== currentView) {
+        return;
+    }
+
+    if (page.rides.length === 0) {
+        render(el('h2', {}, 'Rides'),
+            el('p', { class: 'message' }, 'No rides yet. Calculate one with node index.js <activity file> or upload it to POST /api/rides.'));
+        return;
+    }
+
+    const rows = el('tbody', {}, page.rides.map(rideRow));
+    let offset = page.rides.length;
+    const loadMore = el('button', {
+        onclick: async () => {
+            loadMore.disabled = true;
+            try {
+                const next = await api(`/api/rides?limit=${RIDES_PER_PAGE}&offset=${offset}`);
+                rows.append(...next.rides.map(rideRow));
+                offset += next.rides.length;
+                loadMore.hidden = next.rides.length < RIDES_PER_PAGE;
+            } catch (error) {
+                loadMore.after(el('p', { class: 'error' }, `Could not load more rides: ${error.message}`));
+            }
+            loadMore.disabled = false;
+        }
+    }, 'Load more');
+    loadMore.hidden = page.rides.length < RIDES_PER_PAGE;
+
+    render(
+        el('h2', {}, 'Rides'),
+        el('p', { class: 'subtitle' }, `${formatDate(statistics.first_ride)} – ${formatDate(statistics.last_ride)}`),
+        cards([
+            [formatNumber(statistics.total_rides), 'rides'],
+            [`${formatNumber(statistics.total_distance, 1)} km`, 'distance'],
+            [formatDuration(statistics.total_moving_time), 'moving time'],
+            [`${formatNumber(statistics.total_elevation_gain)} m`, 'elevation gain'],
+            [`${formatNumber(statistics.total_calories)} kcal`, 'calories'],
+            [formatNumber(statistics.avg_calories_per_km), 'kcal per km']
+        ]),
+        section('Ride history',
+            el('table', {},
+                el('thead', {}, el('tr', {},
+                    ['Date', 'Ride', 'Distance (km)', 'Moving time', 'Climbing (m)', 'Calories', 'Model'].map(heading => el('th', {}, heading)))),
+                rows),
+            loadMore)
+    );
+}
+
+/**
+ * #/rides/:id: one ride with its breakdown, elevation profile, route, splits and climbs
+ */
+async function showRide(view, id) {
+    const ride = await api(`/api/rides/${id}`);
+    if (view !== currentView) {
+        return;
+    }
+
+    const breakdown = ride.breakdown || [];
+    const legend = [];
+    if (breakdown.some(item => item.calories < 0)) {
+        legend.push('Red: factors that lower the total, such as a tailwind.');
+    }
+
+    const assumptions = (ride.assumed_inputs || []).filter(assumption => ASSUMPTION_LABELS[assumption.input]);
+    const splits = ride.splits || [];
+    const climbs = ride.climbs || [];
+
+    render(
+        el('p', {}, el('a', { href: '#/' }, '← All rides')),
+        el('h2', {}, rideName(ride)),
+        el('p', { class: 'subtitle' }, [
+            formatDate(ride.ride_date, true),
+            ride.source_filename,
+            ride.rider_name && `Rider: ${ride.rider_name}`,
+            ride.calorie_model && `${ride.calorie_model} model`
+        ].filter(Boolean).join(' · ')),
+        cards([
+            [`${formatNumber(ride.total_calories)} kcal`, 'calories'],
+            ride.calorie_model !== 'met' && ride.estimated_calories !== null ? [`${formatNumber(ride.estimated_calories)} kcal`, 'MET estimate, for comparison'] : [],
+            [`${formatNumber(ride.distance, 1)} km`, 'distance'],
+            [formatDuration(ride.moving_time ?? ride.duration), 'moving time'],
+            [`${formatNumber(ride.average_speed, 1)} km/h`, 'average speed'],
+            [`${formatNumber(ride.elevation_gain)} m`, 'elevation gain'],
+            [`${formatNumber(ride.calories_per_hour)} kcal`, 'per hour'],
+            ride.avg_power ? [`${formatNumber(ride.avg_power)} W`, 'average power'] : [],
+            ride.avg_heart_rate ? [`${formatNumber(ride.avg_heart_rate)} bpm`, 'average heart rate'] : [],
+            ride.temperature !== null ? [`${formatNumber(ride.temperature, 1)} °C`, 'temperature'] : [],
+            ride.wind_speed !== null ? [`${formatNumber(ride.wind_speed, 1)} m/s`, 'wind speed'] : []
+        ]),
+        section('Calorie breakdown',
+            breakdown.length > 0 ? breakdownChart(breakdown) : note('No breakdown stored for this ride.'),
+            legend.map(note)),
+        el('div', { class: 'columns' },
+            section('Elevation profile', elevationProfile(ride.track || [])),
+            section('Route', routeMap(ride.track || []))),
+        (ride.track || []).length === 0 &&
+            note('Rides saved before track storage (or with stored_track_points set to 0) have no profile or map.'),
+        assumptions.length > 0 && section('Assumed inputs',
+            table(['Input', 'Value', 'Source'], assumptions.map(assumption => {
+                const [label, unit] = ASSUMPTION_LABELS[assumption.input];
+                return el('tr', {},
+                    el('td', {}, label),
+                    el('td', {}, `${assumption.value}${unit}`),
+                    el('td', { class: 'text' }, ASSUMPTION_SOURCES[assumption.source] || assumption.source));
+            }))),
+        splits.length > 0 && section('Splits',
+            table(['Split', 'Distance (km)', 'Moving time', 'Speed (km/h)', 'Climbing (m)', 'Calories'], splits.map(split =>
+                el('tr', {},
+                    el('td', {}, split.split_number),
+                    el('td', {}, formatNumber(split.distance, 2)),
+                    el('td', {}, formatDuration(split.moving_time ?? split.duration)),
+                    el('td', {}, formatNumber(split.average_speed, 1)),
+                    el('td', {}, formatNumber(split.elevation_gain)),
+                    el('td', {}, formatNumber(split.calories)))))),
+        climbs.length > 0 && section('Climbs',
+            table(['Climb', 'Category', 'Starts at (km)', 'Length (km)', 'Gain (m)', 'Avg gradient', 'Max gradient', 'Calories'], climbs.map(climb =>
+                el('tr', {},
+                    el('td', {}, climb.climb_number),
+                    el('td', {}, climb.category),
+                    el('td', {}, formatNumber(climb.start_distance, 1)),
+                    el('td', {}, formatNumber(climb.length, 2)),
+                    el('td', {}, formatNumber(climb.elevation_gain)),
+                    el('td', {}, `${formatNumber(climb.average_gradient, 1)}%`),
+                    el('td', {}, `${formatNumber(climb.max_gradient, 1)}%`),
+                    el('td', {}, formatNumber(climb.calories))))))
+    );
+}
+
+/**
+ * #/totals/week and #/totals/month: totals of the latest periods with rides
+ */
+async function showTotals(view, period) {
+    const { totals } = await api(`/api/statistics/periods?period=${period}&limit=${PERIOD_LIMIT}`);
+    if (view !== currentView) {
+        return;
+    }
+
+    const title = period === 'week' ? 'Weekly totals' : 'Monthly totals';
+    const toggle = el('p', {}, ['week', 'month'].map(option =>
+        el('button', {
+            class: option === period ? 'active' : null,
+            onclick: () => { location.hash = `#/totals/${option}`; }
+        }, option === 'week' ? 'Weekly' : 'Monthly')));
+
+    if (totals.length === 0) {
+        render(el('h2', {}, title), toggle, el('p', { class: 'message' }, 'No dated rides yet.'));
+        return;
+    }
+
+    // Oldest first in the charts, newest first in the table
+    const chronological = [...totals].reverse();
+    const chartItems = key => chronological.map(row => ({
+        label: formatPeriod(row.period_start, period, true),
+        title: formatPeriod(row.period_start, period),
+        value: row[key]
+    }));
+
+    render(
+        el('h2', {}, title),
+        toggle,
+        el('p', { class: 'subtitle' }, `Latest ${totals.length} ${totals.length === 1 ? period : `${period}s`} with rides`),
+        el('div', { class: 'columns' },
+            section('Distance (km)', columnChart(chartItems('total_distance'), 'km')),
+            section('Calories (kcal)', columnChart(chartItems('total_calories'), 'kcal'))),
+        section(title,
+            table(['Period', 'Rides', 'Distance (km)', 'Moving time', 'Climbing (m)', 'Calories'], totals.map(row =>
+                el('tr', {},
+                    el('td', {}, formatPeriod(row.period_start, period)),
+                    el('td', {}, formatNumber(row.total_rides)),
+                    el('td', {}, formatNumber(row.total_distance, 1)),
+                    el('td', {}, formatDuration(row.total_moving_time)),
+                    el('td', {}, formatNumber(row.total_elevation_gain)),
+                    el('td', {}, formatNumber(row.total_calories)))))),
+        note('Periods without rides are left out.')
+    );
+}
+
+/**
+ * Show the page for the current location hash
+ */
+async function route() {
+    const view = ++currentView;
+    const path = location.hash.replace(/^#/, '') || '/';
+    let match;
+
+    try {
+        if ((match = path.match(/^\/rides\/(\d+)$/))) {
+            await showRide(view, match[1]);
+        } else if ((match = path.match(/^\/totals\/(week|month)$/))) {
+            await showTotals(view, match[1]);
+        } else {
+            await showRideList(view);
+        }
+        window.scrollTo(0, 0);
+    } catch (error) {
+        if (view === currentView) {
+            render(el('p', { class: 'message error' }, `Could not load this page: ${error.message}`));
+        }
+    }
+}
+
+window.addEventListener('hashchange', route);
+route();
@@ -1,6 +1,85 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const { WEATHER_PROVIDERS, weatherApiKeySetting } = require('./weather-providers');
+
+// Columns renamed in the rides table since the initial schema (old name -> new name)
+const RIDES_RENAMED_COLUMNS = {
+    gpx_filename: 'source_filename'
+};
+
+// Columns added to the rides table after the initial schema, applied to
+// existing databases by migrateRidesTable()
+const RIDES_MIGRATION_COLUMNS = {
+    rider_id: 'INTEGER REFERENCES riders (id) ON DELETE SET NULL',
+    source_format: 'TEXT',
+    avg_heart_rate: 'INTEGER',
+    max_heart_rate: 'INTEGER',
+    avg_cadence: 'INTEGER',
+    avg_power: 'INTEGER',
+    max_power: 'INTEGER',
+    normalized_power: 'INTEGER',
+    device_temperature: 'REAL',
+    calorie_model: 'TEXT',
+    estimated_calories: 'INTEGER',
+    mechanical_work_kj: 'REAL',
+    model_inputs: 'TEXT',
+    elevation_loss: 'REAL',
+    raw_elevation_gain: 'REAL',
+    raw_elevation_loss: 'REAL',
+    moving_time: 'REAL',
+    stop_count: 'INTEGER',
+    track_name: 'TEXT',
+    content_hash: 'TEXT',
+    weather_provider: 'TEXT',
+    assumed_inputs: 'TEXT'
+};
+
+// How close a ride must be to a saved ride, without identical track points, to count as
+// the same activity: start time (seconds), start position (km) and relative distance
+const DUPLICATE_TOLERANCES = {
+    startTime: 300,
+    startDistance: 0.2,
+    distance: 0.02
+};
+
+// Kilometers per degree of latitude
+const KM_PER_DEGREE = 111.32;
+
+// Locations per elevation cache query, keeping the bound parameters well below SQLite's limit
+const ELEVATION_CACHE_CHUNK = 250;
+
+// Track points inserted per statement when saving a ride
+const RIDE_TRACK_CHUNK = 250;
+
+// Columns written by saveRide(), in the order of its values
+const RIDE_COLUMNS = [
+    'source_filename', 'source_format', 'track_name', 'content_hash', 'rider_id', 'rider_weight', 'ride_date',
+    'distance', 'duration', 'moving_time', 'stop_count', 'elevation_gain', 'elevation_loss',
+    'raw_elevation_gain', 'raw_elevation_loss', 'average_speed',
+    'start_latitude', 'start_longitude',
+    'total_calories', 'base_calories', 'elevation_calories',
+    'wind_adjustment', 'environmental_adjustment', 'base_met',
+    'calories_per_km', 'calories_per_hour',
+    'calorie_model', 'estimated_calories', 'mechanical_work_kj', 'model_inputs',
+    'avg_heart_rate', 'max_heart_rate', 'avg_cadence',
+    'avg_power', 'max_power', 'normalized_power', 'device_temperature',
+    'wind_speed', 'wind_direction', 'humidity', 'temperature',
+    'pressure', 'weather_source', 'weather_provider', 'assumed_inputs',
+    'elevation_enhanced', 'has_elevation_data'
+];
+
+// Tables holding rows of a ride, rewritten when a ride is replaced in place
+const RIDE_CHILD_TABLES = ['calorie_breakdown', 'ride_splits', 'ride_climbs', 'ride_weather', 'ride_track'];
+
+// Rider fields that must be numbers above 0 when given; all but weight can be cleared with null
+const RIDER_NUMBER_FIELDS = ['weight', 'age', 'ftp', 'maxHeartRate'];
+
+// Start of the week (Monday) or month of a ride, for period totals
+const PERIOD_EXPRESSIONS = {
+    week: "date(ride_date, 'weekday 0', '-6 days')",
+    month: "strftime('%Y-%m-01', ride_date)"
+};
 
 class CyclingDatabase {
     constructor(dbPath = './cycling_data.db') {
@@ -31,10 +110,28 @@ class CyclingDatabase {
      * Create the necessary tables for storing ride data
      */
     async createTables() {
+        const createRidersTable = `
+            CREATE TABLE IF NOT EXISTS riders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                weight REAL NOT NULL,
+                age INTEGER,
+                sex TEXT,
+                ftp INTEGER,
+                max_heart_rate INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
         const createRidesTable = `
             CREATE TABLE IF NOT EXISTS rides (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
-                gpx_filename TEXT,
+                source_filename TEXT,
+                source_format TEXT,
+                track_name TEXT,
+                content_hash TEXT,
+                rider_id INTEGER REFERENCES riders (id) ON DELETE SET NULL,
                 rider_weight REAL NOT NULL,
                 ride_date TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -42,7 +139,12 @@ class CyclingDatabase {
                 -- Route data
                 distance REAL NOT NULL,
                 duration REAL,
+                moving_time REAL,
+                stop_count INTEGER,
                 elevation_gain REAL,
+                elevation_loss REAL,
+                raw_elevation_gain REAL,
+                raw_elevation_loss REAL,
                 average_speed REAL,
                 start_latitude REAL,
                 start_longitude REAL,
@@ -56,6 +158,19 @@ class CyclingDatabase {
                 base_met REAL,
                 calories_per_km INTEGER,
                 calories_per_hour INTEGER,
+                calorie_model TEXT,
+                estimated_calories INTEGER,
+                mechanical_work_kj REAL,
+                model_inputs TEXT,
+                
+                -- Sensor data (from trackpoint extensions / device records)
+                avg_heart_rate INTEGER,
+                max_heart_rate INTEGER,
+                avg_cadence INTEGER,
+                avg_power INTEGER,
+                max_power INTEGER,
+                normalized_power INTEGER,
+                device_temperature REAL,
                 
                 -- Weather data
                 wind_speed REAL,
@@ -64,9 +179,11 @@ class CyclingDatabase {
                 temperature REAL,
                 pressure REAL,
                 weather_source TEXT,
+                weather_provider TEXT,
+                assumed_inputs TEXT, -- JSON list of inputs that were defaulted or supplied by the user
                 
                 -- Metadata
-                elevation_enhanced BOOLEAN DEFAULT 0,
+                elevation_enhanced TEXT, -- elevation source used (gpxz, dem or dem-partial), NULL for file elevation
                 has_elevation_data BOOLEAN DEFAULT 0
             )
         `;
@@ -83,211 +200,1280 @@ class CyclingDatabase {
             )
         `;
 
-        const createConfigurationTable = `
-            CREATE TABLE IF NOT EXISTS configuration (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                key TEXT NOT NULL UNIQUE,
-                value TEXT NOT NULL,
-                value_type TEXT NOT NULL DEFAULT 'string',
-                description TEXT,
-                category TEXT DEFAULT 'general',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
+        const createRideSplitsTable = `
+            CREATE TABLE IF NOT EXISTS ride_splits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ride_id INTEGER NOT NULL,
+                split_number INTEGER NOT NULL,
+                distance REAL NOT NULL,
+                duration REAL,
+                moving_time REAL,
+                average_speed REAL,
+                elevation_gain REAL,
+                elevation_loss REAL,
+                calories INTEGER NOT NULL,
+                FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+            )
+        `;
+
+        const createRideClimbsTable = `
+            CREATE TABLE IF NOT EXISTS ride_climbs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ride_id INTEGER NOT NULL,
+                climb_number INTEGER NOT NULL,
+                category TEXT NOT NULL,
+                score INTEGER,
+                start_distance REAL,
+                length REAL NOT NULL,
+                elevation_gain REAL NOT NULL,
+                average_gradient REAL,
+                max_gradient REAL,
+                start_elevation REAL,
+                end_elevation REAL,
+                start_latitude REAL,
+                start_longitude REAL,
+                duration REAL,
+                calories INTEGER,
+                FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+            )
+        `;
+
+        const createRideWeatherTable = `
+            CREATE TABLE IF NOT EXISTS ride_weather (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ride_id INTEGER NOT NULL,
+                sample_number INTEGER NOT NULL,
+                distance REAL NOT NULL,
+                sample_time DATETIME,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                wind_speed REAL,
+                wind_direction REAL,
+                humidity REAL,
+                temperature REAL,
+                pressure REAL,
+                source TEXT,
+                provider TEXT,
+                FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+            )
+        `;
+
+        // Track thinned to stored_track_points points, for route maps and elevation profiles
+        const createRideTrackTable = `
+            CREATE TABLE IF NOT EXISTS ride_track (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ride_id INTEGER NOT NULL,
+                point_number INTEGER NOT NULL,
+                distance REAL NOT NULL,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                elevation REAL,
+                FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+            )
+        `;
+
+        const createConfigurationTable = `
+            CREATE TABLE IF NOT EXISTS configuration (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                key TEXT NOT NULL UNIQUE,
+                value TEXT NOT NULL,
+                value_type TEXT NOT NULL DEFAULT 'string',
+                description TEXT,
+                category TEXT DEFAULT 'general',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Weather lookups by rounded position and UTC hour; expires_at is NULL for
+        // historical conditions, which never change
+        const createWeatherCacheTable = `
+            CREATE TABLE IF NOT EXISTS weather_cache (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                hour TEXT NOT NULL,
+                provider TEXT,
+                source TEXT NOT NULL,
+                data TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at TEXT,
+                UNIQUE (latitude, longitude, hour)
+            )
+        `;
+
+        // Elevation lookups by position rounded to elevation_cache_precision decimals
+        const createElevationCacheTable = `
+            CREATE TABLE IF NOT EXISTS elevation_cache (
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                provider TEXT NOT NULL,
+                elevation REAL NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (latitude, longitude, provider)
+            )
+        `;
+
+        const createIndexes = [
+            'CREATE INDEX IF NOT EXISTS idx_rides_date ON rides (ride_date)',
+            'CREATE INDEX IF NOT EXISTS idx_rides_distance ON rides (distance)',
+            'CREATE INDEX IF NOT EXISTS idx_rides_calories ON rides (total_calories)',
+            'CREATE INDEX IF NOT EXISTS idx_rides_rider ON rides (rider_id)',
+            'CREATE INDEX IF NOT EXISTS idx_rides_hash ON rides (content_hash)',
+            'CREATE INDEX IF NOT EXISTS idx_breakdown_ride ON calorie_breakdown (ride_id)',
+            'CREATE INDEX IF NOT EXISTS idx_splits_ride ON ride_splits (ride_id)',
+            'CREATE INDEX IF NOT EXISTS idx_climbs_ride ON ride_climbs (ride_id)',
+            'CREATE INDEX IF NOT EXISTS idx_ride_weather_ride ON ride_weather (ride_id)',
+            'CREATE INDEX IF NOT EXISTS idx_ride_track_ride ON ride_track (ride_id)',
+            'CREATE INDEX IF NOT EXISTS idx_config_key ON configuration (key)',
+            'CREATE INDEX IF NOT EXISTS idx_config_category ON configuration (category)',
+            'CREATE INDEX IF NOT EXISTS idx_weather_cache_expires ON weather_cache (expires_at)'
+        ];
+
+        await new Promise((resolve, reject) => {
+            this.db.serialize(() => {
+                this.db.run('PRAGMA foreign_keys = ON');
+
+                this.db.run(createRidersTable, (err) => {
+                    if (err) {
+                        console.error('Error creating riders table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createRidesTable, (err) => {
+                    if (err) {
+                        console.error('Error creating rides table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createCalorieBreakdownTable, (err) => {
+                    if (err) {
+                        console.error('Error creating calorie_breakdown table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createRideSplitsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating ride_splits table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createRideClimbsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating ride_climbs table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createRideWeatherTable, (err) => {
+                    if (err) {
+                        console.error('Error creating ride_weather table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createRideTrackTable, (err) => {
+                    if (err) {
+                        console.error('Error creating ride_track table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createConfigurationTable, (err) => {
+                    if (err) {
+                        console.error('Error creating configuration table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createWeatherCacheTable, (err) => {
+                    if (err) {
+                        console.error('Error creating weather_cache table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run(createElevationCacheTable, (err) => {
+                    if (err) {
+                        console.error('Error creating elevation_cache table:', err.message);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                this.db.run('SELECT 1', (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+
+        // Existing databases need new columns before indexes can reference them
+        await this.migrateRidesTable();
+        await this.migrateCalorieBreakdown();
+
+        await new Promise((resolve) => {
+            this.db.serialize(() => {
+                createIndexes.forEach(indexSql => {
+                    this.db.run(indexSql, (err) => {
+                        if (err) {
+                            console.error('Error creating index:', err.message);
+                        }
+                    });
+                });
+
+                console.log('✅ Database tables created successfully');
+                this.db.run('SELECT 1', () => resolve());
+            });
+        });
+    }
+
+    /**
+     * Rename, add and convert columns changed after the initial schema in an existing rides table
+     */
+    async migrateRidesTable() {
+        const existingColumns = await new Promise((resolve, reject) => {
+            this.db.all('PRAGMA table_info(rides)', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => row.name));
+                }
+            });
+        });
+
+        for (const [oldName, newName] of Object.entries(RIDES_RENAMED_COLUMNS)) {
+            if (!existingColumns.includes(oldName) || existingColumns.includes(newName)) {
+                continue;
+            }
+
+            await new Promise((resolve, reject) => {
+                this.db.run(`ALTER TABLE rides RENAME COLUMN ${oldName} TO ${newName}`, (err) => {
+                    if (err) {
+                        console.error(`Error renaming column rides.${oldName}:`, err.message);
+                        reject(err);
+                    } else {
+                        console.log(`🔧 Renamed column rides.${oldName} to ${newName}`);
+                        existingColumns.push(newName);
+                        resolve();
+                    }
+                });
+            });
+        }
+
+        for (const [column, definition] of Object.entries(RIDES_MIGRATION_COLUMNS)) {
+            if (existingColumns.includes(column)) {
+                continue;
+            }
+
+            await new Promise((resolve, reject) => {
+                this.db.run(`ALTER TABLE rides ADD COLUMN ${column} ${definition}`, (err) => {
+                    if (err) {
+                        console.error(`Error adding column rides.${column}:`, err.message);
+                        reject(err);
+                    } else {
+                        console.log(`🔧 Added column rides.${column}`);
+                        resolve();
+                    }
+                });
+            });
+        }
+
+        // elevation_enhanced used to be a 0/1 flag; enhanced elevation always came from GPXZ
+        await new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE rides SET elevation_enhanced = CASE WHEN elevation_enhanced = 1 THEN 'gpxz' END
+                WHERE elevation_enhanced IN (0, 1)
+            `;
+            this.db.run(sql, function(err) {
+                if (err) {
+                    console.error('Error migrating rides.elevation_enhanced:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`🔧 Recorded the elevation source of ${this.changes} rides in rides.elevation_enhanced`);
+                    }
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Remove the MET comparison rows older versions saved with non-MET breakdowns: they
+     * aren't part of the ride's calories, which the factors of a breakdown add up to
+     */
+    async migrateCalorieBreakdown() {
+        await new Promise((resolve, reject) => {
+            this.db.run(`DELETE FROM calorie_breakdown WHERE factor = 'Estimated Model'`, function(err) {
+                if (err) {
+                    console.error('Error migrating calorie_breakdown:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`🔧 Removed ${this.changes} MET comparison rows from calorie_breakdown`);
+                    }
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Save a ride calculation result to the database. The ride and its breakdown, splits,
+     * climbs, weather samples and track are saved in one transaction: all or nothing.
+     * @param {Object} result - Calculation result from calculateCalorieBurn
+     * @param {string} sourceFilename - Name of the GPX/TCX/FIT file the ride came from
+     * @param {number} riderWeight - Rider weight used for the calculation
+     * @param {number} replaceRideId - Saved ride to overwrite in place, keeping its ID
+     * @returns {number} ID of the saved ride
+     */
+    async saveRide(result, sourceFilename = null, riderWeight = null, replaceRideId = null) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const run = (sql) => new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => (err ? reject(err) : resolve()));
+        });
+
+        await run('BEGIN TRANSACTION');
+        try {
+            const rideId = await this.writeRide(result, sourceFilename, riderWeight, replaceRideId);
+            await run('COMMIT');
+            return rideId;
+        } catch (error) {
+            await run('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Insert a ride with its child rows, or overwrite a saved ride and replace its child
+     * rows; runs inside the transaction of saveRide()
+     */
+    async writeRide(result, sourceFilename, riderWeight, replaceRideId) {
+        const sensors = result.gpxData.sensors || {};
+
+        const rideData = [
+            sourceFilename,
+            result.gpxData.sourceFormat || null,
+            result.gpxData.trackName || null,
+            result.gpxData.contentHash || null,
+            result.rider ? result.rider.id : null,
+            riderWeight,
+            result.gpxData.startTime ? result.gpxData.startTime.toISOString() : null,
+            result.gpxData.distance,
+            result.gpxData.duration,
+            result.gpxData.movingTime ?? null,
+            result.gpxData.stops ? result.gpxData.stops.length : null,
+            result.gpxData.elevationGain,
+            result.gpxData.elevationLoss ?? null,
+            result.gpxData.rawElevationGain ?? null,
+            result.gpxData.rawElevationLoss ?? null,
+            result.gpxData.averageSpeed,
+            result.location.lat,
+            result.location.lon,
+            result.summary.totalCalories,
+            result.summary.baseCalories,
+            result.summary.elevationCalories,
+            result.summary.windAdjustment,
+            result.summary.environmentalAdjustment,
+            result.summary.baseMET,
+            result.summary.caloriesPerKm,
+            result.summary.caloriesPerHour,
+            result.summary.model || 'met',
+            result.summary.estimatedCalories ?? null,
+            result.summary.mechanicalWork ?? null,
+            result.summary.modelInputs ? JSON.stringify(result.summary.modelInputs) : null,
+            sensors.avgHeartRate ?? null,
+            sensors.maxHeartRate ?? null,
+            sensors.avgCadence ?? null,
+            sensors.avgPower ?? null,
+            sensors.maxPower ?? null,
+            sensors.normalizedPower ?? null,
+            sensors.avgTemperature ?? null,
+            result.weatherData.windSpeed,
+            result.weatherData.windDirection,
+            result.weatherData.humidity,
+            result.weatherData.temperature,
+            result.weatherData.pressure,
+            result.weatherData.source,
+            result.weatherData.provider || null,
+            result.assumptions && result.assumptions.length > 0 ? JSON.stringify(result.assumptions) : null,
+            result.gpxData.elevationEnhanced || null,
+            result.gpxData.hasElevation ? 1 : 0
+        ];
+
+        if (replaceRideId) {
+            await this.overwriteRide(replaceRideId, rideData);
+        }
+
+        const insertRideSQL = `
+            INSERT INTO rides (${RIDE_COLUMNS.join(', ')})
+            VALUES (${rideData.map(() => '?').join(', ')})
+        `;
+
+        const rideIDPromise = replaceRideId || await new Promise((resolve, reject) => {
+            this.db.run(insertRideSQL, rideData, function(err) {
+                if (err) {
+                    console.error('Error saving ride data:', err.message);
+                    reject(err);
+                    return;
+                }
+
+                const rideId = this.lastID;
+                console.log(`💾 Ride data saved with ID: ${rideId}`);
+                resolve(rideId);
+            });
+        });
+
+        // Save calorie breakdown data
+        const insertBreakdownSQL = `
+            INSERT INTO calorie_breakdown (ride_id, factor, calories, percentage, description)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        if(rideIDPromise) {
+            const breakdownPromises = result.breakdown.map(item => {
+                return new Promise((resolveBreakdown, rejectBreakdown) => {
+                    const breakdownData = [rideIDPromise, item.factor, item.calories, item.percentage, item.description];
+                    this.db.run(insertBreakdownSQL, breakdownData, (breakdownErr) => {
+                        if (breakdownErr) {
+                            console.error('Error saving calorie breakdown:', breakdownErr.message);
+                            rejectBreakdown(breakdownErr);
+                        } else {
+                            console.log(`   - Breakdown saved: ${item.factor} (${item.calories} cal)`);
+                            resolveBreakdown();
+                        }
+                    });
+                });
+            });
+            await Promise.all(breakdownPromises);
+        }
+
+        // Save splits
+        const insertSplitSQL = `
+            INSERT INTO ride_splits (
+                ride_id, split_number, distance, duration, moving_time,
+                average_speed, elevation_gain, elevation_loss, calories
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        if (rideIDPromise && result.splits && result.splits.length > 0) {
+            await Promise.all(result.splits.map(split => new Promise((resolveSplit, rejectSplit) => {
+                const splitData = [
+                    rideIDPromise, split.split, split.distance, split.duration, split.movingTime,
+                    split.averageSpeed, split.elevationGain, split.elevationLoss, split.calories
+                ];
+                this.db.run(insertSplitSQL, splitData, (splitErr) => {
+                    if (splitErr) {
+                        console.error('Error saving ride split:', splitErr.message);
+                        rejectSplit(splitErr);
+                    } else {
+                        resolveSplit();
+                    }
+                });
+            })));
+            console.log(`   - ${result.splits.length} splits saved`);
+        }
+
+        // Save climbs
+        const insertClimbSQL = `
+            INSERT INTO ride_climbs (
+                ride_id, climb_number, category, score, start_distance, length,
+                elevation_gain, average_gradient, max_gradient, start_elevation, end_elevation,
+                start_latitude, start_longitude, duration, calories
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        if (rideIDPromise && result.climbs && result.climbs.length > 0) {
+            await Promise.all(result.climbs.map(climb => new Promise((resolveClimb, rejectClimb) => {
+                const climbData = [
+                    rideIDPromise, climb.climb, climb.category, climb.score, climb.startDistance, climb.length,
+                    climb.elevationGain, climb.averageGradient, climb.maxGradient, climb.startElevation, climb.endElevation,
+                    climb.startLocation.lat, climb.startLocation.lon, climb.duration, climb.calories
+                ];
+                this.db.run(insertClimbSQL, climbData, (climbErr) => {
+                    if (climbErr) {
+                        console.error('Error saving ride climb:', climbErr.message);
+                        rejectClimb(climbErr);
+                    } else {
+                        resolveClimb();
+                    }
+                });
+            })));
+            console.log(`   - ${result.climbs.length} climbs saved`);
+        }
+
+        // Save the weather sampled along the route
+        const insertWeatherSQL = `
+            INSERT INTO ride_weather (
+                ride_id, sample_number, distance, sample_time, latitude, longitude,
+                wind_speed, wind_direction, humidity, temperature, pressure, source, provider
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const weatherSamples = result.weatherData.samples || [];
+        if (rideIDPromise && weatherSamples.length > 0) {
+            await Promise.all(weatherSamples.map((sample, index) => new Promise((resolveSample, rejectSample) => {
+                const sampleData = [
+                    rideIDPromise, index + 1, sample.distance, sample.time ? sample.time.toISOString() : null,
+                    sample.lat, sample.lon, sample.windSpeed, sample.windDirection, sample.humidity,
+                    sample.temperature, sample.pressure, sample.source, sample.provider
+                ];
+                this.db.run(insertWeatherSQL, sampleData, (sampleErr) => {
+                    if (sampleErr) {
+                        console.error('Error saving weather sample:', sampleErr.message);
+                        rejectSample(sampleErr);
+                    } else {
+                        resolveSample();
+                    }
+                });
+            })));
+            console.log(`   - ${weatherSamples.length} weather samples saved`);
+        }
+
+        // Save the thinned track
+        const track = result.track || [];
+        if (rideIDPromise && track.length > 0) {
+            for (let i = 0; i < track.length; i += RIDE_TRACK_CHUNK) {
+                const chunk = track.slice(i, i + RIDE_TRACK_CHUNK);
+                const insertTrackSQL = `
+                    INSERT INTO ride_track (ride_id, point_number, distance, latitude, longitude, elevation)
+                    VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+                `;
+                const trackData = chunk.flatMap((point, index) => [
+                    rideIDPromise, i + index + 1, point.distance, point.lat, point.lon, point.ele ?? null
+                ]);
+
+                await new Promise((resolveTrack, rejectTrack) => {
+                    this.db.run(insertTrackSQL, trackData, (trackErr) => {
+                        if (trackErr) {
+                            console.error('Error saving ride track:', trackErr.message);
+                            rejectTrack(trackErr);
+                        } else {
+                            resolveTrack();
+                        }
+                    });
+                });
+            }
+            console.log(`   - ${track.length} track points saved`);
+        }
+        
+        return rideIDPromise;   
+    }
+
+    /**
+     * Overwrite the columns of a saved ride and delete its child rows, which writeRide()
+     * then saves again
+     */
+    async overwriteRide(rideId, rideData) {
+        const updateRideSQL = `
+            UPDATE rides SET ${RIDE_COLUMNS.map(column => `${column} = ?`).join(', ')}
+            WHERE id = ?
+        `;
+
+        await new Promise((resolve, reject) => {
+            this.db.run(updateRideSQL, [...rideData, rideId], function(err) {
+                if (err) {
+                    console.error('Error updating ride data:', err.message);
+                    reject(err);
+                } else if (this.changes === 0) {
+                    reject(new Error(`Ride not found: ${rideId}`));
+                } else {
+                    console.log(`💾 Ride data updated for ID: ${rideId}`);
+                    resolve();
+                }
+            });
+        });
+
+        for (const table of RIDE_CHILD_TABLES) {
+            await new Promise((resolve, reject) => {
+                this.db.run(`DELETE FROM ${table} WHERE ride_id = ?`, [rideId], (err) => {
+                    if (err) {
+                        console.error(`Error clearing ${table} of ride ${rideId}:`, err.message);
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Find a saved ride that is the same activity as a calculation result: identical
+     * track points (content hash), or a start time, start position and distance within
+     * DUPLICATE_TOLERANCES
+     * @param {Object} result - Calculation result from calculateCalorieBurn
+     * @returns {Object|null} The matching ride row with a `match` description, or null
+     */
+    async findDuplicateRide(result) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const get = (sql, params) => new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+
+        const { contentHash, startTime, distance } = result.gpxData;
+
+        if (contentHash) {
+            const row = await get('SELECT * FROM rides WHERE content_hash = ? ORDER BY id LIMIT 1', [contentHash]);
+            if (row) {
+                return { ...row, match: 'content hash' };
+            }
+        }
+
+        // Without a start time (planned routes) only identical content counts as a duplicate
+        if (!startTime || !result.location) {
+            return null;
+        }
+
+        const { lat, lon } = result.location;
+        const latTolerance = DUPLICATE_TOLERANCES.startDistance / KM_PER_DEGREE;
+        const lonTolerance = latTolerance / Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+        const timeTolerance = DUPLICATE_TOLERANCES.startTime * 1000;
+
+        const sql = `
+            SELECT * FROM rides
+            WHERE ride_date BETWEEN ? AND ?
+              AND ABS(start_latitude - ?) <= ?
+              AND ABS(start_longitude - ?) <= ?
+              AND ABS(distance - ?) <= ?
+            ORDER BY id
+            LIMIT 1
+        `;
+        const row = await get(sql, [
+            new Date(startTime.getTime() - timeTolerance).toISOString(),
+            new Date(startTime.getTime() + timeTolerance).toISOString(),
+            lat, latTolerance,
+            lon, lonTolerance,
+            distance, distance * DUPLICATE_TOLERANCES.distance
+        ]);
+
+        return row ? { ...row, match: 'start time, location and distance' } : null;
+    }
+
+    /**
+     * Delete a ride together with its breakdown, splits, climbs, weather samples and track
+     */
+    async deleteRide(rideId) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM rides WHERE id = ?', [rideId], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(`🗑️  Ride deleted: ${rideId}`);
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get all rides from the database
+     */
+    async getAllRides(limit = null, offset = 0) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        let sql = `
+            SELECT rides.*, riders.name AS rider_name FROM rides 
+            LEFT JOIN riders ON riders.id = rides.rider_id
+            ORDER BY rides.created_at DESC
+        `;
+        
+        const params = [];
+        if (limit) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push(limit, offset);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a single ride with its rider's name
+     * @returns {Object|null} The ride, or null when there is no ride with this ID
+     */
+    async getRide(rideId) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT rides.*, riders.name AS rider_name FROM rides
+            LEFT JOIN riders ON riders.id = rides.rider_id
+            WHERE rides.id = ?
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, [rideId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get rides within a date range, newest first; offset pages through them with limit
+     */
+    async getRidesByDateRange(startDate, endDate, limit = null, offset = 0) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        let sql = `
+            SELECT * FROM rides 
+            WHERE ride_date >= ? AND ride_date <= ?
+            ORDER BY ride_date DESC, id DESC
+        `;
+        
+        const params = [startDate.toISOString(), endDate.toISOString()];
+        
+        if (limit) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push(limit, offset);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get ride statistics
+     */
+    async getRideStatistics() {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT 
+                COUNT(*) as total_rides,
+                SUM(distance) as total_distance,
+                SUM(duration) as total_duration,
+                SUM(COALESCE(moving_time, duration)) as total_moving_time,
+                SUM(elevation_gain) as total_elevation_gain,
+                SUM(total_calories) as total_calories,
+                AVG(average_speed) as avg_speed,
+                AVG(total_calories / distance) as avg_calories_per_km,
+                MIN(ride_date) as first_ride,
+                MAX(ride_date) as last_ride
+            FROM rides
+            WHERE distance > 0
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, [], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get calorie breakdown for a specific ride
+     */
+    async getRideBreakdown(rideId) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT * FROM calorie_breakdown 
+            WHERE ride_id = ? 
+            ORDER BY calories DESC
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, [rideId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the splits of a specific ride in ride order
+     */
+    async getRideSplits(rideId) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT * FROM ride_splits 
+            WHERE ride_id = ? 
+            ORDER BY split_number
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, [rideId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the climbs of a specific ride in ride order
+     */
+    async getRideClimbs(rideId) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT * FROM ride_climbs 
+            WHERE ride_id = ? 
+            ORDER BY climb_number
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, [rideId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the weather sampled along a specific ride in route order
+     */
+    async getRideWeather(rideId) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT * FROM ride_weather 
+            WHERE ride_id = ? 
+            ORDER BY sample_number
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, [rideId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the stored track of a specific ride in route order
+     */
+    async getRideTrack(rideId) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT point_number, distance, latitude, longitude, elevation FROM ride_track
+            WHERE ride_id = ?
+            ORDER BY point_number
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, [rideId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get ride totals per week (starting Monday) or month, newest first; rides without
+     * a date are left out
+     * @param {string} period - week or month
+     * @param {number} limit - Number of periods
+     */
+    async getPeriodTotals(period = 'week', limit = 12) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const periodExpression = PERIOD_EXPRESSIONS[period];
+        if (!periodExpression) {
+            throw new Error(`Unknown period: ${period}. Use ${Object.keys(PERIOD_EXPRESSIONS).join(' or ')}`);
+        }
+
+        const sql = `
+            SELECT
+                ${periodExpression} AS period_start,
+                COUNT(*) AS total_rides,
+                SUM(distance) AS total_distance,
+                SUM(COALESCE(moving_time, duration)) AS total_moving_time,
+                SUM(elevation_gain) AS total_elevation_gain,
+                SUM(total_calories) AS total_calories
+            FROM rides
+            WHERE ride_date IS NOT NULL
+            GROUP BY period_start
+            ORDER BY period_start DESC
+            LIMIT ?
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, [limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Export data to JSON
+     */
+    async exportToJSON(outputPath = './cycling_data_export.json') {
+        const rides = await this.getAllRides();
+        const stats = await this.getRideStatistics();
+        
+        const exportData = {
+            exportDate: new Date().toISOString(),
+            statistics: stats,
+            rides: rides
+        };
+
+        // Add breakdown, split, climb, weather sample and track data for each ride
+        for (let ride of exportData.rides) {
+            ride.breakdown = await this.getRideBreakdown(ride.id);
+            ride.splits = await this.getRideSplits(ride.id);
+            ride.climbs = await this.getRideClimbs(ride.id);
+            ride.weather = await this.getRideWeather(ride.id);
+            ride.track = await this.getRideTrack(ride.id);
+        }
+
+        await fs.writeFile(outputPath, JSON.stringify(exportData, null, 2));
+        console.log(`📊 Data exported to: ${outputPath}`);
+        return outputPath;
+    }
+
+    /**
+     * Add a rider profile
+     */
+    async addRider(rider) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        if (!rider.name || !(rider.weight > 0)) {
+            throw new Error('Rider name and a positive weight are required');
+        }
+        this.validateRiderNumbers(rider);
+
+        const sql = `
+            INSERT INTO riders (name, weight, age, sex, ftp, max_heart_rate)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+
+        const riderData = [
+            rider.name,
+            rider.weight,
+            rider.age || null,
+            rider.sex || null,
+            rider.ftp || null,
+            rider.maxHeartRate || null
+        ];
+
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, riderData, function(err) {
+                if (err) {
+                    console.error('Error adding rider:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`👤 Rider saved with ID: ${this.lastID}`);
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    /**
+     * Reject rider weight, age, FTP or maximum heart rate values that aren't numbers above 0,
+     * which would give zero or NaN calories
+     */
+    validateRiderNumbers(rider) {
+        for (const field of RIDER_NUMBER_FIELDS) {
+            const value = rider[field];
+            if (value !== undefined && value !== null && !(Number.isFinite(value) && value > 0)) {
+                throw new Error(`Invalid rider ${field}: ${value}. Use a number above 0`);
+            }
+        }
+    }
+
+    /**
+     * Get a rider by numeric ID or by name
+     */
+    async getRider(idOrName) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const byId = /^\d+$/.test(String(idOrName));
+        const sql = `SELECT * FROM riders WHERE ${byId ? 'id' : 'name'} = ?`;
+
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, [byId ? Number(idOrName) : idOrName], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get all rider profiles
+     */
+    async getAllRiders() {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT riders.*, COUNT(rides.id) AS ride_count
+            FROM riders
+            LEFT JOIN rides ON rides.rider_id = riders.id
+            GROUP BY riders.id
+            ORDER BY riders.name
         `;
 
-        const createIndexes = [
-            'CREATE INDEX IF NOT EXISTS idx_rides_date ON rides (ride_date)',
-            'CREATE INDEX IF NOT EXISTS idx_rides_distance ON rides (distance)',
-            'CREATE INDEX IF NOT EXISTS idx_rides_calories ON rides (total_calories)',
-            'CREATE INDEX IF NOT EXISTS idx_breakdown_ride ON calorie_breakdown (ride_id)',
-            'CREATE INDEX IF NOT EXISTS idx_config_key ON configuration (key)',
-            'CREATE INDEX IF NOT EXISTS idx_config_category ON configuration (category)'
-        ];
-
         return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                this.db.run(createRidesTable, (err) => {
-                    if (err) {
-                        console.error('Error creating rides table:', err.message);
-                        reject(err);
-                        return;
-                    }
-                });
+            this.db.all(sql, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
 
-                this.db.run(createCalorieBreakdownTable, (err) => {
-                    if (err) {
-                        console.error('Error creating calorie_breakdown table:', err.message);
-                        reject(err);
-                        return;
-                    }
-                });
+    /**
+     * Update fields of an existing rider profile
+     */
+    async updateRider(idOrName, updates = {}) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
 
-                this.db.run(createConfigurationTable, (err) => {
-                    if (err) {
-                        console.error('Error creating configuration table:', err.message);
-                        reject(err);
-                        return;
-                    }
-                });
+        if (updates.name !== undefined && !updates.name) {
+            throw new Error('Rider name must not be empty');
+        }
+        if (updates.weight === null) {
+            throw new Error('Rider weight is required');
+        }
+        this.validateRiderNumbers(updates);
 
-                // Create indexes
-                createIndexes.forEach(indexSql => {
-                    this.db.run(indexSql, (err) => {
-                        if (err) {
-                            console.error('Error creating index:', err.message);
-                        }
-                    });
-                });
+        const rider = await this.getRider(idOrName);
+        if (!rider) {
+            throw new Error(`Rider not found: ${idOrName}`);
+        }
 
-                console.log('✅ Database tables created successfully');
-                resolve();
+        const columns = {
+            name: 'name',
+            weight: 'weight',
+            age: 'age',
+            sex: 'sex',
+            ftp: 'ftp',
+            maxHeartRate: 'max_heart_rate'
+        };
+
+        const fields = Object.keys(columns).filter(field => updates[field] !== undefined);
+        if (fields.length === 0) {
+            throw new Error('No rider fields to update');
+        }
+
+        const sql = `
+            UPDATE riders
+            SET ${fields.map(field => `${columns[field]} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        const params = [...fields.map(field => updates[field]), rider.id];
+
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error updating rider:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`👤 Rider updated: ${rider.name}`);
+                    resolve(this.changes > 0);
+                }
             });
         });
     }
 
     /**
-     * Save a ride calculation result to the database
+     * Delete a rider profile; their rides are kept but unlinked
      */
-    async saveRide(result, gpxFilename = null, riderWeight = null) {
+    async deleteRider(idOrName) {
         if (!this.db) {
             throw new Error('Database not initialized. Call initialize() first.');
         }
 
-        const insertRideSQL = `
-            INSERT INTO rides (
-                gpx_filename, rider_weight, ride_date,
-                distance, duration, elevation_gain, average_speed,
-                start_latitude, start_longitude,
-                total_calories, base_calories, elevation_calories,
-                wind_adjustment, environmental_adjustment, base_met,
-                calories_per_km, calories_per_hour,
-                wind_speed, wind_direction, humidity, temperature,
-                pressure, weather_source,
-                elevation_enhanced, has_elevation_data
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const rideData = [
-            gpxFilename,
-            riderWeight,
-            result.gpxData.startTime ? result.gpxData.startTime.toISOString() : null,
-            result.gpxData.distance,
-            result.gpxData.duration,
-            result.gpxData.elevationGain,
-            result.gpxData.averageSpeed,
-            result.location.lat,
-            result.location.lon,
-            result.summary.totalCalories,
-            result.summary.baseCalories,
-            result.summary.elevationCalories,
-            result.summary.windAdjustment,
-            result.summary.environmentalAdjustment,
-            result.summary.baseMET,
-            result.summary.caloriesPerKm,
-            result.summary.caloriesPerHour,
-            result.weatherData.windSpeed,
-            result.weatherData.windDirection,
-            result.weatherData.humidity,
-            result.weatherData.temperature,
-            result.weatherData.pressure,
-            result.weatherData.source,
-            result.gpxData.elevationEnhanced ? 1 : 0,
-            result.gpxData.hasElevation ? 1 : 0
-        ];
+        const rider = await this.getRider(idOrName);
+        if (!rider) {
+            return false;
+        }
 
-        const rideIDPromise = await new Promise((resolve, reject) => {
-            this.db.run(insertRideSQL, rideData, function(err) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM riders WHERE id = ?', [rider.id], function(err) {
                 if (err) {
-                    console.error('Error saving ride data:', err.message);
                     reject(err);
-                    return;
+                } else {
+                    console.log(`👤 Rider deleted: ${rider.name}`);
+                    resolve(this.changes > 0);
                 }
-
-                const rideId = this.lastID;
-                console.log(`💾 Ride data saved with ID: ${rideId}`);
-                resolve(rideId);
             });
         });
+    }
 
-        // Save calorie breakdown data
-        const insertBreakdownSQL = `
-            INSERT INTO calorie_breakdown (ride_id, factor, calories, percentage, description)
-            VALUES (?, ?, ?, ?, ?)
+    /**
+     * Get cached weather for a rounded position and hour, ignoring expired entries
+     * unless includeExpired is set (offline mode prefers stale observations to defaults)
+     * @returns {Object|null} The weather data as stored by setCachedWeather()
+     */
+    async getCachedWeather(latitude, longitude, hour, { includeExpired = false } = {}) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        const sql = `
+            SELECT data FROM weather_cache
+            WHERE latitude = ? AND longitude = ? AND hour = ?
+              AND (expires_at IS NULL OR expires_at > ? OR ?)
         `;
-        if(rideIDPromise) {
-            const breakdownPromises = result.breakdown.map(item => {
-                return new Promise((resolveBreakdown, rejectBreakdown) => {
-                    const breakdownData = [rideIDPromise, item.factor, item.calories, item.percentage, item.description];
-                    this.db.run(insertBreakdownSQL, breakdownData, (breakdownErr) => {
-                        if (breakdownErr) {
-                            console.error('Error saving calorie breakdown:', breakdownErr.message);
-                            rejectBreakdown(breakdownErr);
-                        } else {
-                            console.log(`   - Breakdown saved: ${item.factor} (${item.calories} cal)`);
-                            resolveBreakdown();
-                        }
-                    });
-                });
+
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, [latitude, longitude, hour, new Date().toISOString(), includeExpired ? 1 : 0], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? JSON.parse(row.data) : null);
+                }
             });
-        }
-        
-        return rideIDPromise;   
+        });
     }
 
     /**
-     * Get all rides from the database
+     * Store weather for a rounded position and hour, replacing any earlier entry
+     * @param {Date|null} expiresAt - When the entry goes stale, or null to keep it permanently
      */
-    async getAllRides(limit = null, offset = 0) {
+    async setCachedWeather(latitude, longitude, hour, weather, expiresAt = null) {
         if (!this.db) {
             throw new Error('Database not initialized. Call initialize() first.');
         }
 
-        let sql = `
-            SELECT * FROM rides 
-            ORDER BY created_at DESC
+        const sql = `
+            INSERT OR REPLACE INTO weather_cache 
+            (latitude, longitude, hour, provider, source, data, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
         `;
-        
-        const params = [];
-        if (limit) {
-            sql += ' LIMIT ? OFFSET ?';
-            params.push(limit, offset);
-        }
+
+        const params = [
+            latitude,
+            longitude,
+            hour,
+            weather.provider || null,
+            weather.source,
+            JSON.stringify(weather),
+            expiresAt ? expiresAt.toISOString() : null
+        ];
 
         return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
+            this.db.run(sql, params, (err) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows);
+                    resolve();
                 }
             });
         });
     }
 
     /**
-     * Get rides within a date range
+     * Get the most recently stored weather cache entries
      */
-    async getRidesByDateRange(startDate, endDate, limit = null) {
+    async getWeatherCacheEntries(limit = 20) {
         if (!this.db) {
             throw new Error('Database not initialized. Call initialize() first.');
         }
 
-        let sql = `
-            SELECT * FROM rides 
-            WHERE ride_date >= ? AND ride_date <= ?
-            ORDER BY ride_date DESC
+        const sql = `
+            SELECT * FROM weather_cache
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
         `;
-        
-        const params = [startDate.toISOString(), endDate.toISOString()];
-        
-        if (limit) {
-            sql += ' LIMIT ?';
-            params.push(limit);
-        }
 
         return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
+            this.db.all(sql, [limit], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -298,30 +1484,27 @@ class CyclingDatabase {
     }
 
     /**
-     * Get ride statistics
+     * Count permanent, active and expired weather cache entries
      */
-    async getRideStatistics() {
+    async getWeatherCacheStats() {
         if (!this.db) {
             throw new Error('Database not initialized. Call initialize() first.');
         }
 
         const sql = `
             SELECT 
-                COUNT(*) as total_rides,
-                SUM(distance) as total_distance,
-                SUM(duration) as total_duration,
-                SUM(elevation_gain) as total_elevation_gain,
-                SUM(total_calories) as total_calories,
-                AVG(average_speed) as avg_speed,
-                AVG(total_calories / distance) as avg_calories_per_km,
-                MIN(ride_date) as first_ride,
-                MAX(ride_date) as last_ride
-            FROM rides
-            WHERE distance > 0
+                COUNT(*) as total_entries,
+                SUM(CASE WHEN expires_at IS NULL THEN 1 ELSE 0 END) as permanent_entries,
+                SUM(CASE WHEN expires_at > ? THEN 1 ELSE 0 END) as active_entries,
+                SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) as expired_entries,
+                MIN(created_at) as oldest_entry,
+                MAX(created_at) as newest_entry
+            FROM weather_cache
         `;
+        const now = new Date().toISOString();
 
         return new Promise((resolve, reject) => {
-            this.db.get(sql, [], (err, row) => {
+            this.db.get(sql, [now, now], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -332,51 +1515,94 @@ class CyclingDatabase {
     }
 
     /**
-     * Get calorie breakdown for a specific ride
+     * Delete expired weather cache entries, or every entry when all is set
+     * @returns {number} Number of deleted entries
      */
-    async getRideBreakdown(rideId) {
+    async purgeWeatherCache({ all = false } = {}) {
         if (!this.db) {
             throw new Error('Database not initialized. Call initialize() first.');
         }
 
-        const sql = `
-            SELECT * FROM calorie_breakdown 
-            WHERE ride_id = ? 
-            ORDER BY calories DESC
-        `;
+        const sql = all
+            ? 'DELETE FROM weather_cache'
+            : 'DELETE FROM weather_cache WHERE expires_at IS NOT NULL AND expires_at <= ?';
 
         return new Promise((resolve, reject) => {
-            this.db.all(sql, [rideId], (err, rows) => {
+            this.db.run(sql, all ? [] : [new Date().toISOString()], function(err) {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows);
+                    resolve(this.changes);
                 }
             });
         });
     }
 
     /**
-     * Export data to JSON
+     * Get cached elevations for rounded positions
+     * @param {Array} locations - [{ latitude, longitude }] rounded the same way they were stored
+     * @param {string} provider - Elevation provider the values came from
+     * @returns {Map} "latitude,longitude" -> elevation in meters, for the cached locations only
      */
-    async exportToJSON(outputPath = './cycling_data_export.json') {
-        const rides = await this.getAllRides();
-        const stats = await this.getRideStatistics();
-        
-        const exportData = {
-            exportDate: new Date().toISOString(),
-            statistics: stats,
-            rides: rides
-        };
+    async getCachedElevations(locations, provider) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
 
-        // Add breakdown data for each ride
-        for (let ride of exportData.rides) {
-            ride.breakdown = await this.getRideBreakdown(ride.id);
+        const elevations = new Map();
+
+        for (let i = 0; i < locations.length; i += ELEVATION_CACHE_CHUNK) {
+            const chunk = locations.slice(i, i + ELEVATION_CACHE_CHUNK);
+            const sql = `
+                SELECT latitude, longitude, elevation FROM elevation_cache
+                WHERE provider = ? AND (latitude, longitude) IN (VALUES ${chunk.map(() => '(?, ?)').join(', ')})
+            `;
+            const params = [provider, ...chunk.flatMap(location => [location.latitude, location.longitude])];
+
+            const rows = await new Promise((resolve, reject) => {
+                this.db.all(sql, params, (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                });
+            });
+
+            rows.forEach(row => elevations.set(`${row.latitude},${row.longitude}`, row.elevation));
         }
 
-        await fs.writeFile(outputPath, JSON.stringify(exportData, null, 2));
-        console.log(`📊 Data exported to: ${outputPath}`);
-        return outputPath;
+        return elevations;
+    }
+
+    /**
+     * Store elevations for rounded positions, replacing earlier values
+     * @param {Array} entries - [{ latitude, longitude, elevation }]
+     * @param {string} provider - Elevation provider the values came from
+     */
+    async setCachedElevations(entries, provider) {
+        if (!this.db) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        for (let i = 0; i < entries.length; i += ELEVATION_CACHE_CHUNK) {
+            const chunk = entries.slice(i, i + ELEVATION_CACHE_CHUNK);
+            const sql = `
+                INSERT OR REPLACE INTO elevation_cache (latitude, longitude, provider, elevation)
+                VALUES ${chunk.map(() => '(?, ?, ?, ?)').join(', ')}
+            `;
+            const params = chunk.flatMap(entry => [entry.latitude, entry.longitude, provider, entry.elevation]);
+
+            await new Promise((resolve, reject) => {
+                this.db.run(sql, params, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        }
     }
 
     /**
@@ -544,9 +1770,46 @@ class CyclingDatabase {
             { key: 'weather_api_key', value: '', valueType: 'string', description: 'Weather API key (OpenWeatherMap or similar)', category: 'api' },
             { key: 'weather_api_timeout', value: 5000, valueType: 'number', description: 'Weather API timeout in milliseconds', category: 'api' },
             { key: 'weather_api_base_url', value: 'https://api.openweathermap.org/data/2.5', valueType: 'string', description: 'Weather API base URL', category: 'api' },
+            { key: 'elevation_api_timeout', value: 10000, valueType: 'number', description: 'Elevation API (GPXZ) timeout in milliseconds', category: 'api' },
+            { key: 'http_max_retries', value: 3, valueType: 'number', description: 'Retries of API requests failing with HTTP 429, 5xx or a network error', category: 'api' },
+            { key: 'http_retry_delay', value: 500, valueType: 'number', description: 'Delay in milliseconds before the first retry, doubled on every further retry', category: 'api' },
+            { key: 'http_rate_limits', value: 'gpxz:1,openweathermap:1,weatherapi:2,accuweather:1,visualcrossing:1', valueType: 'string', description: 'Requests per second allowed for each API provider (provider:rate, comma separated)', category: 'api' },
+            { key: 'offline_mode', value: false, valueType: 'boolean', description: 'Never call elevation or weather APIs; use cached, local and supplied data only', category: 'api' },
+            { key: 'weather_provider', value: 'openweathermap', valueType: 'string', description: 'Weather provider: openweathermap, weatherapi, accuweather or visualcrossing', category: 'api' },
+            { key: 'weather_fallback_providers', value: '', valueType: 'string', description: 'Weather providers tried in order when the active one fails (comma separated)', category: 'api' },
+            { key: 'weather_cache_precision', value: 2, valueType: 'number', description: 'Decimal places of latitude and longitude in weather cache keys', category: 'api' },
+            { key: 'weather_cache_ttl', value: 60, valueType: 'number', description: 'Minutes cached current weather stays valid (historical weather is kept permanently)', category: 'api' },
+            { key: 'weather_sample_distance', value: 25, valueType: 'number', description: 'Distance in km between weather samples along the route', category: 'api' },
+            { key: 'weather_sample_interval', value: 60, valueType: 'number', description: 'Minutes between weather samples along the route', category: 'api' },
+            { key: 'weather_max_samples', value: 12, valueType: 'number', description: 'Most weather samples fetched for one ride', category: 'api' },
             { key: 'enable_elevation_enhancement', value: true, valueType: 'boolean', description: 'Enable elevation data enhancement', category: 'processing' },
+            { key: 'elevation_provider', value: 'gpxz', valueType: 'string', description: 'Elevation source: gpxz (online API), dem (local SRTM/GeoTIFF tiles) or none', category: 'processing' },
+            { key: 'elevation_sample_distance', value: 30, valueType: 'number', description: 'Distance in meters between elevation samples along the route (bends are always sampled)', category: 'processing' },
+            { key: 'elevation_cache_precision', value: 4, valueType: 'number', description: 'Decimal places of latitude and longitude in elevation cache keys', category: 'processing' },
+            { key: 'dem_directory', value: './dem', valueType: 'string', description: 'Directory with SRTM .hgt or GeoTIFF elevation tiles for the dem provider', category: 'processing' },
             { key: 'default_wind_resistance', value: 0.9, valueType: 'number', description: 'Default wind resistance coefficient', category: 'physics' },
+            { key: 'cda', value: 0.32, valueType: 'number', description: 'Rider drag area CdA in m² for the physics model', category: 'physics' },
+            { key: 'rolling_resistance', value: 0.005, valueType: 'number', description: 'Tyre rolling resistance coefficient Crr for the physics model', category: 'physics' },
+            { key: 'bike_weight', value: 9, valueType: 'number', description: 'Bike and equipment weight in kg for the physics model', category: 'physics' },
+            { key: 'elevation_filter', value: 'moving_average,hysteresis', valueType: 'string', description: 'Elevation smoothing pipeline: moving_average, kalman, hysteresis (comma separated) or none', category: 'processing' },
+            { key: 'elevation_smoothing_window', value: 5, valueType: 'number', description: 'Moving average window in points for elevation smoothing', category: 'processing' },
+            { key: 'elevation_hysteresis', value: 3, valueType: 'number', description: 'Minimum elevation change in meters counted as gain or loss', category: 'processing' },
+            { key: 'elevation_kalman_noise', value: 9, valueType: 'number', description: 'Elevation measurement variance in m² for the Kalman filter', category: 'processing' },
+            { key: 'auto_pause_speed', value: 3, valueType: 'number', description: 'Speed in km/h below which the rider counts as stopped', category: 'processing' },
+            { key: 'auto_pause_gap', value: 60, valueType: 'number', description: 'Recording gap in seconds treated as a pause', category: 'processing' },
+            { key: 'auto_pause_min_stop', value: 10, valueType: 'number', description: 'Shortest stop in seconds subtracted from moving time', category: 'processing' },
+            { key: 'gpx_track_mode', value: 'merge', valueType: 'string', description: 'GPX files with several tracks: merge into one ride or save separate rides', category: 'processing' },
+            { key: 'assumed_speed', value: 20, valueType: 'number', description: 'Speed in km/h assumed for routes and tracks without timestamps', category: 'processing' },
+            { key: 'split_interval', value: '1km', valueType: 'string', description: 'Split interval: 1km, 5km, mile, lap or none', category: 'processing' },
+            { key: 'stored_track_points', value: 1000, valueType: 'number', description: 'Track points stored per ride for route maps and elevation profiles (0 stores none)', category: 'processing' },
+            { key: 'climb_min_gradient', value: 3, valueType: 'number', description: 'Minimum average gradient in % for a categorised climb', category: 'processing' },
+            { key: 'climb_descent_tolerance', value: 10, valueType: 'number', description: 'Descent in meters that ends a climb', category: 'processing' },
+            { key: 'on_duplicate', value: 'skip', valueType: 'string', description: 'Ride already in the database: skip, replace or keep', category: 'processing' },
+            { key: 'calorie_model', value: 'auto', valueType: 'string', description: 'Calorie model: auto, power, hr, met or physics', category: 'processing' },
+            { key: 'gross_efficiency', value: 0.24, valueType: 'number', description: 'Gross efficiency converting power meter work to calories', category: 'physics' },
             { key: 'database_backup_enabled', value: false, valueType: 'boolean', description: 'Enable automatic database backups', category: 'system' },
+            { key: 'server_port', value: 8080, valueType: 'number', description: 'Port of the REST API server (node index.js --serve)', category: 'system' },
+            { key: 'server_host', value: '127.0.0.1', valueType: 'string', description: 'Address the REST API server listens on (0.0.0.0 for all interfaces)', category: 'system' },
             { key: 'max_rides_per_export', value: 1000, valueType: 'number', description: 'Maximum number of rides per export', category: 'export' }
         ];
 
@@ -585,34 +1848,68 @@ class CyclingDatabase {
     }
 
     /**
-     * Check if weather API key is configured
+     * Check if an API key is configured for the active weather provider
      */
     async hasWeatherApiKey() {
-        const apiKey = await this.getConfig('weather_api_key');
-        return apiKey && apiKey.length > 0;
+        const config = await this.getWeatherApiConfig();
+        return config.hasKey;
     }
 
     /**
      * Get weather API configuration
+     * providerKeys holds the key of every provider that has one; apiKey is the key of
+     * the active provider
      */
     async getWeatherApiConfig() {
         const config = await this.getAllConfig('api');
+        const provider = config.weather_provider?.value || 'openweathermap';
+        const providerKeys = {};
+
+        for (const name of Object.keys(WEATHER_PROVIDERS)) {
+            const apiKey = config[weatherApiKeySetting(name)]?.value;
+            if (apiKey) {
+                providerKeys[name] = apiKey;
+            }
+        }
+
+        const apiKey = providerKeys[provider] || null;
+
         return {
-            apiKey: config.weather_api_key?.value || null,
+            provider,
+            fallbackProviders: (config.weather_fallback_providers?.value || '')
+                .split(',')
+                .map(name => name.trim())
+                .filter(Boolean),
+            apiKey,
+            providerKeys,
             baseUrl: config.weather_api_base_url?.value || 'https://api.openweathermap.org/data/2.5',
             timeout: config.weather_api_timeout?.value || 5000,
-            hasKey: config.weather_api_key?.value && config.weather_api_key.value.length > 0
+            hasKey: Boolean(apiKey && apiKey.length > 0)
         };
     }
 
     /**
      * Update weather API configuration
+     * @param {Object} options - { apiKey, provider, fallbackProviders, baseUrl, timeout };
+     *   the API key belongs to the given provider, or to the active one
      */
     async setWeatherApiConfig(options = {}) {
-        const { apiKey, baseUrl, timeout } = options;
+        const { apiKey, provider, fallbackProviders, baseUrl, timeout } = options;
+        
+        if (provider !== undefined) {
+            await this.setConfig('weather_provider', provider, 'string', 'Weather provider: openweathermap, weatherapi, accuweather or visualcrossing', 'api');
+        }
+        
+        if (fallbackProviders !== undefined) {
+            await this.setConfig('weather_fallback_providers', fallbackProviders.join(','), 'string', 'Weather providers tried in order when the active one fails (comma separated)', 'api');
+        }
         
         if (apiKey !== undefined) {
-            await this.setConfig('weather_api_key', apiKey, 'string', 'Weather API key (OpenWeatherMap or similar)', 'api');
+            const keyProvider = provider || await this.getConfig('weather_provider', 'openweathermap');
+            const description = keyProvider === 'openweathermap'
+                ? 'Weather API key (OpenWeatherMap or similar)'
+                : `Weather API key for ${WEATHER_PROVIDERS[keyProvider]?.label || keyProvider}`;
+            await this.setConfig(weatherApiKeySetting(keyProvider), apiKey, 'string', description, 'api');
         }
         
         if (baseUrl !== undefined) {
@@ -0,0 +1,531 @@
+// cycling-calorie-calculator/dem-elevation.js
+// Offline elevation lookup from local DEM tiles: SRTM .hgt and GeoTIFF (no network needed)
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+
+// Value SRTM uses for samples without data
+const HGT_VOID = -32768;
+
+// GeoTIFF file extensions scanned in the DEM directory
+const GEOTIFF_EXTENSIONS = ['.tif', '.tiff'];
+
+// TIFF tags needed to locate and decode a single-band elevation raster
+const TIFF_TAGS = {
+    imageWidth: 256,
+    imageLength: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    stripOffsets: 273,
+    samplesPerPixel: 277,
+    rowsPerStrip: 278,
+    stripByteCounts: 279,
+    predictor: 317,
+    tileWidth: 322,
+    tileLength: 323,
+    tileOffsets: 324,
+    tileByteCounts: 325,
+    sampleFormat: 339,
+    modelPixelScale: 33550,
+    modelTiepoint: 33922,
+    geoKeyDirectory: 34735,
+    gdalNoData: 42113
+};
+
+// TIFF field types: size in bytes and DataView reader
+const TIFF_TYPES = {
+    1: { size: 1, read: 'getUint8' },      // BYTE
+    2: { size: 1, read: 'getUint8' },      // ASCII
+    3: { size: 2, read: 'getUint16' },     // SHORT
+    4: { size: 4, read: 'getUint32' },     // LONG
+    6: { size: 1, read: 'getInt8' },       // SBYTE
+    8: { size: 2, read: 'getInt16' },      // SSHORT
+    9: { size: 4, read: 'getInt32' },      // SLONG
+    11: { size: 4, read: 'getFloat32' },   // FLOAT
+    12: { size: 8, read: 'getFloat64' },   // DOUBLE
+    16: { size: 8, read: 'getBigUint64' }  // LONG8 (BigTIFF)
+};
+
+// Compression schemes the decoder supports
+const COMPRESSION_NONE = 1;
+const COMPRESSION_LZW = 5;
+const COMPRESSION_DEFLATE = [8, 32946];
+
+// GeoKeys: model type (1 = projected, 2 = geographic) and raster type (1 = pixel is area)
+const GEOKEY_MODEL_TYPE = 1024;
+const GEOKEY_RASTER_TYPE = 1025;
+const MODEL_TYPE_PROJECTED = 1;
+const RASTER_PIXEL_IS_AREA = 1;
+
+/**
+ * Elevation lookup from a directory of DEM tiles. SRTM .hgt tiles are found by name
+ * (N47E008.hgt); GeoTIFF files must use geographic (WGS84 longitude/latitude) coordinates.
+ * Tiles are loaded on first use and kept in memory.
+ */
+class DemElevation {
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        this.hgtTiles = new Map();
+        this.geoTiffs = null;
+    }
+
+    /**
+     * Name of the SRTM tile covering a position, e.g. N47E008.hgt
+     */
+    static hgtTileName(lat, lon) {
+        const latBase = Math.floor(lat);
+        const lonBase = Math.floor(lon);
+        return `${latBase < 0 ? 'S' : 'N'}${String(Math.abs(latBase)).padStart(2, '0')}` +
+            `${lonBase < 0 ? 'W' : 'E'}${String(Math.abs(lonBase)).padStart(3, '0')}.hgt`;
+    }
+
+    /**
+     * Bilinearly interpolate a raster at a fractional row and column. Samples without
+     * data are left out and the remaining weights renormalized.
+     * @param {Function} sample - (row, col) => elevation or null
+     * @returns {number|null} Elevation, or null when none of the four samples has data
+     */
+    static interpolate(sample, row, col) {
+        const row0 = Math.floor(row);
+        const col0 = Math.floor(col);
+        const rowFraction = row - row0;
+        const colFraction = col - col0;
+        let total = 0;
+        let weights = 0;
+
+        for (const [dRow, dCol, weight] of [
+            [0, 0, (1 - rowFraction) * (1 - colFraction)],
+            [0, 1, (1 - rowFraction) * colFraction],
+            [1, 0, rowFraction * (1 - colFraction)],
+            [1, 1, rowFraction * colFraction]
+        ]) {
+            const value = sample(row0 + dRow, col0 + dCol);
+            if (value !== null && weight > 0) {
+                total += value * weight;
+                weights += weight;
+            }
+        }
+
+        return weights > 0 ? total / weights : null;
+    }
+
+    /**
+     * Get the elevation in meters at a position
+     * @returns {number|null} Elevation rounded to 0.1 m, or null when no tile covers the position
+     */
+    async getElevation(lat, lon) {
+        const hgt = await this.getHgtTile(lat, lon);
+        let elevation = hgt ? this.sampleHgt(hgt, lat, lon) : null;
+
+        if (elevation === null) {
+            const geoTiff = await this.findGeoTiff(lat, lon);
+            elevation = geoTiff ? this.sampleGeoTiff(geoTiff, lat, lon) : null;
+        }
+
+        return elevation === null ? null : parseFloat(elevation.toFixed(1));
+    }
+
+    /**
+     * Load the SRTM tile covering a position (null when the directory has none)
+     */
+    async getHgtTile(lat, lon) {
+        const name = DemElevation.hgtTileName(lat, lon);
+        if (this.hgtTiles.has(name)) {
+            return this.hgtTiles.get(name);
+        }
+
+        let tile = null;
+        for (const fileName of [name, name.toLowerCase()]) {
+            try {
+                const buffer = await fs.readFile(path.join(this.directory, fileName));
+                const size = Math.sqrt(buffer.length / 2);
+                if (!Number.isInteger(size)) {
+                    throw new Error(`Invalid SRTM tile size: ${fileName}`);
+                }
+                tile = { buffer, size, lat: Math.floor(lat), lon: Math.floor(lon) };
+                break;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+
+        this.hgtTiles.set(name, tile);
+        return tile;
+    }
+
+    /**
+     * Interpolate an SRTM tile: big-endian 16-bit samples, rows from north to south
+     */
+    sampleHgt(tile, lat, lon) {
+        const row = (tile.lat + 1 - lat) * (tile.size - 1);
+        const col = (lon - tile.lon) * (tile.size - 1);
+
+        return DemElevation.interpolate((r, c) => {
+            if (r < 0 || c < 0 || r >= tile.size || c >= tile.size) return null;
+            const value = tile.buffer.readInt16BE((r * tile.size + c) * 2);
+            return value === HGT_VOID ? null : value;
+        }, row, col);
+    }
+
+    /**
+     * Find the GeoTIFF covering a position, reading the directory's GeoTIFF bounds on first use
+     */
+    async findGeoTiff(lat, lon) {
+        if (this.geoTiffs === null) {
+            this.geoTiffs = await this.indexGeoTiffs();
+        }
+
+        const geoTiff = this.geoTiffs.find(tiff =>
+            lon >= tiff.west && lon <= tiff.east && lat >= tiff.south && lat <= tiff.north);
+        if (!geoTiff) {
+            return null;
+        }
+
+        if (!geoTiff.raster) {
+            const buffer = await fs.readFile(geoTiff.file);
+            geoTiff.raster = this.decodeGeoTiffRaster(buffer, this.readGeoTiff(buffer));
+        }
+        return geoTiff;
+    }
+
+    /**
+     * Read the geographic bounds of every GeoTIFF in the DEM directory
+     */
+    async indexGeoTiffs() {
+        let fileNames;
+        try {
+            fileNames = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`DEM directory not found: ${this.directory}`);
+            }
+            throw error;
+        }
+
+        const geoTiffs = [];
+        for (const fileName of fileNames.sort()) {
+            if (!GEOTIFF_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+                continue;
+            }
+
+            const file = path.join(this.directory, fileName);
+            try {
+                const info = this.readGeoTiff(await fs.readFile(file));
+                geoTiffs.push({ file, ...info.bounds, info, raster: null });
+            } catch (error) {
+                console.warn(`⚠️  Skipping GeoTIFF ${fileName}: ${error.message}`);
+            }
+        }
+
+        return geoTiffs;
+    }
+
+    /**
+     * Parse the first image of a GeoTIFF: raster layout and georeferencing
+     */
+    readGeoTiff(buffer) {
+        const byteOrder = buffer.toString('ascii', 0, 2);
+        if (byteOrder !== 'II' && byteOrder !== 'MM') {
+            throw new Error('Not a TIFF file');
+        }
+
+        const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        const littleEndian = byteOrder === 'II';
+        const bigTiff = view.getUint16(2, littleEndian) === 43;
+        const tags = this.readTiffDirectory(view, littleEndian, bigTiff);
+        const tag = (name, fallback) => (tags[TIFF_TAGS[name]] !== undefined ? tags[TIFF_TAGS[name]] : fallback);
+
+        const scale = tag('modelPixelScale');
+        const tiepoint = tag('modelTiepoint');
+        if (!scale || !tiepoint) {
+            throw new Error('Missing GeoTIFF georeferencing (ModelPixelScale/ModelTiepoint)');
+        }
+        if ((tag('samplesPerPixel', [1])[0]) !== 1) {
+            throw new Error('Only single-band elevation rasters are supported');
+        }
+
+        const geoKeys = this.readGeoKeys(tag('geoKeyDirectory', []));
+        if (geoKeys[GEOKEY_MODEL_TYPE] === MODEL_TYPE_PROJECTED) {
+            throw new Error('Projected GeoTIFFs are not supported, use geographic (WGS84) coordinates');
+        }
+
+        const width = tag('imageWidth')[0];
+        const height = tag('imageLength')[0];
+        const tiled = tag('tileOffsets') !== undefined;
+        // Pixel-is-area rasters have their sample at the pixel center
+        const pixelOffset = geoKeys[GEOKEY_RASTER_TYPE] === RASTER_PIXEL_IS_AREA ? 0.5 : 0;
+
+        const info = {
+            littleEndian,
+            width,
+            height,
+            bitsPerSample: tag('bitsPerSample', [1])[0],
+            sampleFormat: tag('sampleFormat', [1])[0],
+            compression: tag('compression', [COMPRESSION_NONE])[0],
+            predictor: tag('predictor', [1])[0],
+            blockWidth: tiled ? tag('tileWidth')[0] : width,
+            blockHeight: tiled ? tag('tileLength')[0] : Math.min(tag('rowsPerStrip', [height])[0], height),
+            offsets: tiled ? tag('tileOffsets') : tag('stripOffsets'),
+            byteCounts: tiled ? tag('tileByteCounts') : tag('stripByteCounts'),
+            noData: tag('gdalNoData') !== undefined ? parseFloat(tag('gdalNoData')) : null,
+            // Longitude/latitude of the raster origin (top-left sample) and sample spacing
+            originLon: tiepoint[3] - (tiepoint[0] - pixelOffset) * scale[0],
+            originLat: tiepoint[4] + (tiepoint[1] - pixelOffset) * scale[1],
+            scaleLon: scale[0],
+            scaleLat: scale[1]
+        };
+
+        const edge = pixelOffset;
+        info.bounds = {
+            west: info.originLon - edge * info.scaleLon,
+            east: info.originLon + (width - 1 + edge) * info.scaleLon,
+            north: info.originLat + edge * info.scaleLat,
+            south: info.originLat - (height - 1 + edge) * info.scaleLat
+        };
+
+        return info;
+    }
+
+    /**
+     * Read the tags of the first image file directory
+     */
+    readTiffDirectory(view, littleEndian, bigTiff) {
+        const offsetSize = bigTiff ? 8 : 4;
+        const readOffset = (offset) => (bigTiff
+            ? Number(view.getBigUint64(offset, littleEndian))
+            : view.getUint32(offset, littleEndian));
+
+        const directoryOffset = readOffset(bigTiff ? 8 : 4);
+        const entryCount = bigTiff
+            ? Number(view.getBigUint64(directoryOffset, littleEndian))
+            : view.getUint16(directoryOffset, littleEndian);
+        const entrySize = bigTiff ? 20 : 12;
+        const firstEntry = directoryOffset + (bigTiff ? 8 : 2);
+        const tags = {};
+
+        for (let i = 0; i < entryCount; i++) {
+            const entry = firstEntry + i * entrySize;
+            const tagId = view.getUint16(entry, littleEndian);
+            const type = TIFF_TYPES[view.getUint16(entry + 2, littleEndian)];
+            if (!type) continue;
+
+            const count = bigTiff
+                ? Number(view.getBigUint64(entry + 4, littleEndian))
+                : view.getUint32(entry + 4, littleEndian);
+            const valueField = entry + 4 + offsetSize;
+            const valueOffset = type.size * count <= offsetSize ? valueField : readOffset(valueField);
+
+            const values = [];
+            for (let j = 0; j < count; j++) {
+                const value = view[type.read](valueOffset + j * type.size, littleEndian);
+                values.push(typeof value === 'bigint' ? Number(value) : value);
+            }
+
+            // ASCII values (GDAL_NODATA) are null-terminated strings
+            tags[tagId] = view.getUint16(entry + 2, littleEndian) === 2
+                ? String.fromCharCode(...values).replace(/\0.*$/, '')
+                : values;
+        }
+
+        return tags;
+    }
+
+    /**
+     * Map GeoKey IDs to their short values from the GeoKeyDirectory tag
+     */
+    readGeoKeys(directory) {
+        const keys = {};
+        for (let i = 4; i + 3 < directory.length; i += 4) {
+            // Only keys stored directly in the directory (location 0) are needed
+            if (directory[i + 1] === 0) {
+                keys[directory[i]] = directory[i + 3];
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Decode all strips or tiles of a GeoTIFF into a Float32Array (NaN where there is no data)
+     */
+    decodeGeoTiffRaster(buffer, info) {
+        const readers = {
+            '1:8': 'getUint8', '2:8': 'getInt8',
+            '1:16': 'getUint16', '2:16': 'getInt16',
+            '1:32': 'getUint32', '2:32': 'getInt32',
+            '3:32': 'getFloat32', '3:64': 'getFloat64'
+        };
+        const read = readers[`${info.sampleFormat}:${info.bitsPerSample}`];
+        if (!read) {
+            throw new Error(`Unsupported GeoTIFF sample type (format ${info.sampleFormat}, ${info.bitsPerSample} bits)`);
+        }
+        if (info.predictor === 3) {
+            throw new Error('GeoTIFF floating point predictor is not supported');
+        }
+
+        const bytesPerSample = info.bitsPerSample / 8;
+        const raster = new Float32Array(info.width * info.height).fill(NaN);
+        const blocksAcross = Math.ceil(info.width / info.blockWidth);
+        const blockSize = info.blockWidth * info.blockHeight * bytesPerSample;
+
+        info.offsets.forEach((offset, index) => {
+            const block = this.decompress(buffer.subarray(offset, offset + info.byteCounts[index]), info.compression, blockSize);
+            if (info.predictor === 2) {
+                this.undoHorizontalPredictor(block, info, bytesPerSample);
+            }
+
+            const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+            const blockRow = Math.floor(index / blocksAcross) * info.blockHeight;
+            const blockCol = (index % blocksAcross) * info.blockWidth;
+
+            for (let r = 0; r < info.blockHeight && blockRow + r < info.height; r++) {
+                for (let c = 0; c < info.blockWidth && blockCol + c < info.width; c++) {
+                    const position = (r * info.blockWidth + c) * bytesPerSample;
+                    if (position + bytesPerSample > block.length) continue;
+
+                    const value = view[read](position, info.littleEndian);
+                    if (info.noData === null || value !== info.noData) {
+                        raster[(blockRow + r) * info.width + blockCol + c] = value;
+                    }
+                }
+            }
+        });
+
+        return raster;
+    }
+
+    /**
+     * Decompress one strip or tile
+     */
+    decompress(data, compression, expectedSize) {
+        if (compression === COMPRESSION_NONE) {
+            return data;
+        }
+        if (COMPRESSION_DEFLATE.includes(compression)) {
+            return zlib.inflateSync(data);
+        }
+        if (compression === COMPRESSION_LZW) {
+            return this.decodeLzw(data, expectedSize);
+        }
+        throw new Error(`Unsupported GeoTIFF compression: ${compression}`);
+    }
+
+    /**
+     * Decode TIFF LZW data (MSB-first codes, 9 to 12 bits, early change)
+     */
+    decodeLzw(input, expectedSize) {
+        const CLEAR_CODE = 256;
+        const END_CODE = 257;
+        const output = Buffer.alloc(expectedSize);
+        const prefix = new Int32Array(4096);
+        const suffix = new Uint8Array(4096);
+        const first = new Uint8Array(4096);
+        const length = new Int32Array(4096);
+
+        for (let i = 0; i < 256; i++) {
+            prefix[i] = -1;
+            suffix[i] = first[i] = i;
+            length[i] = 1;
+        }
+
+        let bitPosition = 0;
+        let codeLength = 9;
+        let nextCode = 258;
+        let previous = -1;
+        let position = 0;
+
+        const readCode = () => {
+            const bytePosition = bitPosition >>> 3;
+            if (bytePosition >= input.length) return END_CODE;
+            const chunk = (input[bytePosition] << 16) | ((input[bytePosition + 1] || 0) << 8) | (input[bytePosition + 2] || 0);
+            const code = (chunk >>> (24 - (bitPosition & 7) - codeLength)) & ((1 << codeLength) - 1);
+            bitPosition += codeLength;
+            return code;
+        };
+
+        const write = (code) => {
+            for (let i = length[code] - 1, current = code; i >= 0; i--, current = prefix[current]) {
+                if (position + i < output.length) output[position + i] = suffix[current];
+            }
+            position += length[code];
+        };
+
+        const addEntry = (base, byte) => {
+            if (nextCode >= 4096) return;
+            prefix[nextCode] = base;
+            suffix[nextCode] = byte;
+            first[nextCode] = first[base];
+            length[nextCode] = length[base] + 1;
+            nextCode++;
+            if (nextCode >= (1 << codeLength) - 1 && codeLength < 12) {
+                codeLength++;
+            }
+        };
+
+        while (position < output.length) {
+            const code = readCode();
+            if (code === END_CODE) break;
+
+            if (code === CLEAR_CODE) {
+                codeLength = 9;
+                nextCode = 258;
+                previous = -1;
+                continue;
+            }
+
+            if (previous === -1) {
+                write(code);
+            } else if (code < nextCode) {
+                write(code);
+                addEntry(previous, first[code]);
+            } else {
+                // Code not yet in the table: previous string plus its own first byte
+                addEntry(previous, first[previous]);
+                write(code);
+            }
+            previous = code;
+        }
+
+        return output;
+    }
+
+    /**
+     * Undo TIFF horizontal differencing (predictor 2) for integer samples, row by row
+     */
+    undoHorizontalPredictor(block, info, bytesPerSample) {
+        const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        const [get, set] = {
+            1: ['getUint8', 'setUint8'],
+            2: ['getUint16', 'setUint16'],
+            4: ['getUint32', 'setUint32']
+        }[bytesPerSample];
+        const rowBytes = info.blockWidth * bytesPerSample;
+
+        for (let rowStart = 0; rowStart + rowBytes <= block.length; rowStart += rowBytes) {
+            for (let c = 1; c < info.blockWidth; c++) {
+                const position = rowStart + c * bytesPerSample;
+                const sum = view[get](position - bytesPerSample, info.littleEndian) + view[get](position, info.littleEndian);
+                view[set](position, sum, info.littleEndian);
+            }
+        }
+    }
+
+    /**
+     * Interpolate a decoded GeoTIFF raster
+     */
+    sampleGeoTiff(geoTiff, lat, lon) {
+        const { info, raster } = geoTiff;
+        const row = (info.originLat - lat) / info.scaleLat;
+        const col = (lon - info.originLon) / info.scaleLon;
+
+        return DemElevation.interpolate((r, c) => {
+            if (r < 0 || c < 0 || r >= info.height || c >= info.width) return null;
+            const value = raster[r * info.width + c];
+            return Number.isNaN(value) ? null : value;
+        }, row, col);
+    }
+}
+
+module.exports = DemElevation;
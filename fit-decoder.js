@@ -0,0 +1,318 @@
+// cycling-calorie-calculator/fit-decoder.js
+// Minimal pure-JS decoder for Garmin FIT activity files (no SDK or network needed)
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+
+// Base types: size in bytes, DataView reader and the value marking "no data"
+const BASE_TYPES = {
+    0x00: { size: 1, read: 'getUint8', invalid: 0xFF },              // enum
+    0x01: { size: 1, read: 'getInt8', invalid: 0x7F },               // sint8
+    0x02: { size: 1, read: 'getUint8', invalid: 0xFF },              // uint8
+    0x83: { size: 2, read: 'getInt16', invalid: 0x7FFF },            // sint16
+    0x84: { size: 2, read: 'getUint16', invalid: 0xFFFF },           // uint16
+    0x85: { size: 4, read: 'getInt32', invalid: 0x7FFFFFFF },        // sint32
+    0x86: { size: 4, read: 'getUint32', invalid: 0xFFFFFFFF },       // uint32
+    0x07: { size: 1, read: null, invalid: null },                    // string
+    0x88: { size: 4, read: 'getFloat32', invalid: null },            // float32
+    0x89: { size: 8, read: 'getFloat64', invalid: null },            // float64
+    0x0A: { size: 1, read: 'getUint8', invalid: 0x00 },              // uint8z
+    0x8B: { size: 2, read: 'getUint16', invalid: 0x0000 },           // uint16z
+    0x8C: { size: 4, read: 'getUint32', invalid: 0x00000000 },       // uint32z
+    0x0D: { size: 1, read: 'getUint8', invalid: 0xFF },              // byte
+    0x8E: { size: 8, read: 'getBigInt64', invalid: null },           // sint64
+    0x8F: { size: 8, read: 'getBigUint64', invalid: null },          // uint64
+    0x90: { size: 8, read: 'getBigUint64', invalid: null }           // uint64z
+};
+
+// Subset of the FIT profile needed for activities: field number -> [name, scale, offset]
+const MESSAGES = {
+    0: {
+        name: 'fileId',
+        fields: {
+            0: ['type', 1, 0],
+            1: ['manufacturer', 1, 0],
+            2: ['product', 1, 0],
+            4: ['timeCreated', 1, 0]
+        }
+    },
+    18: {
+        name: 'session',
+        fields: {
+            253: ['timestamp', 1, 0],
+            2: ['startTime', 1, 0],
+            5: ['sport', 1, 0],
+            7: ['totalElapsedTime', 1000, 0],
+            8: ['totalTimerTime', 1000, 0],
+            9: ['totalDistance', 100, 0],
+            11: ['totalCalories', 1, 0],
+            14: ['avgSpeed', 1000, 0],
+            16: ['avgHeartRate', 1, 0],
+            17: ['maxHeartRate', 1, 0],
+            20: ['avgPower', 1, 0],
+            22: ['totalAscent', 1, 0],
+            23: ['totalDescent', 1, 0]
+        }
+    },
+    19: {
+        name: 'lap',
+        fields: {
+            253: ['timestamp', 1, 0],
+            2: ['startTime', 1, 0],
+            7: ['totalElapsedTime', 1000, 0],
+            8: ['totalTimerTime', 1000, 0],
+            9: ['totalDistance', 100, 0],
+            11: ['totalCalories', 1, 0]
+        }
+    },
+    20: {
+        name: 'record',
+        fields: {
+            253: ['timestamp', 1, 0],
+            0: ['positionLat', 1, 0],
+            1: ['positionLong', 1, 0],
+            2: ['altitude', 5, 500],
+            3: ['heartRate', 1, 0],
+            4: ['cadence', 1, 0],
+            5: ['distance', 100, 0],
+            6: ['speed', 1000, 0],
+            7: ['power', 1, 0],
+            13: ['temperature', 1, 0],
+            73: ['enhancedSpeed', 1000, 0],
+            78: ['enhancedAltitude', 5, 500]
+        }
+    }
+};
+
+// Fields holding FIT timestamps, converted to Date objects
+const DATE_FIELDS = ['timestamp', 'startTime', 'timeCreated'];
+
+/**
+ * Decoder for the binary FIT format
+ */
+class FitDecoder {
+    /**
+     * Check whether a buffer starts with a FIT file header
+     */
+    static isFit(buffer) {
+        return buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT';
+    }
+
+    /**
+     * Convert semicircles (FIT position unit) to degrees
+     */
+    static semicirclesToDegrees(semicircles) {
+        return semicircles * (180 / Math.pow(2, 31));
+    }
+
+    /**
+     * Compute the FIT CRC-16 of a byte range
+     */
+    static crc(buffer, start, end) {
+        const table = [
+            0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+            0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+        ];
+        let crc = 0;
+
+        for (let i = start; i < end; i++) {
+            const byte = buffer[i];
+            let tmp = table[crc & 0xF];
+            crc = (crc >> 4) & 0x0FFF;
+            crc = crc ^ tmp ^ table[byte & 0xF];
+            tmp = table[crc & 0xF];
+            crc = (crc >> 4) & 0x0FFF;
+            crc = crc ^ tmp ^ table[(byte >> 4) & 0xF];
+        }
+
+        return crc;
+    }
+
+    /**
+     * Decode a FIT buffer into fileId, session, lap and record messages
+     * @param {Buffer} buffer - Raw FIT file content
+     * @returns {Object} { fileId, sessions, laps, records }
+     */
+    decode(buffer) {
+        const result = { fileId: null, sessions: [], laps: [], records: [] };
+        let offset = 0;
+
+        // A file may contain several chained FIT files
+        while (offset < buffer.length) {
+            offset = this.decodeFile(buffer, offset, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Decode one FIT file starting at offset; returns the offset after its CRC
+     */
+    decodeFile(buffer, start, result) {
+        if (!FitDecoder.isFit(buffer.subarray(start))) {
+            throw new Error('Not a FIT file (missing .FIT signature)');
+        }
+
+        const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        const headerSize = buffer[start];
+        const dataSize = view.getUint32(start + 4, true);
+        const dataEnd = start + headerSize + dataSize;
+
+        if (dataEnd + 2 > buffer.length) {
+            throw new Error('FIT file is truncated');
+        }
+
+        const storedCrc = view.getUint16(dataEnd, true);
+        if (storedCrc !== 0 && storedCrc !== FitDecoder.crc(buffer, start, dataEnd)) {
+            throw new Error('FIT file CRC check failed');
+        }
+
+        const definitions = {};
+        let lastTimestamp = null;
+        let offset = start + headerSize;
+
+        while (offset < dataEnd) {
+            const recordHeader = buffer[offset++];
+            let localType;
+            let timestamp = null;
+
+            if (recordHeader & 0x80) {
+                // Compressed timestamp header: 5-bit offset from the last full timestamp
+                localType = (recordHeader >> 5) & 0x03;
+                if (lastTimestamp !== null) {
+                    timestamp = lastTimestamp + (((recordHeader & 0x1F) - (lastTimestamp & 0x1F)) & 0x1F);
+                }
+            } else if (recordHeader & 0x40) {
+                const definition = this.readDefinition(view, offset, (recordHeader & 0x20) !== 0);
+                definitions[recordHeader & 0x0F] = definition;
+                offset = definition.end;
+                continue;
+            } else {
+                localType = recordHeader & 0x0F;
+            }
+
+            const definition = definitions[localType];
+            if (!definition) {
+                throw new Error(`FIT data message without definition at byte ${offset}`);
+            }
+
+            const message = this.readDataMessage(view, offset, definition);
+            offset += definition.dataSize;
+
+            if (message.timestamp === undefined && timestamp !== null) {
+                message.timestamp = timestamp;
+            }
+            if (message.timestamp !== undefined) {
+                lastTimestamp = message.timestamp;
+            }
+
+            const profile = MESSAGES[definition.globalNumber];
+            if (profile) {
+                this.collectMessage(result, profile.name, message);
+            }
+        }
+
+        return dataEnd + 2;
+    }
+
+    /**
+     * Read a definition message
+     */
+    readDefinition(view, offset, hasDeveloperData) {
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const globalNumber = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = view.getUint8(offset + 4);
+        const fields = [];
+        let position = offset + 5;
+
+        for (let i = 0; i < fieldCount; i++) {
+            fields.push({
+                number: view.getUint8(position),
+                size: view.getUint8(position + 1),
+                baseType: view.getUint8(position + 2)
+            });
+            position += 3;
+        }
+
+        let developerDataSize = 0;
+        if (hasDeveloperData) {
+            const developerFieldCount = view.getUint8(position);
+            position += 1;
+            for (let i = 0; i < developerFieldCount; i++) {
+                developerDataSize += view.getUint8(position + 1);
+                position += 3;
+            }
+        }
+
+        const dataSize = fields.reduce((sum, field) => sum + field.size, 0) + developerDataSize;
+
+        return { littleEndian, globalNumber, fields, dataSize, end: position };
+    }
+
+    /**
+     * Read the known fields of a data message (timestamps stay in FIT seconds)
+     */
+    readDataMessage(view, offset, definition) {
+        const profile = MESSAGES[definition.globalNumber];
+        const message = {};
+        let position = offset;
+
+        for (const field of definition.fields) {
+            const profileField = profile ? profile.fields[field.number] : null;
+            if (profileField) {
+                const value = this.readField(view, position, field, definition.littleEndian);
+                if (value !== null) {
+                    const [name, scale, fieldOffset] = profileField;
+                    message[name] = DATE_FIELDS.includes(name) ? value : value / scale - fieldOffset;
+                }
+            }
+            position += field.size;
+        }
+
+        return message;
+    }
+
+    /**
+     * Convert timestamps to dates and append a message to the decoded result
+     */
+    collectMessage(result, name, message) {
+        for (const field of DATE_FIELDS) {
+            if (message[field] !== undefined) {
+                message[field] = new Date((message[field] + FIT_EPOCH_OFFSET) * 1000);
+            }
+        }
+
+        if (name === 'fileId') {
+            result.fileId = message;
+        } else {
+            result[`${name}s`].push(message);
+        }
+    }
+
+    /**
+     * Read a single scalar field value, or null when it holds the invalid marker
+     */
+    readField(view, offset, field, littleEndian) {
+        const baseType = BASE_TYPES[field.baseType];
+
+        // Arrays, strings and unknown types are not needed for activity data
+        if (!baseType || !baseType.read || field.size !== baseType.size) {
+            return null;
+        }
+
+        const value = view[baseType.read](offset, littleEndian);
+        if (typeof value === 'bigint') {
+            return Number(value);
+        }
+        if (baseType.invalid !== null && value === baseType.invalid) {
+            return null;
+        }
+        if (Number.isNaN(value)) {
+            return null;
+        }
+
+        return value;
+    }
+}
+
+module.exports = FitDecoder;
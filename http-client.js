@@ -0,0 +1,204 @@
+// cycling-calorie-calculator/http-client.js
+// Shared HTTP layer for elevation and weather APIs: timeouts, retries with exponential
+// backoff and a token-bucket rate limit per provider
+
+const axios = require('axios');
+
+// Network errors worth retrying; other errors without a response are bugs, not flakiness
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Longest wait between two attempts, whatever the backoff or a Retry-After header says
+const MAX_RETRY_DELAY = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: holds up to capacity tokens, refilled at rate tokens per second.
+ * Every request takes one token and waits for it when the bucket is empty.
+ */
+class TokenBucket {
+    constructor(rate, capacity = Math.max(1, rate)) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        // Callers are served in order, so concurrent requests don't overtake each other
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Take a token, waiting until one is available
+     * @returns {number} Milliseconds waited
+     */
+    take() {
+        const turn = this.queue.then(() => this.acquire());
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    async acquire() {
+        this.refill();
+        let waited = 0;
+
+        if (this.tokens < 1) {
+            waited = Math.ceil((1 - this.tokens) / this.rate * 1000);
+            await sleep(waited);
+            this.refill();
+        }
+
+        this.tokens -= 1;
+        return waited;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+    }
+}
+
+/**
+ * HTTP client shared by all providers of a run. Requests are named by provider, which
+ * selects the rate limit and the statistics they count towards.
+ */
+class HttpClient {
+    /**
+     * @param {Object} options - { timeout (ms), retries, retryDelay (ms, doubled on every
+     *   retry), rateLimits: { provider: requests per second }, offline (refuse every request) }
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout || 10000;
+        this.retries = options.retries ?? 3;
+        this.retryDelay = options.retryDelay ?? 500;
+        this.rateLimits = { ...options.rateLimits };
+        this.offline = Boolean(options.offline);
+        this.buckets = new Map();
+        this.stats = new Map();
+    }
+
+    /**
+     * Parse a rate limit list such as "gpxz:1,openweathermap:0.5" (requests per second)
+     */
+    static parseRateLimits(value) {
+        const rateLimits = {};
+
+        for (const entry of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+            const [name, rate] = entry.split(':').map(part => part.trim());
+            if (!name || !(parseFloat(rate) > 0)) {
+                throw new Error(`Invalid rate limit: ${entry}. Use provider:requests_per_second, e.g. gpxz:1`);
+            }
+            rateLimits[name] = parseFloat(rate);
+        }
+
+        return rateLimits;
+    }
+
+    /**
+     * Whether a failed request may succeed when repeated: 429, 5xx and network errors
+     */
+    static isRetryable(error) {
+        if (error.response) {
+            return error.response.status === 429 || error.response.status >= 500;
+        }
+        return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+
+    /**
+     * Statistics of a provider, created on first use
+     */
+    getStats(name) {
+        if (!this.stats.has(name)) {
+            this.stats.set(name, { requests: 0, retries: 0, failures: 0, rateLimitWait: 0 });
+        }
+        return this.stats.get(name);
+    }
+
+    /**
+     * Wait for the provider's rate limit, if it has one
+     */
+    async throttle(name) {
+        const rate = this.rateLimits[name];
+        if (!rate) {
+            return;
+        }
+
+        if (!this.buckets.has(name)) {
+            this.buckets.set(name, new TokenBucket(rate));
+        }
+        const waited = await this.buckets.get(name).take();
+        this.getStats(name).rateLimitWait += waited;
+    }
+
+    /**
+     * Delay before a retry: the server's Retry-After when given, otherwise exponential
+     * backoff with jitter
+     */
+    retryDelayFor(error, attempt) {
+        const retryAfter = error.response?.headers?.['retry-after'];
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (delay >= 0) {
+                return Math.min(MAX_RETRY_DELAY, delay);
+            }
+        }
+
+        const backoff = this.retryDelay * Math.pow(2, attempt);
+        return Math.min(MAX_RETRY_DELAY, backoff + Math.random() * this.retryDelay);
+    }
+
+    /**
+     * Send a request, retrying 429/5xx responses and network errors with backoff
+     * @param {string} name - Provider making the request
+     * @param {Object} config - axios request config; timeout defaults to the client's
+     * @returns {Object} The axios response; the last error is thrown once retries run out
+     */
+    async request(name, config) {
+        if (this.offline) {
+            throw new Error(`Offline mode: ${name} request not sent`);
+        }
+
+        const stats = this.getStats(name);
+        stats.requests++;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.throttle(name);
+
+            try {
+                return await axios.request({ timeout: this.timeout, ...config });
+            } catch (error) {
+                if (attempt >= this.retries || !HttpClient.isRetryable(error)) {
+                    stats.failures++;
+                    throw error;
+                }
+
+                const delay = this.retryDelayFor(error, attempt);
+                const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+                console.warn(`⚠️  ${name} request failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${this.retries})`);
+                stats.retries++;
+                await sleep(delay);
+            }
+        }
+    }
+
+    async get(name, url, config = {}) {
+        return this.request(name, { ...config, method: 'get', url });
+    }
+
+    async post(name, url, data, config = {}) {
+        return this.request(name, { ...config, method: 'post', url, data });
+    }
+
+    /**
+     * Requests, retries, failures and rate limit waits (ms) of every provider used
+     * @returns {Array} [{ name, requests, retries, failures, rateLimitWait }]
+     */
+    getSummary() {
+        return [...this.stats.entries()].map(([name, stats]) => ({ name, ...stats }));
+    }
+}
+
+module.exports = {
+    HttpClient,
+    TokenBucket
+};
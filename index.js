@@ -1,18 +1,208 @@
 // cycling-calorie-calculator/index.js
 const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
+const crypto = require('crypto');
 const xml2js = require('xml2js');
 const CyclingDatabase = require('./database');
+const FitDecoder = require('./fit-decoder');
+const DemElevation = require('./dem-elevation');
+const { WEATHER_PROVIDERS, createWeatherProvider, weatherApiKeySetting } = require('./weather-providers');
+const { HttpClient } = require('./http-client');
+const { ApiServer } = require('./server');
+
+// Activity file formats the calculator can parse
+const SUPPORTED_FILE_FORMATS = ['gpx', 'tcx', 'fit'];
+
+// Calculation settings read from the configuration table when not passed to the constructor
+const DATABASE_SETTINGS = {
+    grossEfficiency: 'gross_efficiency',
+    calorieModel: 'calorie_model',
+    windResistance: 'default_wind_resistance',
+    cda: 'cda',
+    rollingResistance: 'rolling_resistance',
+    bikeWeight: 'bike_weight',
+    elevationFilter: 'elevation_filter',
+    elevationSmoothingWindow: 'elevation_smoothing_window',
+    elevationHysteresis: 'elevation_hysteresis',
+    elevationKalmanNoise: 'elevation_kalman_noise',
+    autoPauseSpeed: 'auto_pause_speed',
+    autoPauseGap: 'auto_pause_gap',
+    autoPauseMinStop: 'auto_pause_min_stop',
+    gpxTrackMode: 'gpx_track_mode',
+    assumedSpeed: 'assumed_speed',
+    splitInterval: 'split_interval',
+    storedTrackPoints: 'stored_track_points',
+    climbMinGradient: 'climb_min_gradient',
+    climbDescentTolerance: 'climb_descent_tolerance',
+    onDuplicate: 'on_duplicate',
+    elevationProvider: 'elevation_provider',
+    demDirectory: 'dem_directory',
+    weatherProvider: 'weather_provider',
+    weatherFallbackProviders: 'weather_fallback_providers',
+    elevationCachePrecision: 'elevation_cache_precision',
+    elevationSampleDistance: 'elevation_sample_distance',
+    weatherCachePrecision: 'weather_cache_precision',
+    weatherCacheTtl: 'weather_cache_ttl',
+    weatherSampleDistance: 'weather_sample_distance',
+    weatherSampleInterval: 'weather_sample_interval',
+    weatherMaxSamples: 'weather_max_samples',
+    weatherApiTimeout: 'weather_api_timeout',
+    elevationApiTimeout: 'elevation_api_timeout',
+    httpMaxRetries: 'http_max_retries',
+    httpRetryDelay: 'http_retry_delay',
+    httpRateLimits: 'http_rate_limits',
+    offlineMode: 'offline_mode',
+    serverPort: 'server_port',
+    serverHost: 'server_host'
+};
+
+// Fallback values for calculation settings
+const SETTING_DEFAULTS = {
+    grossEfficiency: 0.24,
+    calorieModel: 'auto',
+    windResistance: 0.9,
+    cda: 0.32,
+    rollingResistance: 0.005,
+    bikeWeight: 9,
+    elevationFilter: 'moving_average,hysteresis',
+    elevationSmoothingWindow: 5,
+    elevationHysteresis: 3,
+    elevationKalmanNoise: 9,
+    autoPauseSpeed: 3,
+    autoPauseGap: 60,
+    autoPauseMinStop: 10,
+    gpxTrackMode: 'merge',
+    assumedSpeed: 20,
+    splitInterval: '1km',
+    storedTrackPoints: 1000,
+    climbMinGradient: 3,
+    climbDescentTolerance: 10,
+    onDuplicate: 'skip',
+    elevationProvider: 'gpxz',
+    demDirectory: './dem',
+    weatherProvider: 'openweathermap',
+    weatherFallbackProviders: '',
+    elevationCachePrecision: 4,
+    elevationSampleDistance: 30,
+    weatherCachePrecision: 2,
+    weatherCacheTtl: 60,
+    weatherSampleDistance: 25,
+    weatherSampleInterval: 60,
+    weatherMaxSamples: 12,
+    weatherApiTimeout: 5000,
+    elevationApiTimeout: 10000,
+    httpMaxRetries: 3,
+    httpRetryDelay: 500,
+    httpRateLimits: 'gpxz:1,openweathermap:1,weatherapi:2,accuweather:1,visualcrossing:1',
+    offlineMode: false,
+    serverPort: 8080,
+    serverHost: '127.0.0.1'
+};
+
+// Weather sources that mean no provider answered; sampling along the route stops there
+const DEFAULT_WEATHER_SOURCES = ['default', 'fallback'];
+
+// Weather values the user can supply instead of looking them up, with their valid ranges
+const SUPPLIED_WEATHER_RANGES = {
+    temperature: [-60, 60],
+    windSpeed: [0, 75],
+    windDirection: [0, 360],
+    humidity: [0, 100]
+};
+
+// Conditions used when no weather data is available
+const DEFAULT_WEATHER = {
+    windSpeed: 0,
+    windDirection: 0,
+    humidity: 50,
+    temperature: 20,
+    pressure: 1013
+};
+
+// Weather sources worth caching: historical conditions are kept permanently,
+// current conditions only for weather_cache_ttl minutes
+const CACHED_WEATHER_SOURCES = ['historical', 'current', 'current_fallback'];
+
+// How GPX files with several tracks or routes are turned into rides
+const GPX_TRACK_MODES = ['merge', 'separate'];
+
+// Split lengths in km; 'lap' uses the device laps and 'none' disables splits
+const SPLIT_DISTANCES = {
+    '1km': 1,
+    '5km': 5,
+    'mile': 1.609344
+};
+const SPLIT_INTERVALS = [...Object.keys(SPLIT_DISTANCES), 'lap', 'none'];
+
+// Climb categories by score (length in meters × average gradient in %), hardest first
+const CLIMB_CATEGORIES = [
+    { name: 'HC', minScore: 80000 },
+    { name: 'Cat 1', minScore: 64000 },
+    { name: 'Cat 2', minScore: 32000 },
+    { name: 'Cat 3', minScore: 16000 },
+    { name: 'Cat 4', minScore: 8000 }
+];
+
+// What to do when a ride being saved matches one already in the database
+const DUPLICATE_ACTIONS = ['skip', 'replace', 'keep'];
+
+// Sources for corrected elevation data, with the names shown in results;
+// 'none' keeps the elevation recorded in the activity file
+const ELEVATION_PROVIDERS = {
+    gpxz: 'GPXZ',
+    dem: 'local DEM tiles',
+    none: null
+};
+
+// Elevation sources recorded in elevation_enhanced, by label
+const ELEVATION_SOURCES = {
+    gpxz: 'GPXZ',
+    dem: 'local DEM tiles',
+    'dem-partial': 'local DEM tiles (partial coverage, gaps interpolated)'
+};
+
+// Change of direction (degrees) that adds an elevation sample at a bend, and the
+// shortest distance (km) between such samples so GPS jitter doesn't count as bends
+const ELEVATION_SAMPLE_TURN = 20;
+const ELEVATION_SAMPLE_MIN_SPACING = 0.005;
+
+// Most locations per request to the GPXZ multi-point endpoint
+const GPXZ_BATCH_SIZE = 512;
+
+// Elevation filters that can be chained in the elevation_filter setting
+const ELEVATION_FILTERS = ['moving_average', 'kalman', 'hysteresis'];
+
+// Calorie models in the order 'auto' tries them; the MET estimate always works.
+// The physics model is only used when selected explicitly.
+const CALORIE_MODELS = ['power', 'hr', 'met'];
+const OPTIONAL_CALORIE_MODELS = ['physics'];
+
+// Standard gravity (m/s²)
+const GRAVITY = 9.80665;
+
+// Kilojoules per kilocalorie
+const KJ_PER_KCAL = 4.184;
+
+/**
+ * Error caused by the caller's input: invalid options or an activity file that
+ * can't be read. Other errors are failures of the calculator or its services.
+ */
+class InputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InputError';
+    }
+}
 
 class CyclingCalorieCalculator {
     constructor(config = {}) {
         this.config = {
             gpxzApiKey: config.gpxzApiKey || process.env.GPXZ_API_KEY,
             weatherApiKey: config.weatherApiKey || process.env.WEATHER_API_KEY,
+            weatherApiKeys: { ...config.weatherApiKeys },
             weatherApiUrl: config.weatherApiUrl || 'http://api.openweathermap.org/data/2.5/weather',
             weatherHistoricalApiUrl: config.weatherHistoricalApiUrl || 'http://api.openweathermap.org/data/3.0/onecall/timemachine',
-            gpxzApiUrl: config.gpxzApiUrl || 'https://api.gpxz.io/v1/elevation/point',
+            gpxzApiUrl: config.gpxzApiUrl || 'https://api.gpxz.io/v1/elevation/points',
             saveToDatabase: config.saveToDatabase !== false, // Default to true
             databasePath: config.databasePath || './cycling_data.db',
             ...config
@@ -24,8 +214,61 @@ class CyclingCalorieCalculator {
             this.database = new CyclingDatabase(this.config.databasePath);
         }
         
+        // Configuration as given to the constructor, restored by reloadDatabaseConfig()
+        this.initialConfig = { ...this.config, weatherApiKeys: { ...this.config.weatherApiKeys } };
+        
         // Flag to track if we need to load config from database
         this.configLoaded = false;
+        
+        // While a session is open every operation reuses one connection
+        this.databaseSession = false;
+        
+        // Local DEM tiles, loaded on first use by the dem elevation provider
+        this.demElevation = null;
+        
+        // Elevation cache lookups during this run, counted per rounded location
+        this.elevationCacheStats = { hits: 0, misses: 0 };
+        
+        // HTTP client shared by the elevation and weather providers, created on first use
+        this.http = null;
+    }
+
+    /**
+     * Open the database for an operation, unless a session already holds it open
+     */
+    async connectDatabase() {
+        if (!this.databaseSession) {
+            await this.database.initialize();
+        }
+    }
+
+    /**
+     * Close the database after an operation, unless a session holds it open
+     */
+    async releaseDatabase() {
+        if (!this.databaseSession) {
+            await this.database.close();
+        }
+    }
+
+    /**
+     * Keep a single database connection open across many calculations (batch import)
+     */
+    async openDatabaseSession() {
+        if (this.database && !this.databaseSession) {
+            await this.database.initialize();
+            this.databaseSession = true;
+        }
+    }
+
+    /**
+     * Close the connection opened by openDatabaseSession()
+     */
+    async closeDatabaseSession() {
+        if (this.database && this.databaseSession) {
+            this.databaseSession = false;
+            await this.database.close();
+        }
     }
 
     /**
@@ -37,14 +280,15 @@ class CyclingCalorieCalculator {
         }
         
         try {
-            await this.database.initialize();
+            await this.connectDatabase();
             
-            // Load weather API configuration if not already set
-            if (!this.config.weatherApiKey) {
-                const dbWeatherApiKey = await this.database.getConfig('weather_api_key');
-                if (dbWeatherApiKey) {
-                    this.config.weatherApiKey = dbWeatherApiKey;
-                    console.log('🔑 Loaded weather API key from database');
+            // Load the API key of every weather provider that has one
+            for (const name of Object.keys(WEATHER_PROVIDERS)) {
+                if (!this.config.weatherApiKeys[name]) {
+                    const providerApiKey = await this.database.getConfig(weatherApiKeySetting(name));
+                    if (providerApiKey) {
+                        this.config.weatherApiKeys[name] = providerApiKey;
+                    }
                 }
             }
             
@@ -57,21 +301,93 @@ class CyclingCalorieCalculator {
                 }
             }
             
+            // Load calculation settings that were not given to the constructor
+            for (const [setting, key] of Object.entries(DATABASE_SETTINGS)) {
+                if (this.config[setting] === undefined) {
+                    const value = await this.database.getConfig(key);
+                    if (value !== null) {
+                        this.config[setting] = value;
+                    }
+                }
+            }
+            
+            // The weather API key, unless given directly, is the active provider's key
+            if (!this.config.weatherApiKey && this.config.weatherApiKeys[this.getSetting('weatherProvider')]) {
+                this.config.weatherApiKey = this.config.weatherApiKeys[this.getSetting('weatherProvider')];
+                console.log('🔑 Loaded weather API key from database');
+            }
+            
             this.configLoaded = true;
             
         } catch (error) {
             console.warn('⚠️  Failed to load configuration from database:', error.message);
         } finally {
-            await this.database.close();
+            await this.releaseDatabase();
+        }
+    }
+    
+    /**
+     * Load the configuration again, after it was changed in the database while the
+     * calculator is in use; settings given to the constructor keep precedence
+     */
+    async reloadDatabaseConfig() {
+        this.config = { ...this.initialConfig, weatherApiKeys: { ...this.initialConfig.weatherApiKeys } };
+        this.configLoaded = false;
+        
+        // Timeouts, retries and rate limits may have changed
+        this.http = null;
+        
+        await this.loadDatabaseConfig();
+    }
+    
+    /**
+     * HTTP client for this run, configured from the settings when first needed
+     * (after the database configuration has been loaded)
+     */
+    getHttpClient() {
+        if (!this.http) {
+            this.http = new HttpClient({
+                timeout: this.getSetting('elevationApiTimeout'),
+                retries: this.getSetting('httpMaxRetries'),
+                retryDelay: this.getSetting('httpRetryDelay'),
+                rateLimits: HttpClient.parseRateLimits(this.getSetting('httpRateLimits')),
+                offline: this.isOffline()
+            });
         }
+        return this.http;
+    }
+    
+    /**
+     * Get a calculation setting from the config, falling back to its default
+     */
+    getSetting(name) {
+        const value = this.config[name];
+        return value !== undefined && value !== null ? value : SETTING_DEFAULTS[name];
+    }
+    
+    /**
+     * Whether offline mode (offline_mode) is on: no elevation or weather API is called
+     * and only cached, local and user-supplied data is used
+     */
+    isOffline() {
+        const value = this.getSetting('offlineMode');
+        return value === true || value === 'true';
     }
     
     /**
      * Main calculation function
      * @param {Object} params - Calculation parameters
-     * @param {number} params.weight - Rider weight in kg
-     * @param {string} params.gpxFilePath - Path to GPX file
-     * @returns {Object} Detailed calorie burn analysis
+     * @param {number} [params.weight] - Rider weight in kg (overrides the rider profile)
+     * @param {number|string} [params.riderId] - Rider profile ID or name
+     * @param {string} params.filePath - Path to activity file (GPX, TCX or FIT)
+     * @param {string} [params.gpxFilePath] - Alias of filePath kept for compatibility
+     * @param {string} [params.model] - Calorie model: auto, power, hr, met or physics (default from configuration)
+     * @param {string} [params.trackMode] - GPX files with several tracks: merge or separate (default from configuration)
+     * @param {string} [params.splits] - Split interval: 1km, 5km, mile, lap or none (default from configuration)
+     * @param {string} [params.onDuplicate] - Ride already saved: skip, replace or keep (default from configuration)
+     * @param {Object} [params.weather] - Weather supplied by the user, used instead of looked-up values:
+     *   { temperature (°C), windSpeed (m/s), windDirection (degrees), humidity (%) }, any subset
+     * @returns {Object|Object[]} Detailed calorie burn analysis, or one analysis per track in separate mode
      */
     async calculateCalorieBurn(params) {
         try {
@@ -80,59 +396,63 @@ class CyclingCalorieCalculator {
             // Load configuration from database if available
             await this.loadDatabaseConfig();
             
-            // Step 1: Parse GPX file
-            const gpxData = await this.parseGpxFile(params.gpxFilePath);
-            console.log(`📊 GPX Data: ${gpxData.distance}km, ${gpxData.duration}min, ${gpxData.points.length} points`);
-            console.log(`📍 Location: ${gpxData.startLocation.lat}, ${gpxData.startLocation.lon}`);
-            
-            // Step 2: Enhance elevation data using GPXZ
-            const enhancedGpxData = await this.enhanceElevationData(gpxData);
-            console.log(`⛰️  Enhanced elevation gain: ${enhancedGpxData.elevationGain}m`);
-            
-            // Step 3: Get weather data using coordinates and date from GPX
-            const weatherData = await this.getWeatherData(
-                gpxData.startLocation.lat, 
-                gpxData.startLocation.lon, 
-                gpxData.startTime
-            );
-            console.log(`🌤️  Weather for ${gpxData.startTime ? gpxData.startTime.toDateString() : 'today'}: ${weatherData.windSpeed}m/s, ${weatherData.humidity}%`);
-            
-            // Step 4: Calculate calories with all factors
-            const calorieData = this.calculateDetailedCalories({
-                weight: params.weight,
-                distance: enhancedGpxData.distance,
-                duration: enhancedGpxData.duration,
-                elevationGain: enhancedGpxData.elevationGain,
-                averageSpeed: enhancedGpxData.averageSpeed,
-                weather: weatherData
-            });
+            // Resolve rider profile and weight
+            if (params.weight !== undefined && params.weight !== null &&
+                (typeof params.weight !== 'number' || !Number.isFinite(params.weight) || params.weight <= 0)) {
+                throw new InputError(`Invalid weight: ${params.weight}. Use a number of kilograms above 0`);
+            }
+            let rider = null;
+            if (params.riderId) {
+                rider = await this.getRider(params.riderId);
+                if (!rider) {
+                    throw new InputError(`Rider not found: ${params.riderId}`);
+                }
+                console.log(`👤 Rider: ${rider.name} (${rider.weight}kg)`);
+            }
+            const weight = params.weight ?? (rider ? rider.weight : await this.getDefaultRiderWeight());
             
-            const result = {
-                summary: calorieData,
-                gpxData: enhancedGpxData,
-                weatherData,
-                breakdown: this.getCalorieBreakdown(calorieData),
-                location: gpxData.startLocation
-            };
+            // Step 1: Parse activity file
+            const filePath = params.filePath || params.gpxFilePath;
+            const gpxData = await this.parseActivityFile(filePath);
             
-            // Save to database if enabled
-            if (this.database) {
-                try {
-                    await this.database.initialize();
-                    const rideId = await this.database.saveRide(
-                        result, 
-                        path.basename(params.gpxFilePath),
-                        params.weight
-                    );
-                    result.rideId = rideId;
-                } catch (dbError) {
-                    console.warn('⚠️  Failed to save to database:', dbError.message);
-                } finally {
-                    await this.database.close();
+            const trackMode = params.trackMode || this.getSetting('gpxTrackMode');
+            if (!GPX_TRACK_MODES.includes(trackMode)) {
+                throw new InputError(`Unknown track mode: ${trackMode}. Use ${GPX_TRACK_MODES.join(' or ')}`);
+            }
+            
+            const onDuplicate = params.onDuplicate || this.getSetting('onDuplicate');
+            if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+                throw new InputError(`Unknown duplicate action: ${onDuplicate}. Use ${DUPLICATE_ACTIONS.join(', ')}`);
+            }
+            
+            const suppliedWeather = {};
+            for (const [field, [min, max]] of Object.entries(SUPPLIED_WEATHER_RANGES)) {
+                const value = params.weather ? params.weather[field] : undefined;
+                if (value === undefined || value === null) {
+                    continue;
+                }
+                if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+                    throw new InputError(`Invalid ${field}: ${value}. Use a number from ${min} to ${max}`);
+                }
+                suppliedWeather[field] = value;
+            }
+            
+            if (this.isOffline()) {
+                console.log('📴 Offline mode: using cached, local and supplied data only');
+            }
+            
+            const options = { weight, rider, model: params.model, splits: params.splits, onDuplicate, filePath, suppliedWeather };
+            
+            if (trackMode === 'separate' && gpxData.tracks && gpxData.tracks.length > 1) {
+                console.log(`🗂️  Processing ${gpxData.tracks.length} tracks as separate rides`);
+                const results = [];
+                for (const trackData of this.splitTracks(gpxData)) {
+                    results.push(await this.analyzeActivity(trackData, options));
                 }
+                return results;
             }
             
-            return result;
+            return await this.analyzeActivity(gpxData, options);
             
         } catch (error) {
             console.error('❌ Error calculating calories:', error.message);
@@ -140,316 +460,1556 @@ class CyclingCalorieCalculator {
         }
     }
 
+    /**
+     * Run elevation enhancement, weather lookup and calorie calculation for parsed
+     * activity data, then save the ride
+     * @param {Object} gpxData - Parsed activity data
+     * @param {Object} options - { weight, rider, model, splits, onDuplicate, filePath, suppliedWeather }
+     * @returns {Object} Detailed calorie burn analysis
+     */
+    async analyzeActivity(gpxData, { weight, rider, model, splits, onDuplicate, filePath, suppliedWeather = {} }) {
+        console.log(`📊 ${gpxData.sourceFormat.toUpperCase()} Data: ${gpxData.distance}km, ${gpxData.duration}min (${gpxData.movingTime}min moving), ${gpxData.points.length} points`);
+        console.log(`📍 Location: ${gpxData.startLocation.lat}, ${gpxData.startLocation.lon}`);
+        
+        // Step 2: Enhance elevation data using GPXZ or local DEM tiles
+        let enhancedGpxData = await this.enhanceElevationData(gpxData);
+        console.log(`⛰️  Enhanced elevation gain: ${enhancedGpxData.elevationGain}m`);
+        
+        // Step 3: Get weather data along the route, starting at the coordinates and date from GPX
+        const { weatherData, points } = await this.getRouteWeather(enhancedGpxData, suppliedWeather);
+        enhancedGpxData = { ...enhancedGpxData, points };
+        console.log(`🌤️  Weather for ${gpxData.startTime ? gpxData.startTime.toDateString() : 'today'}: ${weatherData.windSpeed}m/s, ${weatherData.humidity}%${weatherData.samples.length > 1 ? ` (average of ${weatherData.samples.length} samples along the route)` : ''}`);
+        
+        // Step 4: Calculate calories with all factors
+        const calorieData = this.calculateDetailedCalories({
+            weight,
+            distance: enhancedGpxData.distance,
+            duration: enhancedGpxData.movingTime ?? enhancedGpxData.duration,
+            elevationGain: enhancedGpxData.elevationGain,
+            averageSpeed: enhancedGpxData.averageSpeed,
+            points: enhancedGpxData.points,
+            weather: weatherData,
+            rider,
+            model
+        });
+        
+        // Step 5: Attribute the calories to distance or lap splits and to climbs
+        const splitData = this.calculateSplits(enhancedGpxData, calorieData, {
+            weight,
+            rider,
+            weather: weatherData,
+            interval: splits || this.getSetting('splitInterval')
+        });
+        
+        const climbs = this.detectClimbs(enhancedGpxData, calorieData, { weight, rider, weather: weatherData });
+        if (climbs.length > 0) {
+            console.log(`⛰️  Detected ${climbs.length} categorised climb${climbs.length === 1 ? '' : 's'}`);
+        }
+        
+        const result = {
+            summary: calorieData,
+            gpxData: enhancedGpxData,
+            weatherData,
+            breakdown: this.getCalorieBreakdown(calorieData, climbs),
+            splits: splitData,
+            climbs,
+            location: gpxData.startLocation,
+            rider,
+            weight,
+            offline: this.isOffline(),
+            assumptions: this.listAssumptions(enhancedGpxData, weatherData),
+            track: this.thinTrack(enhancedGpxData.points)
+        };
+        
+        const defaulted = result.assumptions.filter(assumption => assumption.source === 'default');
+        if (defaulted.length > 0) {
+            console.warn(`⚠️  Assumed defaults for: ${defaulted.map(assumption => assumption.input).join(', ')}`);
+        }
+        
+        // Step 6: Save to database if enabled, unless the ride is already there
+        if (this.database) {
+            try {
+                await this.connectDatabase();
+                
+                const duplicate = onDuplicate === 'keep' ? null : await this.database.findDuplicateRide(result);
+                if (duplicate) {
+                    console.log(`🔁 Ride matches saved ride #${duplicate.id} (${duplicate.source_filename || 'unknown file'}) by ${duplicate.match}`);
+                    result.duplicateOf = duplicate.id;
+                }
+                
+                if (duplicate && onDuplicate === 'skip') {
+                    console.log('⏭️  Duplicate ride not saved (use --on-duplicate replace or keep to change this)');
+                } else {
+                    // A replaced ride is overwritten in place and keeps its ID
+                    result.rideId = await this.database.saveRide(
+                        result, 
+                        path.basename(filePath),
+                        weight,
+                        duplicate ? duplicate.id : null
+                    );
+                    if (duplicate) {
+                        result.replacedRideId = duplicate.id;
+                    }
+                }
+            } catch (dbError) {
+                // Reported to the caller, which decides whether an unsaved ride is an error
+                console.warn('⚠️  Failed to save to database:', dbError.message);
+                result.saveError = dbError.message;
+            } finally {
+                await this.releaseDatabase();
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Split merged GPX data into one activity per track or route, each with the laps
+     * that start during it
+     */
+    splitTracks(gpxData) {
+        return gpxData.tracks.map(track => {
+            // The merge marker only applies to the merged point list
+            const points = gpxData.points
+                .slice(track.startIndex, track.startIndex + track.pointCount)
+                .map(point => {
+                    const trackPoint = { ...point };
+                    delete trackPoint.trackStart;
+                    return trackPoint;
+                });
+            
+            const times = points.filter(point => point.time).map(point => point.time);
+            const laps = (gpxData.laps || []).filter(lap => times.length > 0 && lap.startTime &&
+                lap.startTime >= times[0] && lap.startTime <= times[times.length - 1]);
+            
+            return {
+                ...this.summarizeTrack(points),
+                sourceFormat: gpxData.sourceFormat,
+                trackName: track.name,
+                tracks: [{ ...track, startIndex: 0 }],
+                laps,
+                waypoints: gpxData.waypoints
+            };
+        });
+    }
+
+    /**
+     * Detect the activity file format from its extension, falling back to content sniffing
+     */
+    async detectFileFormat(filePath) {
+        const extension = path.extname(filePath).toLowerCase().slice(1);
+        if (SUPPORTED_FILE_FORMATS.includes(extension)) {
+            return extension;
+        }
+        
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(4096);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+            const header = buffer.toString('utf-8', 0, bytesRead);
+            
+            if (FitDecoder.isFit(buffer.subarray(0, bytesRead))) return 'fit';
+            if (header.includes('<TrainingCenterDatabase')) return 'tcx';
+            if (header.includes('<gpx')) return 'gpx';
+        } finally {
+            await handle.close();
+        }
+        
+        throw new InputError(`Unsupported activity file format: ${path.basename(filePath)}`);
+    }
+
+    /**
+     * Parse an activity file (GPX, TCX or FIT) into the common track data shape
+     */
+    async parseActivityFile(filePath) {
+        const format = await this.detectFileFormat(filePath);
+        
+        switch (format) {
+            case 'tcx':
+                return this.parseTcxFile(filePath);
+            case 'fit':
+                return this.parseFitFile(filePath);
+            default:
+                return this.parseGpxFile(filePath);
+        }
+    }
+
     /**
      * Parse GPX file and extract basic data
      */
     async parseGpxFile(filePath) {
         try {
             const gpxContent = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser();
+            // Strip namespace prefixes so gpxtpx:hr, ns3:hr, pwr:PowerInWatts... are read alike
+            const parser = new xml2js.Parser({
+                tagNameProcessors: [xml2js.processors.stripPrefix]
+            });
             const result = await parser.parseStringPromise(gpxContent);
             
-            const track = result.gpx.trk[0];
-            const segments = track.trkseg;
-            
-            let points = [];
-            let totalDistance = 0;
-            let totalElevationGain = 0;
-            let minTime, maxTime;
-            let startLocation = null;
-            let startTime = null;
-            
-            for (const segment of segments) {
-                const segmentPoints = segment.trkpt.map(point => ({
-                    lat: parseFloat(point.$.lat),
-                    lon: parseFloat(point.$.lon),
-                    ele: point.ele ? parseFloat(point.ele[0]) : null,
-                    time: point.time ? new Date(point.time[0]) : null
-                }));
-                
-                points = points.concat(segmentPoints);
-            }
+            const gpx = result.gpx;
             
-            // Get starting location and time from first trackpoint
-            if (points.length > 0) {
-                startLocation = {
-                    lat: points[0].lat,
-                    lon: points[0].lon
-                };
-                
-                // Find first point with time data
-                const pointWithTime = points.find(p => p.time !== null);
-                if (pointWithTime) {
-                    startTime = pointWithTime.time;
-                }
-            } else {
-                throw new Error('No trackpoints found in GPX file');
-            }
+            // Tracks are the recorded ride; route-only files (route planners) use their routes
+            const tracks = (gpx.trk || []).map((track, index) => ({
+                name: track.name ? String(track.name[0]).trim() : `Track ${index + 1}`,
+                type: 'track',
+                points: (track.trkseg || []).flatMap(segment => (segment.trkpt || []).map(point => this.parseGpxPoint(point)))
+            })).filter(track => track.points.length > 0);
             
-            // Calculate distance and basic elevation
-            for (let i = 1; i < points.length; i++) {
-                const prev = points[i - 1];
-                const curr = points[i];
-                
-                // Distance calculation using Haversine formula
-                totalDistance += this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon);
-                
-                // Basic elevation gain (if available)
-                if (prev.ele !== null && curr.ele !== null && curr.ele > prev.ele) {
-                    totalElevationGain += curr.ele - prev.ele;
-                }
-                
-                // Time tracking
-                if (curr.time) {
-                    if (!minTime) minTime = curr.time;
-                    maxTime = curr.time;
-                }
+            const routes = (gpx.rte || []).map((route, index) => ({
+                name: route.name ? String(route.name[0]).trim() : `Route ${index + 1}`,
+                type: 'route',
+                points: (route.rtept || []).map(point => this.parseGpxPoint(point))
+            })).filter(route => route.points.length > 0);
+            
+            const sources = tracks.length > 0 ? tracks : routes;
+            if (sources.length === 0) {
+                throw new Error('No trackpoints or route points found in GPX file');
             }
             
-            const duration = minTime && maxTime ? (maxTime - minTime) / (1000 * 60) : null; // minutes
-            const averageSpeed = duration ? (totalDistance / (duration / 60)) : null; // km/h
+            // Track segments serve as laps (devices start a new segment per lap or pause)
+            const laps = tracks.length === 0 ? [] : (gpx.trk || [])
+                .flatMap(track => track.trkseg || [])
+                .filter(segment => segment.trkpt && segment.trkpt[0].time)
+                .map(segment => ({ startTime: new Date(segment.trkpt[0].time[0]) }));
+            
+            const waypoints = (gpx.wpt || []).map(waypoint => ({
+                name: waypoint.name ? String(waypoint.name[0]).trim() : null,
+                description: waypoint.desc ? String(waypoint.desc[0]).trim() : null,
+                symbol: waypoint.sym ? String(waypoint.sym[0]).trim() : null,
+                lat: parseFloat(waypoint.$.lat),
+                lon: parseFloat(waypoint.$.lon),
+                ele: waypoint.ele ? parseFloat(waypoint.ele[0]) : null,
+                time: waypoint.time ? new Date(waypoint.time[0]) : null
+            }));
+            
+            // Merge all tracks; each one remembers where its points start for splitTracks()
+            let startIndex = 0;
+            const trackIndex = sources.map(source => {
+                if (startIndex > 0) {
+                    source.points[0].trackStart = true;
+                }
+                const entry = { name: source.name, type: source.type, startIndex, pointCount: source.points.length };
+                startIndex += source.points.length;
+                return entry;
+            });
             
             return {
-                points,
-                distance: parseFloat(totalDistance.toFixed(2)),
-                elevationGain: parseFloat(totalElevationGain.toFixed(1)),
-                duration: duration ? parseFloat(duration.toFixed(1)) : null,
-                averageSpeed: averageSpeed ? parseFloat(averageSpeed.toFixed(1)) : null,
-                hasElevation: points.some(p => p.ele !== null),
-                startLocation,
-                startTime
+                ...this.summarizeTrack(sources.flatMap(source => source.points)),
+                sourceFormat: 'gpx',
+                trackName: sources.length === 1 ? sources[0].name : null,
+                tracks: trackIndex,
+                laps,
+                waypoints
             };
             
         } catch (error) {
-            throw new Error(`Failed to parse GPX file: ${error.message}`);
+            throw new InputError(`Failed to parse GPX file: ${error.message}`);
         }
     }
 
     /**
-     * Enhance elevation data using GPXZ API
+     * Convert a GPX trkpt/rtept element into a track point
      */
-    async enhanceElevationData(gpxData) {
-        if (!this.config.gpxzApiKey) {
-            console.warn('⚠️  No GPXZ API key provided, using original elevation data');
-            return gpxData;
+    parseGpxPoint(point) {
+        return {
+            lat: parseFloat(point.$.lat),
+            lon: parseFloat(point.$.lon),
+            ele: point.ele ? parseFloat(point.ele[0]) : null,
+            time: point.time ? new Date(point.time[0]) : null,
+            ...this.parseGpxExtensions(point.extensions)
+        };
+    }
+
+    /**
+     * Parse sensor data from GPX trackpoint extensions
+     * (Garmin TrackPointExtension hr/cad/atemp and power/PowerInWatts extensions)
+     */
+    parseGpxExtensions(extensions) {
+        const sensors = {
+            heartRate: null,
+            cadence: null,
+            power: null,
+            temperature: null
+        };
+        
+        if (!extensions) {
+            return sensors;
         }
+        
+        const tags = {
+            hr: 'heartRate',
+            heartrate: 'heartRate',
+            cad: 'cadence',
+            cadence: 'cadence',
+            power: 'power',
+            powerinwatts: 'power',
+            watts: 'power',
+            atemp: 'temperature',
+            temp: 'temperature'
+        };
+        
+        // Extensions nest differently per vendor, so walk the whole subtree
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            
+            for (const [tag, children] of Object.entries(node)) {
+                if (tag === '$') continue;
+                
+                for (const child of [].concat(children)) {
+                    const field = tags[tag.toLowerCase()];
+                    const raw = typeof child === 'object' ? child._ : child;
+                    
+                    if (field && sensors[field] === null && raw !== undefined && !isNaN(parseFloat(raw))) {
+                        sensors[field] = parseFloat(raw);
+                    } else {
+                        visit(child);
+                    }
+                }
+            }
+        };
+        
+        visit(extensions[0]);
+        return sensors;
+    }
 
+    /**
+     * Parse TCX file (Activities/Activity/Lap/Track/Trackpoint) and extract basic data
+     */
+    async parseTcxFile(filePath) {
         try {
-            console.log('🔍 Enhancing elevation data with GPXZ...');
+            const tcxContent = await fs.readFile(filePath, 'utf-8');
+            const parser = new xml2js.Parser({
+                tagNameProcessors: [xml2js.processors.stripPrefix]
+            });
+            const result = await parser.parseStringPromise(tcxContent);
             
-            // Prepare points for elevation enhancement
-            const pointsToEnhance = gpxData.points.slice(0, 1000); // Limit to avoid API limits
-            const enhancedPoints = [];
+            const activities = result.TrainingCenterDatabase?.Activities?.[0]?.Activity || [];
+            const text = (node, key) => (node && node[key] ? node[key][0] : null);
+            const number = (value) => (value !== null && value !== undefined && value !== '' ? parseFloat(value) : null);
             
-            // Process points in batches to respect API limits
-            const batchSize = 10; // Conservative batch size
+            const points = [];
+            const laps = [];
             
-            for (let i = 0; i < pointsToEnhance.length; i += batchSize) {
-                const batch = pointsToEnhance.slice(i, i + batchSize);
-                
-                console.log(`Processing elevation batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(pointsToEnhance.length/batchSize)}`);
-                
-                const batchPromises = batch.map(async (point) => {
-                    try {
-                        const response = await axios.get(this.config.gpxzApiUrl, {
-                            params: {
-                                lat: point.lat,
-                                lon: point.lon
-                            },
-                            headers: {
-                                'x-api-key': this.config.gpxzApiKey
-                            },
-                            timeout: 10000
-                        });
-                        
-                        return {
-                            ...point,
-                            ele: response.data.elevation || point.ele
-                        };
-                        
-                    } catch (error) {
-                        console.warn(`⚠️  Failed to get elevation for point ${point.lat}, ${point.lon}:`, error.message);
-                        return point; // Return original point if enhancement fails
+            for (const activity of activities) {
+                for (const lap of activity.Lap || []) {
+                    const lapDistance = number(text(lap, 'DistanceMeters'));
+                    laps.push({
+                        startTime: lap.$?.StartTime ? new Date(lap.$.StartTime) : null,
+                        duration: number(text(lap, 'TotalTimeSeconds')), // seconds
+                        distance: lapDistance !== null ? lapDistance / 1000 : null, // km
+                        calories: number(text(lap, 'Calories'))
+                    });
+                    
+                    for (const track of lap.Track || []) {
+                        for (const trackpoint of track.Trackpoint || []) {
+                            const position = text(trackpoint, 'Position');
+                            // Trackpoints without a position (sensor-only samples) can't be placed on the route
+                            if (!position) continue;
+                            
+                            const tpx = text(text(trackpoint, 'Extensions'), 'TPX');
+                            const time = text(trackpoint, 'Time');
+                            
+                            points.push({
+                                lat: number(text(position, 'LatitudeDegrees')),
+                                lon: number(text(position, 'LongitudeDegrees')),
+                                ele: number(text(trackpoint, 'AltitudeMeters')),
+                                time: time ? new Date(time) : null,
+                                distanceMeters: number(text(trackpoint, 'DistanceMeters')),
+                                heartRate: number(text(text(trackpoint, 'HeartRateBpm'), 'Value')),
+                                cadence: number(text(trackpoint, 'Cadence')),
+                                power: number(text(tpx, 'Watts'))
+                            });
+                        }
                     }
-                });
-                
-                const batchResults = await Promise.all(batchPromises);
-                enhancedPoints.push(...batchResults);
-                
-                // Add delay between batches to respect rate limits
-                if (i + batchSize < pointsToEnhance.length) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
                 }
             }
             
-            // Add any remaining points that weren't processed
-            if (gpxData.points.length > pointsToEnhance.length) {
-                enhancedPoints.push(...gpxData.points.slice(pointsToEnhance.length));
+            if (points.length === 0) {
+                throw new Error('No trackpoints with position found in TCX file');
             }
             
-            // Recalculate elevation gain with enhanced data
-            let enhancedElevationGain = 0;
-            for (let i = 1; i < enhancedPoints.length; i++) {
-                const prev = enhancedPoints[i - 1];
-                const curr = enhancedPoints[i];
-                
-                if (prev.ele !== null && curr.ele !== null && curr.ele > prev.ele) {
-                    enhancedElevationGain += curr.ele - prev.ele;
-                }
-            }
+            const summary = this.applyDeviceDistance(this.summarizeTrack(points));
             
-            console.log(`✅ Enhanced ${enhancedPoints.length} points with GPXZ elevation data`);
+            const lapCalories = laps.reduce((sum, lap) => sum + (lap.calories || 0), 0);
             
             return {
-                ...gpxData,
-                points: enhancedPoints,
-                elevationGain: parseFloat(enhancedElevationGain.toFixed(1)),
-                hasElevation: true,
-                elevationEnhanced: true
+                ...summary,
+                laps,
+                deviceCalories: lapCalories > 0 ? Math.round(lapCalories) : null,
+                sourceFormat: 'tcx'
             };
             
         } catch (error) {
-            console.warn('⚠️  Failed to enhance elevation data:', error.message);
-            return { ...gpxData, elevationEnhanced: false };
+            throw new InputError(`Failed to parse TCX file: ${error.message}`);
         }
     }
 
     /**
-     * Get weather data from API for specific date
+     * Parse FIT file record, lap and session messages and extract basic data
      */
-    async getWeatherData(lat, lon, rideDate = null) {
-        if (!this.config.weatherApiKey) {
-            console.warn('⚠️  No weather API key provided, using default conditions');
-            return {
-                windSpeed: 0,
-                windDirection: 0,
-                humidity: 50,
-                temperature: 20,
-                source: 'default',
-                date: rideDate ? rideDate.toDateString() : 'current'
-            };
-        }
-
+    async parseFitFile(filePath) {
         try {
-            let response;
-            let weatherData;
+            const fitContent = await fs.readFile(filePath);
+            const fit = new FitDecoder().decode(fitContent);
             
-            // Check if we need historical data (ride date is more than 5 days ago)
-            const now = new Date();
-            const fiveDaysAgo = new Date(now.getTime() - (5 * 24 * 60 * 60 * 1000));
+            const value = (field) => (field !== undefined ? field : null);
+            const points = fit.records
+                // Records without a position (sensor-only samples) can't be placed on the route
+                .filter(record => record.positionLat !== undefined && record.positionLong !== undefined)
+                .map(record => ({
+                    lat: FitDecoder.semicirclesToDegrees(record.positionLat),
+                    lon: FitDecoder.semicirclesToDegrees(record.positionLong),
+                    ele: value(record.enhancedAltitude !== undefined ? record.enhancedAltitude : record.altitude),
+                    time: value(record.timestamp),
+                    distanceMeters: value(record.distance),
+                    speed: value(record.enhancedSpeed !== undefined ? record.enhancedSpeed : record.speed), // m/s
+                    heartRate: value(record.heartRate),
+                    cadence: value(record.cadence),
+                    power: value(record.power),
+                    temperature: value(record.temperature)
+                }));
             
-            if (rideDate && rideDate < fiveDaysAgo) {
-                // Use historical weather API (OpenWeatherMap One Call API 3.0)
-                console.log('🕒 Fetching historical weather data...');
-                
-                const timestamp = Math.floor(rideDate.getTime() / 1000);
-                
-                response = await axios.get(this.config.weatherHistoricalApiUrl, {
-                    params: {
-                        lat,
-                        lon,
-                        dt: timestamp,
-                        appid: this.config.weatherApiKey,
-                        units: 'metric'
-                    },
-                    timeout: 10000
-                });
-                
-                const historicalData = response.data.data[0];
-                
-                weatherData = {
-                    windSpeed: historicalData.wind_speed || 0,
-                    windDirection: historicalData.wind_deg || 0,
-                    humidity: historicalData.humidity || 50,
-                    temperature: historicalData.temp || 20,
-                    pressure: historicalData.pressure || 1013,
-                    source: 'historical',
-                    date: rideDate.toDateString()
-                };
-                
-            } else {
-                // Use current weather API for recent dates or when no date is available
-                console.log('🌐 Fetching current/recent weather data...');
-                
-                response = await axios.get(this.config.weatherApiUrl, {
-                    params: {
-                        lat,
-                        lon,
-                        appid: this.config.weatherApiKey,
-                        units: 'metric'
-                    },
-                    timeout: 10000
-                });
-                
-                const currentData = response.data;
-                
-                weatherData = {
-                    windSpeed: currentData.wind?.speed || 0,
-                    windDirection: currentData.wind?.deg || 0,
-                    humidity: currentData.main?.humidity || 50,
-                    temperature: currentData.main?.temp || 20,
-                    pressure: currentData.main?.pressure || 1013,
-                    source: 'current',
-                    date: rideDate ? rideDate.toDateString() : 'current'
-                };
+            if (points.length === 0) {
+                throw new Error('No records with position found in FIT file');
             }
             
-            return weatherData;
-            
-        } catch (error) {
-            console.warn('⚠️  Failed to get weather data:', error.message);
+            const laps = fit.laps.map(lap => ({
+                startTime: value(lap.startTime),
+                duration: value(lap.totalElapsedTime), // seconds
+                distance: lap.totalDistance !== undefined ? lap.totalDistance / 1000 : null, // km
+                calories: value(lap.totalCalories)
+            }));
             
-            // If historical API fails, try current weather as fallback
-            if (rideDate && error.response?.status === 401) {
-                console.warn('⚠️  Historical weather requires paid API plan, using current weather as fallback');
-                try {
-                    const response = await axios.get(this.config.weatherApiUrl, {
-                        params: {
-                            lat,
-                            lon,
-                            appid: this.config.weatherApiKey,
-                            units: 'metric'
-                        },
-                        timeout: 10000
-                    });
-                    
-                    const data = response.data;
-                    return {
-                        windSpeed: data.wind?.speed || 0,
-                        windDirection: data.wind?.deg || 0,
-                        humidity: data.main?.humidity || 50,
-                        temperature: data.main?.temp || 20,
-                        pressure: data.main?.pressure || 1013,
-                        source: 'current_fallback',
-                        date: 'current (historical unavailable)'
-                    };
-                } catch (fallbackError) {
-                    // Fall through to default values
-                }
-            }
+            const sessionCalories = fit.sessions.reduce((sum, session) => sum + (session.totalCalories || 0), 0);
+            const lapCalories = laps.reduce((sum, lap) => sum + (lap.calories || 0), 0);
+            const deviceCalories = sessionCalories || lapCalories;
             
             return {
-                windSpeed: 0,
-                windDirection: 0,
-                humidity: 50,
-                temperature: 20,
-                source: 'fallback',
-                date: rideDate ? rideDate.toDateString() : 'default'
+                ...this.applyDeviceDistance(this.summarizeTrack(points)),
+                laps,
+                deviceCalories: deviceCalories > 0 ? Math.round(deviceCalories) : null,
+                sourceFormat: 'fit'
             };
+            
+        } catch (error) {
+            throw new InputError(`Failed to parse FIT file: ${error.message}`);
         }
     }
 
     /**
-     * Calculate detailed calorie burn with all factors
+     * Prefer the device's cumulative distance (wheel/speed sensor) over GPS distance
      */
-    calculateDetailedCalories(params) {
+    applyDeviceDistance(summary) {
+        const withDistance = summary.points.filter(p => p.distanceMeters !== null && p.distanceMeters !== undefined);
+        if (withDistance.length > 1) {
+            const distance = (withDistance[withDistance.length - 1].distanceMeters - withDistance[0].distanceMeters) / 1000;
+            if (distance > 0) {
+                summary.distance = parseFloat(distance.toFixed(2));
+                summary.averageSpeed = summary.movingTime ? parseFloat((distance / (summary.movingTime / 60)).toFixed(1)) : null;
+            }
+        }
+        
+        return summary;
+    }
+
+    /**
+     * Summarize track points into distance, elevation, duration and start data
+     */
+    summarizeTrack(points) {
+        let totalDistance = 0;
+        let minTime, maxTime;
+        
+        // Get starting location and time from first trackpoint
+        const startLocation = {
+            lat: points[0].lat,
+            lon: points[0].lon
+        };
+        
+        // Find first point with time data
+        const pointWithTime = points.find(p => p.time !== null);
+        const startTime = pointWithTime ? pointWithTime.time : null;
+        
+        // Calculate distance
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            
+            // Distance calculation using Haversine formula (not across merged tracks)
+            if (!curr.trackStart) {
+                totalDistance += this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon);
+            }
+            
+            // Time tracking
+            if (curr.time) {
+                if (!minTime) minTime = curr.time;
+                maxTime = curr.time;
+            }
+        }
+        
+        let duration = minTime && maxTime ? (maxTime - minTime) / (1000 * 60) : null; // minutes, elapsed
+        let { movingTime, stops } = this.detectStops(points, duration);
+        
+        // Planned routes carry no timestamps: ride them at the assumed speed
+        const timingAssumed = !duration && totalDistance > 0;
+        if (timingAssumed) {
+            duration = movingTime = totalDistance / this.getSetting('assumedSpeed') * 60;
+            console.warn(`⚠️  No timestamps in track, assuming ${this.getSetting('assumedSpeed')} km/h`);
+        }
+        const averageSpeed = movingTime ? (totalDistance / (movingTime / 60)) : null; // km/h while moving
+        
+        return {
+            points,
+            distance: parseFloat(totalDistance.toFixed(2)),
+            ...this.calculateElevationStats(points),
+            duration: duration ? parseFloat(duration.toFixed(1)) : null,
+            movingTime: movingTime ? parseFloat(movingTime.toFixed(1)) : null,
+            stops,
+            timingAssumed,
+            averageSpeed: averageSpeed ? parseFloat(averageSpeed.toFixed(1)) : null,
+            hasElevation: points.some(p => p.ele !== null),
+            sensors: this.summarizeSensors(points),
+            startLocation,
+            startTime,
+            contentHash: this.fingerprintPoints(points)
+        };
+    }
+
+    /**
+     * Hash the recorded positions, elevations and times of a track, so the same
+     * activity is recognised when it is imported again
+     */
+    fingerprintPoints(points) {
+        const hash = crypto.createHash('sha256');
+        for (const point of points) {
+            hash.update(`${point.lat.toFixed(6)},${point.lon.toFixed(6)},${point.ele ?? ''},${point.time ? point.time.getTime() : ''};`);
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Detect stopped periods and compute moving time
+     * A segment counts as stopped when its speed is below auto_pause_speed (km/h) or when
+     * the recording gap exceeds auto_pause_gap (seconds); stops shorter than
+     * auto_pause_min_stop (seconds) are treated as riding.
+     * @param {Array} points - Track points with time
+     * @param {number|null} duration - Elapsed time in minutes
+     * @returns {Object} { movingTime (minutes), stops: [{ lat, lon, startTime, duration (seconds) }] }
+     */
+    detectStops(points, duration) {
+        if (!duration) {
+            return { movingTime: null, stops: [] };
+        }
+        
+        const minSpeed = this.getSetting('autoPauseSpeed');
+        const maxGap = this.getSetting('autoPauseGap');
+        const minStop = this.getSetting('autoPauseMinStop');
+        const stops = [];
+        let current = null;
+        
+        const closeStop = () => {
+            if (current && current.duration >= minStop) {
+                stops.push({ ...current, duration: Math.round(current.duration) });
+            }
+            current = null;
+        };
+        
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            if (!prev.time || !curr.time) continue;
+            
+            const seconds = (curr.time - prev.time) / 1000;
+            if (seconds <= 0) continue;
+            
+            const speed = this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon) / (seconds / 3600);
+            if (seconds > maxGap || speed < minSpeed) {
+                if (!current) {
+                    current = { lat: prev.lat, lon: prev.lon, startTime: prev.time, duration: 0 };
+                }
+                current.duration += seconds;
+            } else {
+                closeStop();
+            }
+        }
+        closeStop();
+        
+        const stoppedMinutes = stops.reduce((sum, stop) => sum + stop.duration, 0) / 60;
+        
+        return {
+            movingTime: Math.max(0, duration - stoppedMinutes),
+            stops
+        };
+    }
+
+    /**
+     * Summarize heart rate, cadence, power and temperature samples into per-ride averages and maxima
+     * @returns {Object|null} Sensor summary, or null when the track carries no sensor data
+     */
+    summarizeSensors(points) {
+        const values = (field, filter = () => true) => points
+            .map(p => p[field])
+            .filter(value => value !== null && value !== undefined && filter(value));
+        const average = (list) => (list.length ? list.reduce((sum, v) => sum + v, 0) / list.length : null);
+        // reduce rather than Math.max(...list), which overflows the call stack on long tracks
+        const maximum = (list) => (list.length ? list.reduce((max, v) => (v > max ? v : max), list[0]) : null);
+        const round = (value, decimals = 0) => (value !== null ? parseFloat(value.toFixed(decimals)) : null);
+        
+        const heartRates = values('heartRate', v => v > 0);
+        const cadences = values('cadence', v => v > 0); // exclude coasting
+        const powers = values('power');
+        const temperatures = values('temperature');
+        
+        if (!heartRates.length && !cadences.length && !powers.length && !temperatures.length) {
+            return null;
+        }
+        
+        return {
+            avgHeartRate: round(average(heartRates)),
+            maxHeartRate: maximum(heartRates),
+            avgCadence: round(average(cadences)),
+            maxCadence: maximum(cadences),
+            avgPower: round(average(powers)),
+            maxPower: maximum(powers),
+            normalizedPower: round(this.calculateNormalizedPower(points)),
+            avgTemperature: round(average(temperatures), 1)
+        };
+    }
+
+    /**
+     * Calculate normalized power: 4th-power mean of the 30-second rolling average power
+     */
+    calculateNormalizedPower(points) {
+        const samples = points.filter(p => p.power !== null && p.power !== undefined && p.time);
+        if (samples.length < 2) {
+            return null;
+        }
+        
+        // Resample to one value per second; gaps longer than 10s count as zero power (stopped)
+        const perSecond = [];
+        for (let i = 0; i < samples.length - 1; i++) {
+            const gap = Math.round((samples[i + 1].time - samples[i].time) / 1000);
+            for (let s = 0; s < gap; s++) {
+                perSecond.push(gap > 10 ? 0 : samples[i].power);
+            }
+        }
+        
+        const windowSize = 30;
+        if (perSecond.length < windowSize) {
+            return null;
+        }
+        
+        let windowSum = perSecond.slice(0, windowSize).reduce((sum, v) => sum + v, 0);
+        let fourthPowerSum = Math.pow(windowSum / windowSize, 4);
+        let count = 1;
+        
+        for (let i = windowSize; i < perSecond.length; i++) {
+            windowSum += perSecond[i] - perSecond[i - windowSize];
+            fourthPowerSum += Math.pow(windowSum / windowSize, 4);
+            count++;
+        }
+        
+        return Math.pow(fourthPowerSum / count, 0.25);
+    }
+
+    /**
+     * Calculate raw and noise-filtered elevation gain and loss
+     * @param {Array} points - Track points with ele in meters
+     * @returns {Object} { elevationGain, elevationLoss, rawElevationGain, rawElevationLoss }
+     */
+    calculateElevationStats(points) {
+        const elevations = points.map(p => p.ele).filter(ele => ele !== null && ele !== undefined);
+        const raw = this.accumulateElevation(elevations, 0);
+        
+        // Hysteresis only counts a climb or descent once it exceeds the threshold
+        const threshold = this.getElevationFilters().includes('hysteresis') ? this.getSetting('elevationHysteresis') : 0;
+        const filtered = this.accumulateElevation(this.smoothElevations(elevations), threshold);
+        
+        return {
+            elevationGain: parseFloat(filtered.gain.toFixed(1)),
+            elevationLoss: parseFloat(filtered.loss.toFixed(1)),
+            rawElevationGain: parseFloat(raw.gain.toFixed(1)),
+            rawElevationLoss: parseFloat(raw.loss.toFixed(1))
+        };
+    }
+
+    /**
+     * Run the smoothing filters of the elevation_filter setting, in order
+     */
+    smoothElevations(elevations) {
+        let smoothed = elevations;
+        for (const filter of this.getElevationFilters()) {
+            if (filter === 'moving_average') {
+                smoothed = this.movingAverageElevation(smoothed, this.getSetting('elevationSmoothingWindow'));
+            } else if (filter === 'kalman') {
+                smoothed = this.kalmanFilterElevation(smoothed, this.getSetting('elevationKalmanNoise'));
+            }
+        }
+        return smoothed;
+    }
+
+    /**
+     * Parse the elevation_filter setting into a list of known filter names
+     */
+    getElevationFilters() {
+        const setting = this.getSetting('elevationFilter');
+        const filters = (Array.isArray(setting) ? setting : String(setting).split(','))
+            .map(filter => filter.trim().toLowerCase())
+            .filter(filter => filter && filter !== 'none');
+        
+        for (const filter of filters) {
+            if (!ELEVATION_FILTERS.includes(filter)) {
+                throw new Error(`Unknown elevation filter: ${filter}. Use ${ELEVATION_FILTERS.join(', ')} or none`);
+            }
+        }
+        
+        return filters;
+    }
+
+    /**
+     * Sum climbs and descents, ignoring changes smaller than the threshold (meters)
+     */
+    accumulateElevation(elevations, threshold) {
+        let gain = 0;
+        let loss = 0;
+        
+        if (elevations.length === 0) {
+            return { gain, loss };
+        }
+        
+        // The reference only moves once the elevation has changed by more than the threshold
+        let reference = elevations[0];
+        for (let i = 1; i < elevations.length; i++) {
+            const delta = elevations[i] - reference;
+            if (delta > threshold) {
+                gain += delta;
+                reference = elevations[i];
+            } else if (delta < -threshold) {
+                loss -= delta;
+                reference = elevations[i];
+            }
+        }
+        
+        return { gain, loss };
+    }
+
+    /**
+     * Centered moving average over a window of points
+     */
+    movingAverageElevation(elevations, windowSize) {
+        const half = Math.floor(Math.max(1, windowSize) / 2);
+        
+        return elevations.map((_, i) => {
+            const start = Math.max(0, i - half);
+            const end = Math.min(elevations.length, i + half + 1);
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += elevations[j];
+            }
+            return sum / (end - start);
+        });
+    }
+
+    /**
+     * One-dimensional Kalman filter treating elevation as a slowly changing state
+     * @param {Array} elevations - Elevations in meters
+     * @param {number} measurementNoise - Measurement variance in m²
+     */
+    kalmanFilterElevation(elevations, measurementNoise) {
+        const processNoise = 0.5; // m² of real elevation change expected between points
+        let estimate = elevations[0];
+        let errorCovariance = measurementNoise;
+        
+        return elevations.map((elevation, i) => {
+            if (i > 0) {
+                errorCovariance += processNoise;
+                const gain = errorCovariance / (errorCovariance + measurementNoise);
+                estimate += gain * (elevation - estimate);
+                errorCovariance *= 1 - gain;
+            }
+            return estimate;
+        });
+    }
+
+    /**
+     * Enhance elevation data with the configured elevation provider
+     * (elevation_provider: gpxz, dem or none)
+     * @returns {Object} Track data; elevationEnhanced holds the provider used, or false
+     */
+    async enhanceElevationData(gpxData) {
+        const provider = this.getSetting('elevationProvider');
+        
+        switch (provider) {
+            case 'gpxz':
+                return this.enhanceElevationWithGpxz(gpxData);
+            case 'dem':
+                return this.enhanceElevationWithDem(gpxData);
+            case 'none':
+                return gpxData;
+            default:
+                throw new Error(`Unknown elevation provider: ${provider}. Use ${Object.keys(ELEVATION_PROVIDERS).join(', ')}`);
+        }
+    }
+
+    /**
+     * Enhance elevation data by bilinear interpolation in local SRTM .hgt or GeoTIFF
+     * tiles from dem_directory. Gain is never computed over a mix of DEM and recorded
+     * elevation: when the tiles cover only part of the ride, a file with elevation keeps
+     * its own profile, and a file without it gets DEM elevation interpolated across the
+     * uncovered stretches ('dem-partial')
+     */
+    async enhanceElevationWithDem(gpxData) {
+        const directory = this.getSetting('demDirectory');
+        
+        try {
+            console.log(`🗺️  Reading elevation from DEM tiles in ${directory}...`);
+            
+            // Tiles stay loaded for later rides of the same run
+            if (!this.demElevation || this.demElevation.directory !== path.resolve(directory)) {
+                this.demElevation = new DemElevation(directory);
+            }
+            
+            const points = gpxData.points;
+            const samples = [];
+            for (const [index, point] of points.entries()) {
+                const elevation = await this.demElevation.getElevation(point.lat, point.lon);
+                if (elevation !== null) {
+                    samples.push({ index, elevation });
+                }
+            }
+            
+            if (samples.length === 0) {
+                console.warn('⚠️  No DEM tile covers this ride, using original elevation data');
+                return { ...gpxData, elevationEnhanced: false };
+            }
+            
+            const uncovered = points.length - samples.length;
+            if (uncovered > 0 && gpxData.hasElevation) {
+                console.warn(`⚠️  ${uncovered} of ${points.length} points are outside the DEM tiles, using the recorded elevation for the whole ride (add the missing tiles to ${directory})`);
+                return { ...gpxData, elevationEnhanced: false };
+            }
+            
+            let enhancedPoints;
+            if (uncovered > 0) {
+                console.warn(`⚠️  ${uncovered} of ${points.length} points are outside the DEM tiles and the file has no elevation, interpolating across them`);
+                enhancedPoints = this.interpolateElevations(points, this.cumulativeDistances(points), samples);
+            } else {
+                enhancedPoints = points.map((point, index) => ({ ...point, ele: samples[index].elevation }));
+            }
+            
+            console.log(`✅ Enhanced ${samples.length} points with DEM elevation data`);
+            
+            return {
+                ...gpxData,
+                points: enhancedPoints,
+                ...this.calculateElevationStats(enhancedPoints),
+                hasElevation: true,
+                elevationEnhanced: uncovered > 0 ? 'dem-partial' : 'dem'
+            };
+            
+        } catch (error) {
+            console.warn('⚠️  Failed to read DEM elevation data:', error.message);
+            return { ...gpxData, elevationEnhanced: false };
+        }
+    }
+
+    /**
+     * Enhance elevation data using the GPXZ multi-point API
+     * The route is resampled every elevation_sample_distance meters and at bends, the
+     * samples are looked up (cache first, then GPXZ in batches) and the elevations are
+     * interpolated back onto every original point, so rides of any length get one
+     * consistent profile. Offline only cached samples are used.
+     */
+    async enhanceElevationWithGpxz(gpxData) {
+        const offline = this.isOffline();
+        if (!this.config.gpxzApiKey && !offline) {
+            console.warn('⚠️  No GPXZ API key provided, using original elevation data');
+            return gpxData;
+        }
+
+        try {
+            console.log(offline ? '🔍 Enhancing elevation data from the GPXZ cache (offline mode)...' : '🔍 Enhancing elevation data with GPXZ...');
+            
+            const points = gpxData.points;
+            const distances = this.cumulativeDistances(points);
+            const sampleIndices = this.resampleRoute(points, distances);
+            console.log(`📐 Resampled ${points.length} points to ${sampleIndices.length} elevation samples (every ${this.getSetting('elevationSampleDistance')} m and at bends)`);
+            
+            // Samples rounding to the same location share one lookup, cached or not
+            const locations = new Map();
+            for (const index of sampleIndices) {
+                const location = this.elevationCacheKey(points[index].lat, points[index].lon);
+                if (!locations.has(location.key)) {
+                    locations.set(location.key, { ...location, lat: points[index].lat, lon: points[index].lon });
+                }
+            }
+            
+            const elevations = await this.getCachedElevations([...locations.values()], 'gpxz');
+            const missing = [...locations.values()].filter(location => !elevations.has(location.key));
+            this.elevationCacheStats.hits += locations.size - missing.length;
+            this.elevationCacheStats.misses += missing.length;
+            console.log(`💾 Elevation cache: ${locations.size - missing.length} of ${locations.size} locations cached`);
+            
+            // Offline, points near uncached samples are interpolated from the cached ones
+            const lookups = offline ? [] : missing;
+            if (offline && missing.length > 0) {
+                console.warn(`⚠️  Offline mode: ${missing.length} uncached locations are not looked up`);
+            }
+            
+            const fetched = [];
+            const batchCount = Math.ceil(lookups.length / GPXZ_BATCH_SIZE);
+            
+            for (let i = 0; i < lookups.length; i += GPXZ_BATCH_SIZE) {
+                const batch = lookups.slice(i, i + GPXZ_BATCH_SIZE);
+                
+                console.log(`Processing elevation batch ${Math.floor(i / GPXZ_BATCH_SIZE) + 1}/${batchCount} (${batch.length} points)`);
+                
+                try {
+                    const response = await this.getHttpClient().post(
+                        'gpxz',
+                        this.config.gpxzApiUrl,
+                        new URLSearchParams({ latlons: batch.map(location => `${location.lat},${location.lon}`).join('|') }).toString(),
+                        {
+                            headers: {
+                                'x-api-key': this.config.gpxzApiKey,
+                                'Content-Type': 'application/x-www-form-urlencoded'
+                            },
+                            timeout: this.getSetting('elevationApiTimeout')
+                        }
+                    );
+                    
+                    const results = response.data.results || [];
+                    batch.forEach((location, index) => {
+                        const elevation = results[index] ? results[index].elevation : null;
+                        if (typeof elevation === 'number') {
+                            elevations.set(location.key, elevation);
+                            fetched.push({ ...location, elevation });
+                        }
+                    });
+                    
+                } catch (error) {
+                    // Points near these samples are interpolated from the neighbouring batches
+                    console.warn(`⚠️  Failed to get elevation for batch ${Math.floor(i / GPXZ_BATCH_SIZE) + 1}:`, error.message);
+                }
+            }
+            
+            await this.cacheElevations(fetched, 'gpxz');
+            
+            const samples = sampleIndices
+                .map(index => ({ index, elevation: elevations.get(this.elevationCacheKey(points[index].lat, points[index].lon).key) }))
+                .filter(sample => sample.elevation !== undefined);
+            
+            if (samples.length === 0) {
+                console.warn(offline ? '⚠️  No cached GPXZ elevation for this route, using original elevation data' : '⚠️  GPXZ returned no elevation data, using original elevation data');
+                return { ...gpxData, elevationEnhanced: false };
+            }
+            
+            const enhancedPoints = this.interpolateElevations(points, distances, samples);
+            
+            console.log(`✅ Enhanced ${enhancedPoints.length} points with GPXZ elevation data (${samples.length} samples)`);
+            
+            // Recalculate elevation gain and loss with enhanced data
+            return {
+                ...gpxData,
+                points: enhancedPoints,
+                ...this.calculateElevationStats(enhancedPoints),
+                hasElevation: true,
+                elevationEnhanced: 'gpxz'
+            };
+            
+        } catch (error) {
+            console.warn('⚠️  Failed to enhance elevation data:', error.message);
+            return { ...gpxData, elevationEnhanced: false };
+        }
+    }
+
+    /**
+     * Pick the points where elevation is looked up: the start and finish, a point every
+     * elevation_sample_distance meters, the apex of every bend (direction change of
+     * ELEVATION_SAMPLE_TURN degrees or more) and both ends of every track gap
+     * @param {Array} distances - Cumulative distance in km of every point
+     * @returns {Array} Indices of the sampled points in route order
+     */
+    resampleRoute(points, distances) {
+        const spacing = this.getSetting('elevationSampleDistance') / 1000;
+        const indices = [0];
+        let lastDistance = 0;
+        let lastHeading = null;
+        
+        const add = (index) => {
+            if (indices[indices.length - 1] !== index) {
+                indices.push(index);
+            }
+            lastDistance = distances[index];
+        };
+        
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            
+            // Never interpolate across the gap between merged tracks
+            if (curr.trackStart) {
+                add(i - 1);
+                add(i);
+                lastHeading = null;
+                continue;
+            }
+            
+            // Bearings are meaningless while standing still
+            if (distances[i] - distances[i - 1] < 0.0005) continue;
+            
+            const heading = this.calculateBearing(prev.lat, prev.lon, curr.lat, curr.lon);
+            const turn = lastHeading === null ? 0 : Math.abs(((heading - lastHeading + 540) % 360) - 180);
+            
+            if (turn >= ELEVATION_SAMPLE_TURN && distances[i - 1] - lastDistance >= ELEVATION_SAMPLE_MIN_SPACING) {
+                add(i - 1);
+                lastHeading = heading;
+            } else if (lastHeading === null) {
+                lastHeading = heading;
+            }
+            
+            if (distances[i] - lastDistance >= spacing) {
+                add(i);
+                lastHeading = heading;
+            }
+        }
+        
+        add(points.length - 1);
+        return indices;
+    }
+
+    /**
+     * Interpolate sampled elevations linearly by distance onto every point; points before
+     * the first or after the last sample take its elevation
+     * @param {Array} distances - Cumulative distance in km of every point
+     * @param {Array} samples - [{ index, elevation }] in route order
+     */
+    interpolateElevations(points, distances, samples) {
+        const elevations = new Array(points.length);
+        
+        for (let i = 0; i <= samples[0].index; i++) {
+            elevations[i] = samples[0].elevation;
+        }
+        for (let s = 1; s < samples.length; s++) {
+            const from = samples[s - 1];
+            const to = samples[s];
+            const span = distances[to.index] - distances[from.index];
+            for (let i = from.index + 1; i <= to.index; i++) {
+                const fraction = span > 0 ? (distances[i] - distances[from.index]) / span : 1;
+                elevations[i] = from.elevation + (to.elevation - from.elevation) * fraction;
+            }
+        }
+        const last = samples[samples.length - 1];
+        for (let i = last.index + 1; i < points.length; i++) {
+            elevations[i] = last.elevation;
+        }
+        
+        return points.map((point, i) => ({ ...point, ele: parseFloat(elevations[i].toFixed(1)) }));
+    }
+
+    /**
+     * Elevation cache key: position rounded to elevation_cache_precision decimals
+     */
+    elevationCacheKey(lat, lon) {
+        const precision = this.getSetting('elevationCachePrecision');
+        const latitude = Number(lat.toFixed(precision));
+        const longitude = Number(lon.toFixed(precision));
+        
+        return { latitude, longitude, key: `${latitude},${longitude}` };
+    }
+
+    /**
+     * Look up cached elevations; a cache failure only means more API calls
+     * @returns {Map} Location key -> elevation
+     */
+    async getCachedElevations(locations, provider) {
+        if (!this.database || locations.length === 0) {
+            return new Map();
+        }
+        
+        try {
+            await this.connectDatabase();
+            return await this.database.getCachedElevations(locations, provider);
+        } catch (error) {
+            console.warn('⚠️  Failed to read elevation cache:', error.message);
+            return new Map();
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Store fetched elevations in the database cache
+     */
+    async cacheElevations(entries, provider) {
+        if (!this.database || entries.length === 0) {
+            return;
+        }
+        
+        try {
+            await this.connectDatabase();
+            await this.database.setCachedElevations(entries, provider);
+        } catch (error) {
+            console.warn('⚠️  Failed to update elevation cache:', error.message);
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Build the weather provider chain: the active provider (weather_provider) followed by
+     * the fallbacks (weather_fallback_providers), leaving out providers without an API key.
+     * The active provider uses the weatherApiKey option (or WEATHER_API_KEY) when given.
+     */
+    getWeatherProviders() {
+        const active = this.getSetting('weatherProvider');
+        const fallbacks = String(this.getSetting('weatherFallbackProviders'))
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        
+        const providers = [];
+        for (const name of new Set([active, ...fallbacks])) {
+            const apiKey = (name === active && this.config.weatherApiKey) || this.config.weatherApiKeys[name];
+            const provider = createWeatherProvider(name, {
+                apiKey,
+                timeout: this.getSetting('weatherApiTimeout'),
+                http: this.getHttpClient(),
+                ...(name === 'openweathermap' && {
+                    currentUrl: this.config.weatherApiUrl,
+                    historicalUrl: this.config.weatherHistoricalApiUrl
+                })
+            });
+            
+            if (apiKey) {
+                providers.push(provider);
+            }
+        }
+        
+        return providers;
+    }
+
+    /**
+     * Get weather data for a specific date: from the weather cache when possible,
+     * otherwise from the first provider in the chain that answers
+     */
+    async getWeatherData(lat, lon, rideDate = null) {
+        const cached = await this.getCachedWeather(lat, lon, rideDate);
+        if (cached) {
+            console.log(`💾 Using cached ${cached.source} weather data`);
+            return { ...cached, cached: true };
+        }
+        
+        if (this.isOffline()) {
+            console.warn('⚠️  Offline mode: no cached weather for this position and hour, using default conditions');
+            return {
+                ...DEFAULT_WEATHER,
+                source: 'default',
+                date: rideDate ? rideDate.toDateString() : 'current'
+            };
+        }
+        
+        const providers = this.getWeatherProviders();
+        
+        if (providers.length === 0) {
+            console.warn('⚠️  No weather API key provided, using default conditions');
+            return {
+                ...DEFAULT_WEATHER,
+                source: 'default',
+                date: rideDate ? rideDate.toDateString() : 'current'
+            };
+        }
+        
+        for (const provider of providers) {
+            try {
+                const weatherData = await provider.getWeather(lat, lon, rideDate);
+                await this.cacheWeather(lat, lon, rideDate, weatherData);
+                return weatherData;
+            } catch (error) {
+                console.warn(`⚠️  Failed to get weather data from ${provider.constructor.label}:`, error.message);
+            }
+        }
+        
+        return {
+            ...DEFAULT_WEATHER,
+            source: 'fallback',
+            date: rideDate ? rideDate.toDateString() : 'default'
+        };
+    }
+
+    /**
+     * Weather cache key: position rounded to weather_cache_precision decimals and the
+     * UTC hour of the ride (or of now for current conditions)
+     */
+    weatherCacheKey(lat, lon, rideDate) {
+        const precision = this.getSetting('weatherCachePrecision');
+        const hour = new Date(rideDate || Date.now());
+        hour.setUTCMinutes(0, 0, 0);
+        
+        return {
+            latitude: Number(lat.toFixed(precision)),
+            longitude: Number(lon.toFixed(precision)),
+            hour: hour.toISOString()
+        };
+    }
+
+    /**
+     * Look up weather in the database cache; a cache failure never stops the calculation.
+     * Offline, expired entries are used too: stale observations beat default conditions.
+     */
+    async getCachedWeather(lat, lon, rideDate) {
+        if (!this.database) {
+            return null;
+        }
+        
+        const { latitude, longitude, hour } = this.weatherCacheKey(lat, lon, rideDate);
+        try {
+            await this.connectDatabase();
+            return await this.database.getCachedWeather(latitude, longitude, hour, { includeExpired: this.isOffline() });
+        } catch (error) {
+            console.warn('⚠️  Failed to read weather cache:', error.message);
+            return null;
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Store provider weather in the database cache: historical conditions permanently,
+     * current conditions until weather_cache_ttl minutes have passed
+     */
+    async cacheWeather(lat, lon, rideDate, weatherData) {
+        if (!this.database || !CACHED_WEATHER_SOURCES.includes(weatherData.source)) {
+            return;
+        }
+        
+        const { latitude, longitude, hour } = this.weatherCacheKey(lat, lon, rideDate);
+        const expiresAt = weatherData.source === 'historical'
+            ? null
+            : new Date(Date.now() + this.getSetting('weatherCacheTtl') * 60 * 1000);
+        
+        try {
+            await this.connectDatabase();
+            await this.database.setCachedWeather(latitude, longitude, hour, weatherData, expiresAt);
+        } catch (error) {
+            console.warn('⚠️  Failed to update weather cache:', error.message);
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Get the weather of a ride: values supplied by the user replace the looked-up ones
+     * everywhere along the route, and no lookup is made when all of them are supplied
+     * @param {Object} supplied - { temperature, windSpeed, windDirection, humidity }, any subset
+     * @returns {Object} { weatherData: { ...conditions, samples, supplied: [fields] }, points }
+     */
+    async getRouteWeather(gpxData, supplied = {}) {
+        const fields = Object.keys(supplied);
+        
+        if (fields.length === Object.keys(SUPPLIED_WEATHER_RANGES).length) {
+            console.log('✍️  Using the supplied weather conditions');
+            return {
+                weatherData: {
+                    ...DEFAULT_WEATHER,
+                    ...supplied,
+                    source: 'user',
+                    date: gpxData.startTime ? gpxData.startTime.toDateString() : 'current',
+                    samples: [],
+                    supplied: fields
+                },
+                points: gpxData.points
+            };
+        }
+        
+        const { weatherData, points } = await this.sampleRouteWeather(gpxData);
+        if (fields.length === 0) {
+            return { weatherData: { ...weatherData, supplied: [] }, points };
+        }
+        
+        console.log(`✍️  Using the supplied ${fields.join(', ')} instead of the looked-up values`);
+        return {
+            weatherData: {
+                ...weatherData,
+                ...supplied,
+                samples: weatherData.samples.map(sample => ({ ...sample, ...supplied })),
+                supplied: fields
+            },
+            points: points.map(point => point.weather ? { ...point, weather: { ...point.weather, ...supplied } } : point)
+        };
+    }
+
+    /**
+     * Get weather at sample points along the route and interpolate it onto every track point
+     * (point.weather), so the calorie model sees the conditions of each segment. The ride's
+     * weather is the average of the samples; with a single sample (short rides, or no
+     * weather provider) it is that sample and the points are left as they are.
+     * @returns {Object} { weatherData: { ...conditions, samples }, points }
+     */
+    async sampleRouteWeather(gpxData) {
+        const points = gpxData.points;
+        const start = await this.getWeatherData(gpxData.startLocation.lat, gpxData.startLocation.lon, gpxData.startTime);
+        
+        if (DEFAULT_WEATHER_SOURCES.includes(start.source)) {
+            return { weatherData: { ...start, samples: [] }, points };
+        }
+        
+        const samples = [this.toWeatherSample(start, gpxData.startLocation, 0, gpxData.startTime)];
+        const samplePoints = this.selectWeatherSamplePoints(points);
+        
+        if (samplePoints.length > 1) {
+            console.log(`🌦️  Sampling weather at ${samplePoints.length} points along the route...`);
+        }
+        
+        for (const { index, distance } of samplePoints.slice(1)) {
+            const point = points[index];
+            const weather = await this.getWeatherData(point.lat, point.lon, point.time || gpxData.startTime);
+            if (DEFAULT_WEATHER_SOURCES.includes(weather.source)) {
+                console.warn(`⚠️  No weather for km ${distance.toFixed(1)}, interpolating from the other samples`);
+                continue;
+            }
+            samples.push(this.toWeatherSample(weather, point, distance, point.time));
+        }
+        
+        if (samples.length === 1) {
+            return { weatherData: { ...start, samples }, points };
+        }
+        
+        const distances = this.cumulativeDistances(points);
+        const average = (field) => samples.reduce((sum, sample) => sum + sample[field], 0) / samples.length;
+        const wind = this.averageWind(samples);
+        
+        return {
+            weatherData: {
+                ...start,
+                windSpeed: parseFloat(wind.windSpeed.toFixed(2)),
+                windDirection: Math.round(wind.windDirection),
+                humidity: Math.round(average('humidity')),
+                temperature: parseFloat(average('temperature').toFixed(1)),
+                pressure: Math.round(average('pressure')),
+                samples
+            },
+            points: points.map((point, index) => ({
+                ...point,
+                weather: this.interpolateWeather(samples, distances[index])
+            }))
+        };
+    }
+
+    /**
+     * Thin the track to stored_track_points points evenly spread by distance, keeping the
+     * start and finish, for route maps and elevation profiles of saved rides
+     * @returns {Array} [{ distance (km), lat, lon, ele }]
+     */
+    thinTrack(points) {
+        const maxPoints = Math.floor(this.getSetting('storedTrackPoints'));
+        if (maxPoints <= 0 || points.length === 0) {
+            return [];
+        }
+        
+        const distances = this.cumulativeDistances(points);
+        const total = distances[distances.length - 1];
+        const last = points.length - 1;
+        let indices;
+        
+        if (points.length <= maxPoints) {
+            indices = points.map((point, index) => index);
+        } else if (maxPoints === 1) {
+            indices = [0];
+        } else if (total === 0) {
+            indices = Array.from({ length: maxPoints }, (_, k) => Math.round(k * last / (maxPoints - 1)));
+        } else {
+            // The first point at or past each of maxPoints evenly spaced distances
+            const step = total / (maxPoints - 1);
+            let target = 0;
+            indices = [];
+            for (let i = 0; i < points.length; i++) {
+                if (distances[i] >= target) {
+                    indices.push(i);
+                    target = (Math.floor(distances[i] / step) + 1) * step;
+                }
+            }
+            if (indices[indices.length - 1] !== last) {
+                indices.splice(Math.min(indices.length, maxPoints - 1), 1, last);
+            }
+        }
+        
+        return indices.map(index => ({
+            distance: parseFloat(distances[index].toFixed(3)),
+            lat: points[index].lat,
+            lon: points[index].lon,
+            ele: points[index].ele ?? null
+        }));
+    }
+
+    /**
+     * List the inputs of a ride that were not measured or looked up: weather supplied by
+     * the user, default weather when none was available, the file's elevation when the
+     * elevation provider could not be used, and the speed of files without timestamps
+     * @returns {Array} [{ input, value, source: 'user', 'default' or 'file' }]
+     */
+    listAssumptions(gpxData, weatherData) {
+        const assumptions = [];
+        const defaulted = DEFAULT_WEATHER_SOURCES.includes(weatherData.source);
+        
+        for (const field of Object.keys(DEFAULT_WEATHER)) {
+            if ((weatherData.supplied || []).includes(field)) {
+                assumptions.push({ input: field, value: weatherData[field], source: 'user' });
+            } else if (defaulted || (weatherData.source === 'user' && field === 'pressure')) {
+                assumptions.push({ input: field, value: weatherData[field] ?? DEFAULT_WEATHER[field], source: 'default' });
+            }
+        }
+        
+        // Without elevation data the ride is calculated as flat
+        if (!gpxData.elevationEnhanced) {
+            if (!gpxData.hasElevation) {
+                assumptions.push({ input: 'elevation', value: 0, source: 'default' });
+            } else if (ELEVATION_PROVIDERS[this.getSetting('elevationProvider')]) {
+                assumptions.push({ input: 'elevation', value: gpxData.elevationGain, source: 'file' });
+            }
+        }
+        
+        if (gpxData.timingAssumed) {
+            assumptions.push({ input: 'averageSpeed', value: gpxData.averageSpeed, source: 'default' });
+        }
+        
+        return assumptions;
+    }
+
+    /**
+     * Reduce provider weather to a route sample at a position, distance (km) and time
+     */
+    toWeatherSample(weather, position, distance, time) {
+        return {
+            distance: parseFloat(distance.toFixed(2)),
+            time: time || null,
+            lat: position.lat,
+            lon: position.lon,
+            windSpeed: weather.windSpeed,
+            windDirection: weather.windDirection,
+            humidity: weather.humidity,
+            temperature: weather.temperature,
+            pressure: weather.pressure ?? 1013,
+            source: weather.source,
+            provider: weather.provider || null
+        };
+    }
+
+    /**
+     * Distance in km from the start to every point (not across merged tracks)
+     */
+    cumulativeDistances(points) {
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            const step = points[i].trackStart
+                ? 0
+                : this.calculateDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+            distances.push(distances[i - 1] + step);
+        }
+        return distances;
+    }
+
+    /**
+     * Pick the points where weather is sampled: the start, then the first point another
+     * weather_sample_distance km or weather_sample_interval minutes on, and the finish.
+     * Long rides are thinned to weather_max_samples evenly spread samples.
+     * @returns {Array} [{ index, distance }] with distance in km from the start
+     */
+    selectWeatherSamplePoints(points) {
+        const sampleDistance = this.getSetting('weatherSampleDistance');
+        const sampleInterval = this.getSetting('weatherSampleInterval') * 60 * 1000;
+        const maxSamples = Math.max(1, Math.floor(this.getSetting('weatherMaxSamples')));
+        const distances = this.cumulativeDistances(points);
+        
+        const samples = [{ index: 0, distance: 0 }];
+        let last = { distance: 0, time: points[0].time };
+        
+        for (let i = 1; i < points.length; i++) {
+            const farEnough = distances[i] - last.distance >= sampleDistance;
+            const lateEnough = points[i].time && last.time && points[i].time - last.time >= sampleInterval;
+            if (farEnough || lateEnough) {
+                samples.push({ index: i, distance: distances[i] });
+                last = { distance: distances[i], time: points[i].time };
+            }
+        }
+        
+        // Finish the route unless the last sample is already close to the end
+        const end = points.length - 1;
+        const remainingDistance = distances[end] - last.distance;
+        const remainingTime = points[end].time && last.time ? points[end].time - last.time : 0;
+        if (samples.length > 1 && (remainingDistance >= sampleDistance / 2 || remainingTime >= sampleInterval / 2)) {
+            samples.push({ index: end, distance: distances[end] });
+        }
+        
+        if (samples.length <= maxSamples) {
+            return samples;
+        }
+        if (maxSamples === 1) {
+            return samples.slice(0, 1);
+        }
+        
+        // Keep the start and finish and spread the rest evenly
+        return Array.from({ length: maxSamples }, (_, i) => samples[Math.round(i * (samples.length - 1) / (maxSamples - 1))]);
+    }
+
+    /**
+     * Average wind of several samples as vectors, so winds from 350° and 10° average to 0°
+     */
+    averageWind(samples) {
+        const x = samples.reduce((sum, sample) => sum + sample.windSpeed * Math.sin(sample.windDirection * Math.PI / 180), 0) / samples.length;
+        const y = samples.reduce((sum, sample) => sum + sample.windSpeed * Math.cos(sample.windDirection * Math.PI / 180), 0) / samples.length;
+        
+        return {
+            windSpeed: Math.hypot(x, y),
+            windDirection: (Math.atan2(x, y) * 180 / Math.PI + 360) % 360
+        };
+    }
+
+    /**
+     * Interpolate weather samples linearly by distance along the route; wind is
+     * interpolated as a vector, and points beyond the first or last sample take its values
+     * @returns {Object} { windSpeed, windDirection, humidity, temperature, pressure }
+     */
+    interpolateWeather(samples, distance) {
+        let next = samples.findIndex(sample => sample.distance >= distance);
+        if (next === -1) next = samples.length - 1;
+        const before = samples[Math.max(0, next - 1)];
+        const after = samples[next];
+        
+        const span = after.distance - before.distance;
+        const fraction = span > 0 ? Math.max(0, Math.min(1, (distance - before.distance) / span)) : 1;
+        const mix = (field) => before[field] + (after[field] - before[field]) * fraction;
+        
+        const toVector = (sample) => ({
+            x: sample.windSpeed * Math.sin(sample.windDirection * Math.PI / 180),
+            y: sample.windSpeed * Math.cos(sample.windDirection * Math.PI / 180)
+        });
+        const from = toVector(before);
+        const to = toVector(after);
+        const x = from.x + (to.x - from.x) * fraction;
+        const y = from.y + (to.y - from.y) * fraction;
+        
+        return {
+            windSpeed: Math.hypot(x, y),
+            windDirection: (Math.atan2(x, y) * 180 / Math.PI + 360) % 360,
+            humidity: mix('humidity'),
+            temperature: mix('temperature'),
+            pressure: mix('pressure')
+        };
+    }
+
+    /**
+     * Calculate detailed calorie burn with all factors
+     */
+    calculateDetailedCalories(params) {
         const {
             weight,
             distance,
             duration,
             elevationGain,
             averageSpeed,
-            weather
+            points = [],
+            weather,
+            rider = null
         } = params;
 
         // Base metabolic equivalent (MET) values for cycling
@@ -471,15 +2031,62 @@ class CyclingCalorieCalculator {
         const elevationCalories = (elevationGain / 100) * weight * 10;
         
         // Wind resistance adjustment
-        const windFactor = this.calculateWindResistance(averageSpeed, weather.windSpeed, weather.windDirection);
+        const wind = this.analyzeWind(points, weather.windSpeed, weather.windDirection);
+        const windFactor = this.calculateWindResistance(averageSpeed, weather.windSpeed, weather.windDirection, wind);
         const windAdjustment = baseCalories * windFactor;
         
         // Temperature and humidity adjustments
-        const tempFactor = this.calculateTemperatureFactor(weather.temperature);
-        const humidityFactor = this.calculateHumidityFactor(weather.humidity);
+        const { tempFactor, humidityFactor } = this.calculateEnvironmentalFactors(points, weather);
         const environmentalAdjustment = baseCalories * (tempFactor + humidityFactor - 2);
         
-        const totalCalories = baseCalories + elevationCalories + windAdjustment + environmentalAdjustment;
+        const estimatedCalories = baseCalories + elevationCalories + windAdjustment + environmentalAdjustment;
+        
+        // Each model returns { calories, inputs } or null when the ride lacks the data it needs
+        const models = {
+            met: () => ({
+                calories: estimatedCalories,
+                inputs: { baseMET, averageSpeed, weight }
+            }),
+            power: () => {
+                const mechanicalWork = this.calculateMechanicalWork(points);
+                if (mechanicalWork === null) return null;
+                const grossEfficiency = this.getSetting('grossEfficiency');
+                return {
+                    calories: mechanicalWork / KJ_PER_KCAL / grossEfficiency,
+                    inputs: { mechanicalWork: parseFloat(mechanicalWork.toFixed(1)), grossEfficiency }
+                };
+            },
+            hr: () => this.calculateHeartRateCalories(points, rider, weight),
+            physics: () => {
+                const physics = this.calculatePhysicsWork(points, weight, weather);
+                if (physics === null) return null;
+                const grossEfficiency = this.getSetting('grossEfficiency');
+                return {
+                    calories: physics.mechanicalWork / KJ_PER_KCAL / grossEfficiency,
+                    inputs: { ...physics, grossEfficiency }
+                };
+            }
+        };
+        
+        const requestedModel = params.model || this.getSetting('calorieModel');
+        if (requestedModel !== 'auto' && !models[requestedModel]) {
+            throw new InputError(`Unknown calorie model: ${requestedModel} (use auto, ${[...CALORIE_MODELS, ...OPTIONAL_CALORIE_MODELS].join(', ')})`);
+        }
+        
+        let model = requestedModel !== 'auto' ? requestedModel : null;
+        let modelResult = model ? models[model]() : null;
+        if (model && !modelResult) {
+            console.warn(`⚠️  The ${model} model needs data this ride doesn't have, choosing a model automatically`);
+            model = null;
+        }
+        if (!modelResult) {
+            model = CALORIE_MODELS.find(candidate => (modelResult = models[candidate]()) !== null);
+        }
+        
+        const totalCalories = modelResult.calories;
+        // Per-segment wind data is only needed for the calculation itself
+        const windSummary = { ...wind };
+        delete windSummary.segments;
         
         return {
             totalCalories: Math.round(totalCalories),
@@ -488,27 +2095,303 @@ class CyclingCalorieCalculator {
             windAdjustment: Math.round(windAdjustment),
             environmentalAdjustment: Math.round(environmentalAdjustment),
             baseMET,
+            wind: windSummary,
+            model,
+            modelInputs: modelResult.inputs,
+            estimatedCalories: Math.round(estimatedCalories),
+            mechanicalWork: ['power', 'physics'].includes(model) ? modelResult.inputs.mechanicalWork : null,
+            grossEfficiency: ['power', 'physics'].includes(model) ? modelResult.inputs.grossEfficiency : null,
             caloriesPerKm: Math.round(totalCalories / distance),
             caloriesPerHour: Math.round(totalCalories / (duration / 60))
         };
     }
 
     /**
-     * Calculate wind resistance factor
+     * Integrate rolling resistance, aerodynamic drag, gravity and acceleration over every
+     * pair of trackpoints to estimate the rider's mechanical work
+     * @returns {Object|null} Work in kJ per component and model inputs, or null without timestamps
+     */
+    calculatePhysicsWork(points, weight, weather) {
+        const timed = points.filter(p => p.time);
+        if (timed.length < 2 || timed.length < points.length / 2) {
+            return null;
+        }
+        
+        const cda = this.getSetting('cda');
+        const crr = this.getSetting('rollingResistance');
+        const mass = weight + this.getSetting('bikeWeight');
+        // Share of the reported wind speed felt at rider height (terrain, shelter)
+        const windFactor = this.getSetting('windResistance');
+        
+        // Air density from temperature and pressure (ideal gas, dry air)
+        const densityOf = (conditions) => {
+            const temperature = conditions.temperature !== undefined ? conditions.temperature : 20;
+            const pressure = conditions.pressure || 1013.25;
+            return (pressure * 100) / (287.05 * (temperature + 273.15));
+        };
+        
+        const work = { rolling: 0, aerodynamic: 0, gravity: 0, acceleration: 0 };
+        let previousSpeed = null;
+        let densityDistance = 0;
+        let riddenDistance = 0;
+        
+        for (let i = 1; i < timed.length; i++) {
+            const prev = timed[i - 1];
+            const curr = timed[i];
+            const seconds = (curr.time - prev.time) / 1000;
+            const meters = this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon) * 1000;
+            
+            // Pauses and stationary samples break the speed sequence
+            if (seconds <= 0 || seconds > 10 || meters < 0.5) {
+                previousSpeed = null;
+                continue;
+            }
+            
+            const speed = meters / seconds;
+            const rise = prev.ele !== null && curr.ele !== null ? curr.ele - prev.ele : 0;
+            const grade = Math.max(-0.3, Math.min(0.3, rise / meters));
+            const angle = Math.atan(grade);
+            
+            // Conditions sampled along the route, or the ride's weather
+            const conditions = prev.weather || weather;
+            const airDensity = densityOf(conditions);
+            densityDistance += airDensity * meters;
+            riddenDistance += meters;
+            
+            const heading = this.calculateBearing(prev.lat, prev.lon, curr.lat, curr.lon);
+            const { headwind } = this.calculateWindComponents(heading, (conditions.windSpeed || 0) * windFactor, conditions.windDirection || 0);
+            const airSpeed = speed + headwind;
+            
+            const segment = {
+                rolling: crr * mass * GRAVITY * Math.cos(angle) * meters,
+                aerodynamic: 0.5 * airDensity * cda * airSpeed * Math.abs(airSpeed) * meters,
+                gravity: mass * GRAVITY * Math.sin(angle) * meters,
+                acceleration: previousSpeed !== null ? 0.5 * mass * (speed * speed - previousSpeed * previousSpeed) : 0
+            };
+            previousSpeed = speed;
+            
+            // Negative demand means coasting or braking: the rider does no work
+            const total = segment.rolling + segment.aerodynamic + segment.gravity + segment.acceleration;
+            if (total <= 0) continue;
+            
+            for (const component of Object.keys(work)) {
+                work[component] += segment[component];
+            }
+        }
+        
+        const toKilojoules = (joules) => parseFloat((joules / 1000).toFixed(1));
+        const mechanicalWork = Object.values(work).reduce((sum, joules) => sum + joules, 0);
+        
+        return {
+            mechanicalWork: toKilojoules(mechanicalWork),
+            components: {
+                rolling: toKilojoules(work.rolling),
+                aerodynamic: toKilojoules(work.aerodynamic),
+                gravity: toKilojoules(work.gravity),
+                acceleration: toKilojoules(work.acceleration)
+            },
+            cda,
+            crr,
+            totalMass: mass,
+            airDensity: parseFloat((riddenDistance > 0 ? densityDistance / riddenDistance : densityOf(weather)).toFixed(3)),
+            windFactor
+        };
+    }
+
+    /**
+     * Estimate calories from heart rate with the Keytel et al. (2005) equations
+     * @returns {Object|null} { calories, inputs }, or null without HR data or a rider age/sex
+     */
+    calculateHeartRateCalories(points, rider, weight) {
+        if (!rider || !rider.age || !['male', 'female'].includes(rider.sex)) {
+            return null;
+        }
+        
+        const samples = points.filter(p => p.heartRate > 0 && p.time);
+        if (samples.length < 2 || samples.length < points.length / 2) {
+            return null;
+        }
+        
+        // kJ per minute for a given heart rate
+        const kilojoulesPerMinute = rider.sex === 'male'
+            ? (hr) => -55.0969 + 0.6309 * hr + 0.1988 * weight + 0.2017 * rider.age
+            : (hr) => -20.4022 + 0.4472 * hr - 0.1263 * weight + 0.074 * rider.age;
+        
+        let kilojoules = 0;
+        let seconds = 0;
+        for (let i = 1; i < samples.length; i++) {
+            const interval = (samples[i].time - samples[i - 1].time) / 1000;
+            // Gaps longer than 10s are pauses, not riding
+            if (interval > 0 && interval <= 10) {
+                kilojoules += Math.max(0, kilojoulesPerMinute(samples[i - 1].heartRate)) * (interval / 60);
+                seconds += interval;
+            }
+        }
+        
+        if (seconds === 0) {
+            return null;
+        }
+        
+        const averageHeartRate = samples.reduce((sum, p) => sum + p.heartRate, 0) / samples.length;
+        
+        return {
+            calories: kilojoules / KJ_PER_KCAL,
+            inputs: {
+                averageHeartRate: Math.round(averageHeartRate),
+                age: rider.age,
+                sex: rider.sex,
+                weight
+            }
+        };
+    }
+
+    /**
+     * Integrate power over time into mechanical work
+     * @returns {number|null} Work in kJ, or null when fewer than half the points carry power
      */
-    calculateWindResistance(speed, windSpeed, windDirection) {
-        // Simplified wind resistance calculation
-        // Assumes rider direction is 0 degrees for simplicity
-        const headwindComponent = windSpeed * Math.cos((windDirection * Math.PI) / 180);
-        const effectiveWindSpeed = headwindComponent;
+    calculateMechanicalWork(points) {
+        const samples = points.filter(p => p.power !== null && p.power !== undefined && p.time);
+        if (samples.length < 2 || samples.length < points.length / 2) {
+            return null;
+        }
+        
+        let joules = 0;
+        for (let i = 1; i < samples.length; i++) {
+            const seconds = (samples[i].time - samples[i - 1].time) / 1000;
+            // Gaps longer than 10s are pauses, not pedalling
+            if (seconds > 0 && seconds <= 10) {
+                joules += samples[i - 1].power * seconds;
+            }
+        }
         
+        return joules / 1000;
+    }
+
+    /**
+     * Calculate wind resistance factor
+     */
+    calculateWindResistance(speed, windSpeed, windDirection, wind = null) {
         // Wind resistance increases exponentially with effective speed
-        const totalSpeed = speed + effectiveWindSpeed;
-        const speedFactor = Math.pow(totalSpeed / speed, 2.5) - 1;
+        const factorFor = (headwindComponent) => {
+            const totalSpeed = speed + headwindComponent;
+            return Math.pow(totalSpeed / speed, 2.5) - 1;
+        };
+        
+        let speedFactor;
+        if (wind && wind.segments.length > 0) {
+            // Weight each segment's factor by the time (or distance) spent on it
+            const totalWeight = wind.segments.reduce((sum, segment) => sum + segment.weight, 0);
+            speedFactor = wind.segments.reduce((sum, segment) => sum + factorFor(segment.headwind) * segment.weight, 0) / totalWeight;
+        } else {
+            // Without a route, assume the rider heads north (0 degrees)
+            speedFactor = factorFor(windSpeed * Math.cos((windDirection * Math.PI) / 180));
+        }
         
         return Math.max(-0.3, Math.min(0.5, speedFactor)); // Cap between -30% and +50%
     }
 
+    /**
+     * Split the wind into headwind (positive when against the rider) and crosswind
+     * components for a given direction of travel
+     */
+    calculateWindComponents(heading, windSpeed, windDirection) {
+        // Wind direction is where the wind blows from, so wind from the heading is a headwind
+        const angle = ((windDirection - heading) * Math.PI) / 180;
+        return {
+            headwind: windSpeed * Math.cos(angle),
+            crosswind: Math.abs(windSpeed * Math.sin(angle))
+        };
+    }
+
+    /**
+     * Decompose the wind along every track segment and total the time spent in
+     * headwind, crosswind and tailwind
+     * @returns {Object} Per-segment components plus time-weighted summary (minutes, m/s)
+     */
+    analyzeWind(points, windSpeed = 0, windDirection = 0) {
+        const segments = [];
+        const time = { headwind: 0, crosswind: 0, tailwind: 0 };
+        
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            const meters = this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon) * 1000;
+            // Bearings are meaningless while standing still
+            if (meters < 0.5) continue;
+            
+            const seconds = prev.time && curr.time ? (curr.time - prev.time) / 1000 : null;
+            const heading = this.calculateBearing(prev.lat, prev.lon, curr.lat, curr.lon);
+            // Wind sampled along the route, or the ride's wind
+            const wind = prev.weather || { windSpeed, windDirection };
+            const components = this.calculateWindComponents(heading, wind.windSpeed, wind.windDirection);
+            
+            // Within 45° of straight on counts as head/tailwind, the rest as crosswind
+            const relativeAngle = Math.abs(((wind.windDirection - heading + 540) % 360) - 180);
+            const sector = relativeAngle <= 45 ? 'headwind' : relativeAngle >= 135 ? 'tailwind' : 'crosswind';
+            if (seconds) {
+                time[sector] += seconds;
+            }
+            
+            segments.push({
+                heading,
+                ...components,
+                sector,
+                weight: seconds && seconds > 0 ? seconds : meters
+            });
+        }
+        
+        const totalWeight = segments.reduce((sum, segment) => sum + segment.weight, 0);
+        const weightedAverage = (field) => (totalWeight > 0
+            ? segments.reduce((sum, segment) => sum + segment[field] * segment.weight, 0) / totalWeight
+            : 0);
+        const toMinutes = (seconds) => parseFloat((seconds / 60).toFixed(1));
+        
+        return {
+            segments,
+            segmentCount: segments.length,
+            averageHeadwind: parseFloat(weightedAverage('headwind').toFixed(2)),
+            averageCrosswind: parseFloat(weightedAverage('crosswind').toFixed(2)),
+            headwindTime: toMinutes(time.headwind),
+            crosswindTime: toMinutes(time.crosswind),
+            tailwindTime: toMinutes(time.tailwind)
+        };
+    }
+
+    /**
+     * Temperature and humidity factors of a ride: the ride's weather, or with weather
+     * sampled along the route the time-weighted (distance-weighted without timestamps)
+     * average of every segment's factors
+     */
+    calculateEnvironmentalFactors(points, weather) {
+        let tempTotal = 0;
+        let humidityTotal = 0;
+        let totalWeight = 0;
+        
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            if (!prev.weather) continue;
+            
+            const seconds = prev.time && curr.time ? (curr.time - prev.time) / 1000 : 0;
+            const weight = seconds > 0 ? seconds : this.calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon);
+            tempTotal += this.calculateTemperatureFactor(prev.weather.temperature) * weight;
+            humidityTotal += this.calculateHumidityFactor(prev.weather.humidity) * weight;
+            totalWeight += weight;
+        }
+        
+        if (totalWeight === 0) {
+            return {
+                tempFactor: this.calculateTemperatureFactor(weather.temperature),
+                humidityFactor: this.calculateHumidityFactor(weather.humidity)
+            };
+        }
+        
+        return {
+            tempFactor: tempTotal / totalWeight,
+            humidityFactor: humidityTotal / totalWeight
+        };
+    }
+
     /**
      * Calculate temperature adjustment factor
      */
@@ -541,34 +2424,329 @@ class CyclingCalorieCalculator {
         return R * c;
     }
 
+    /**
+     * Calculate the compass bearing (degrees, 0 = north) from one coordinate to another
+     */
+    calculateBearing(lat1, lon1, lat2, lon2) {
+        const phi1 = lat1 * Math.PI / 180;
+        const phi2 = lat2 * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const y = Math.sin(dLon) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    /**
+     * Summarize part of a ride: distance, time, speed, elevation and the calories the
+     * ride's model gives for it
+     * @param {Object} gpxData - Parsed (and enhanced) activity data of the whole ride
+     * @param {Array} sectionPoints - Consecutive points of the section
+     * @param {Object} calorieData - Result of calculateDetailedCalories for the whole ride
+     * @param {Object} options - { weight, rider, weather }
+     */
+    summarizeSection(gpxData, sectionPoints, calorieData, { weight, rider, weather }) {
+        const first = sectionPoints[0];
+        const last = sectionPoints[sectionPoints.length - 1];
+        
+        let distance = 0;
+        for (let i = 1; i < sectionPoints.length; i++) {
+            if (!sectionPoints[i].trackStart) {
+                distance += this.calculateDistance(sectionPoints[i - 1].lat, sectionPoints[i - 1].lon, sectionPoints[i].lat, sectionPoints[i].lon);
+            }
+        }
+        
+        let duration = first.time && last.time ? (last.time - first.time) / (1000 * 60) : null;
+        let movingTime = this.detectStops(sectionPoints, duration).movingTime;
+        if (gpxData.timingAssumed) {
+            duration = movingTime = distance / this.getSetting('assumedSpeed') * 60;
+        }
+        const averageSpeed = movingTime ? distance / (movingTime / 60) : null;
+        const elevation = this.calculateElevationStats(sectionPoints);
+        
+        const calories = distance > 0 && movingTime ? this.calculateDetailedCalories({
+            weight,
+            distance,
+            duration: movingTime,
+            elevationGain: elevation.elevationGain,
+            averageSpeed,
+            points: sectionPoints,
+            weather,
+            rider,
+            model: calorieData.model
+        }).totalCalories : 0;
+        
+        return {
+            distance: parseFloat(distance.toFixed(2)),
+            duration: duration !== null ? parseFloat(duration.toFixed(1)) : null,
+            movingTime: movingTime !== null ? parseFloat(movingTime.toFixed(1)) : null,
+            averageSpeed: averageSpeed !== null ? parseFloat(averageSpeed.toFixed(1)) : null,
+            elevationGain: elevation.elevationGain,
+            elevationLoss: elevation.elevationLoss,
+            calories
+        };
+    }
+
+    /**
+     * Detect and categorise the climbs of a ride on the smoothed elevation profile
+     * A climb runs from a low point to the highest point reached before the road drops
+     * more than climb_descent_tolerance meters. Climbs are scored as length (m) times
+     * average gradient (%) and categorised from Cat 4 to HC; uncategorised rises are ignored.
+     * @param {Object} gpxData - Parsed (and enhanced) activity data
+     * @param {Object} calorieData - Result of calculateDetailedCalories for the whole ride
+     * @param {Object} options - { weight, rider, weather }
+     * @returns {Array} Climbs with position, length, gradients, category, score and calories
+     */
+    detectClimbs(gpxData, calorieData, { weight, rider, weather }) {
+        // Climbs are found on points with elevation, with cumulative distance in km
+        const indices = [];
+        const distances = [];
+        let cumulative = 0;
+        gpxData.points.forEach((point, index) => {
+            if (index > 0 && !point.trackStart) {
+                const prev = gpxData.points[index - 1];
+                cumulative += this.calculateDistance(prev.lat, prev.lon, point.lat, point.lon);
+            }
+            if (point.ele !== null && point.ele !== undefined) {
+                indices.push(index);
+                distances.push(cumulative);
+            }
+        });
+        
+        if (indices.length < 2) {
+            return [];
+        }
+        
+        const elevations = this.smoothElevations(indices.map(index => gpxData.points[index].ele));
+        const tolerance = this.getSetting('climbDescentTolerance');
+        const minGradient = this.getSetting('climbMinGradient');
+        const candidates = [];
+        
+        let start = 0;
+        let peak = 0;
+        for (let i = 1; i < elevations.length; i++) {
+            if (elevations[i] < elevations[start] && peak === start) {
+                start = peak = i;
+            } else if (elevations[i] >= elevations[peak]) {
+                peak = i;
+            } else if (elevations[peak] - elevations[i] > tolerance) {
+                candidates.push([start, peak]);
+                start = peak = i;
+            }
+        }
+        candidates.push([start, peak]);
+        
+        // Elevation changes within this band are noise on a flat road
+        const flatBand = this.getSetting('elevationHysteresis');
+        
+        const climbs = [];
+        for (let [from, to] of candidates) {
+            // Skip the flat approach before and the flat run-out after the rise
+            let last = from;
+            for (let i = from; i <= to && elevations[i] <= elevations[from] + flatBand; i++) last = i;
+            let first = to;
+            for (let i = to; i >= last && elevations[i] >= elevations[to] - flatBand; i--) first = i;
+            from = last;
+            to = first;
+            
+            const length = (distances[to] - distances[from]) * 1000; // meters
+            const gain = elevations[to] - elevations[from];
+            if (length <= 0 || gain <= 0) continue;
+            
+            const averageGradient = gain / length * 100;
+            const score = length * averageGradient;
+            const category = CLIMB_CATEGORIES.find(candidate => score >= candidate.minScore);
+            if (!category || averageGradient < minGradient) continue;
+            
+            // Steepest stretch of at least 100 m, so single noisy points don't count
+            let maxGradient = averageGradient;
+            for (let i = from, j = from; i < to; i++) {
+                while (j < to && (distances[j] - distances[i]) * 1000 < 100) j++;
+                const stretch = (distances[j] - distances[i]) * 1000;
+                if (stretch >= 100) {
+                    maxGradient = Math.max(maxGradient, (elevations[j] - elevations[i]) / stretch * 100);
+                }
+            }
+            
+            const sectionPoints = gpxData.points.slice(indices[from], indices[to] + 1);
+            const section = this.summarizeSection(gpxData, sectionPoints, calorieData, { weight, rider, weather });
+            
+            climbs.push({
+                climb: climbs.length + 1,
+                category: category.name,
+                score: Math.round(score),
+                startDistance: parseFloat(distances[from].toFixed(2)),
+                length: parseFloat((length / 1000).toFixed(2)),
+                elevationGain: parseFloat(gain.toFixed(1)),
+                averageGradient: parseFloat(averageGradient.toFixed(1)),
+                maxGradient: parseFloat(maxGradient.toFixed(1)),
+                startElevation: parseFloat(elevations[from].toFixed(1)),
+                endElevation: parseFloat(elevations[to].toFixed(1)),
+                startLocation: { lat: sectionPoints[0].lat, lon: sectionPoints[0].lon },
+                duration: section.movingTime,
+                calories: section.calories
+            });
+        }
+        
+        return climbs;
+    }
+
+    /**
+     * Cut a ride into distance or lap splits and attribute the ride's calories to them
+     * Each split runs through the same calorie model as the ride; the results are then
+     * scaled so the splits add up to the ride total.
+     * @param {Object} gpxData - Parsed (and enhanced) activity data
+     * @param {Object} calorieData - Result of calculateDetailedCalories for the whole ride
+     * @param {Object} options - { weight, rider, weather, interval }
+     * @returns {Array} [{ split, distance, duration, movingTime, averageSpeed, elevationGain, elevationLoss, calories }]
+     */
+    calculateSplits(gpxData, calorieData, { weight, rider, weather, interval }) {
+        if (!SPLIT_INTERVALS.includes(interval)) {
+            throw new InputError(`Unknown split interval: ${interval}. Use ${SPLIT_INTERVALS.join(', ')}`);
+        }
+        
+        const points = gpxData.points;
+        if (interval === 'none' || points.length < 2) {
+            return [];
+        }
+        
+        // Index of the first point of every split
+        const starts = [0];
+        if (interval === 'lap') {
+            for (const lap of gpxData.laps || []) {
+                const index = lap.startTime ? points.findIndex(p => p.time && p.time >= lap.startTime) : -1;
+                if (index > starts[starts.length - 1]) {
+                    starts.push(index);
+                }
+            }
+        } else {
+            const splitDistance = SPLIT_DISTANCES[interval];
+            let cumulative = 0;
+            for (let i = 1; i < points.length - 1; i++) {
+                if (!points[i].trackStart) {
+                    cumulative += this.calculateDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+                }
+                if (cumulative >= splitDistance * starts.length) {
+                    starts.push(i);
+                }
+            }
+        }
+        
+        const splits = starts.map((start, index) => {
+            // Neighbouring splits share their boundary point so no segment is lost
+            const end = index + 1 < starts.length ? starts[index + 1] : points.length - 1;
+            const section = this.summarizeSection(gpxData, points.slice(start, end + 1), calorieData, { weight, rider, weather });
+            
+            return {
+                split: index + 1,
+                distance: section.distance,
+                duration: section.duration,
+                movingTime: section.movingTime,
+                averageSpeed: section.averageSpeed,
+                elevationGain: section.elevationGain,
+                elevationLoss: section.elevationLoss,
+                calories: section.calories
+            };
+        });
+        
+        // Scale to the ride total so the splits agree with the chosen model
+        const splitTotal = splits.reduce((sum, split) => sum + split.calories, 0);
+        for (const split of splits) {
+            split.calories = splitTotal > 0 ? Math.round(split.calories / splitTotal * calorieData.totalCalories) : 0;
+        }
+        
+        return splits;
+    }
+
     /**
      * Get detailed breakdown of calorie calculation
+     * Every climb gets its own row with the calories burned on it (the climb's `calories`,
+     * as stored in ride_climbs); the model's rows then cover the rest of the ride, so the
+     * breakdown still adds up to the total.
+     * @param {Object} calorieData - Result of calculateDetailedCalories
+     * @param {Array} [climbs] - Detected climbs
      */
-    getCalorieBreakdown(calorieData) {
+    getCalorieBreakdown(calorieData, climbs = []) {
+        const percentage = (calories) => Math.round((calories / calorieData.totalCalories) * 100);
+        const climbRows = climbs.map(climb => ({
+            factor: `Climb ${climb.climb} (${climb.category})`,
+            calories: climb.calories,
+            percentage: percentage(climb.calories),
+            description: `${climb.length} km at ${climb.averageGradient}% from km ${climb.startDistance} (+${climb.elevationGain} m)`
+        }));
+        
+        // Share of the model's figures left for the ride outside the climbs
+        const climbCalories = climbs.reduce((sum, climb) => sum + climb.calories, 0);
+        const restShare = climbs.length > 0 && calorieData.totalCalories > 0
+            ? Math.max(0, calorieData.totalCalories - climbCalories) / calorieData.totalCalories
+            : 1;
+        const rest = (calories) => Math.round(calories * restShare);
+        const outside = climbs.length > 0 ? ', outside the climbs' : '';
+        
+        if (calorieData.model !== 'met') {
+            const inputs = calorieData.modelInputs;
+            let primary;
+            
+            if (calorieData.model === 'physics') {
+                const toCalories = (kilojoules) => rest(kilojoules / KJ_PER_KCAL / inputs.grossEfficiency);
+                const components = [
+                    ['Rolling Resistance', inputs.components.rolling, `Crr ${inputs.crr}, ${inputs.totalMass}kg rider and bike`],
+                    ['Aerodynamic Drag', inputs.components.aerodynamic, `CdA ${inputs.cda} m², air density ${inputs.airDensity} kg/m³, wind per segment`],
+                    ['Climbing', inputs.components.gravity, 'Gravity on each climbing segment, net of pedalled descents'],
+                    ['Acceleration', inputs.components.acceleration, 'Speeding up after slowdowns']
+                ];
+                primary = components.map(([factor, kilojoules, description]) => ({
+                    factor,
+                    calories: toCalories(kilojoules),
+                    percentage: percentage(toCalories(kilojoules)),
+                    description: `${description}${outside}`
+                }));
+            } else if (calorieData.model === 'power') {
+                primary = [{
+                    factor: 'Measured Work',
+                    calories: rest(calorieData.totalCalories),
+                    percentage: percentage(rest(calorieData.totalCalories)),
+                    description: `${inputs.mechanicalWork} kJ from power meter at ${Math.round(inputs.grossEfficiency * 100)}% gross efficiency${outside}`
+                }];
+            } else {
+                primary = [{
+                    factor: 'Heart Rate Model',
+                    calories: rest(calorieData.totalCalories),
+                    percentage: percentage(rest(calorieData.totalCalories)),
+                    description: `Keytel equation, avg ${inputs.averageHeartRate} bpm (${inputs.sex}, ${inputs.age} years, ${inputs.weight}kg)${outside}`
+                }];
+            }
+            
+            // The MET estimate isn't part of the total, it stays in the summary (estimatedCalories)
+            return [...primary, ...climbRows].filter(item => Math.abs(item.calories) > 1);
+        }
+        
         const breakdown = [
             {
                 factor: 'Base Activity',
-                calories: calorieData.baseCalories,
-                percentage: Math.round((calorieData.baseCalories / calorieData.totalCalories) * 100),
-                description: `MET ${calorieData.baseMET} cycling activity`
+                calories: rest(calorieData.baseCalories),
+                percentage: percentage(rest(calorieData.baseCalories)),
+                description: `MET ${calorieData.baseMET} cycling activity${outside}`
             },
+            ...climbRows,
             {
                 factor: 'Elevation Gain',
-                calories: calorieData.elevationCalories,
-                percentage: Math.round((calorieData.elevationCalories / calorieData.totalCalories) * 100),
-                description: 'Additional energy for climbing'
+                calories: rest(calorieData.elevationCalories),
+                percentage: percentage(rest(calorieData.elevationCalories)),
+                description: `Additional energy for climbing${outside}`
             },
             {
                 factor: 'Wind Resistance',
-                calories: calorieData.windAdjustment,
-                percentage: Math.round((calorieData.windAdjustment / calorieData.totalCalories) * 100),
-                description: 'Wind conditions impact'
+                calories: rest(calorieData.windAdjustment),
+                percentage: percentage(rest(calorieData.windAdjustment)),
+                description: calorieData.wind && calorieData.wind.segmentCount > 0
+                    ? `Headwind ${calorieData.wind.headwindTime} min, tailwind ${calorieData.wind.tailwindTime} min, crosswind ${calorieData.wind.crosswindTime} min (avg headwind ${calorieData.wind.averageHeadwind} m/s)${outside}`
+                    : `Wind conditions impact${outside}`
             },
             {
                 factor: 'Environmental',
-                calories: calorieData.environmentalAdjustment,
-                percentage: Math.round((calorieData.environmentalAdjustment / calorieData.totalCalories) * 100),
-                description: 'Temperature and humidity effects'
+                calories: rest(calorieData.environmentalAdjustment),
+                percentage: percentage(rest(calorieData.environmentalAdjustment)),
+                description: `Temperature and humidity effects${outside}`
             }
         ];
         
@@ -583,11 +2761,11 @@ class CyclingCalorieCalculator {
             throw new Error('Database not enabled. Set saveToDatabase to true in config.');
         }
 
-        await this.database.initialize();
+        await this.connectDatabase();
         try {
             return await this.database.getAllRides(limit);
         } finally {
-            await this.database.close();
+            await this.releaseDatabase();
         }
     }
 
@@ -599,11 +2777,11 @@ class CyclingCalorieCalculator {
             throw new Error('Database not enabled. Set saveToDatabase to true in config.');
         }
 
-        await this.database.initialize();
+        await this.connectDatabase();
         try {
             return await this.database.getRideStatistics();
         } finally {
-            await this.database.close();
+            await this.releaseDatabase();
         }
     }
 
@@ -615,27 +2793,107 @@ class CyclingCalorieCalculator {
             throw new Error('Database not enabled. Set saveToDatabase to true in config.');
         }
 
-        await this.database.initialize();
+        await this.connectDatabase();
         try {
             return await this.database.exportToJSON(outputPath);
         } finally {
-            await this.database.close();
+            await this.releaseDatabase();
         }
     }
 
     /**
      * Get rides within a date range
      */
-    async getRidesByDateRange(startDate, endDate, limit = null) {
+    async getRidesByDateRange(startDate, endDate, limit = null, offset = 0) {
         if (!this.database) {
             throw new Error('Database not enabled. Set saveToDatabase to true in config.');
         }
 
-        await this.database.initialize();
+        await this.connectDatabase();
         try {
-            return await this.database.getRidesByDateRange(startDate, endDate, limit);
+            return await this.database.getRidesByDateRange(startDate, endDate, limit, offset);
         } finally {
-            await this.database.close();
+            await this.releaseDatabase();
+        }
+    }
+    
+    /**
+     * Get a rider profile by ID or name
+     */
+    async getRider(idOrName) {
+        if (!this.database) {
+            throw new Error('Database not enabled. Set saveToDatabase to true in config.');
+        }
+
+        await this.connectDatabase();
+        try {
+            return await this.database.getRider(idOrName);
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Get all rider profiles
+     */
+    async getRiders() {
+        if (!this.database) {
+            throw new Error('Database not enabled. Set saveToDatabase to true in config.');
+        }
+
+        await this.connectDatabase();
+        try {
+            return await this.database.getAllRiders();
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Create a rider profile
+     */
+    async addRider(rider) {
+        if (!this.database) {
+            throw new Error('Database not enabled. Set saveToDatabase to true in config.');
+        }
+
+        await this.connectDatabase();
+        try {
+            return await this.database.addRider(rider);
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Update a rider profile
+     */
+    async updateRider(idOrName, updates) {
+        if (!this.database) {
+            throw new Error('Database not enabled. Set saveToDatabase to true in config.');
+        }
+
+        await this.connectDatabase();
+        try {
+            return await this.database.updateRider(idOrName, updates);
+        } finally {
+            await this.releaseDatabase();
+        }
+    }
+
+    /**
+     * Delete a rider profile
+     */
+    async deleteRider(idOrName) {
+        if (!this.database) {
+            throw new Error('Database not enabled. Set saveToDatabase to true in config.');
+        }
+
+        await this.connectDatabase();
+        try {
+            return await this.database.deleteRider(idOrName);
+        } finally {
+            await this.releaseDatabase();
         }
     }
     
@@ -647,23 +2905,54 @@ class CyclingCalorieCalculator {
             return 70; // Default fallback weight
         }
 
-        await this.database.initialize();
+        await this.connectDatabase();
         try {
             return await this.database.getConfig('default_rider_weight', 70);
         } finally {
-            await this.database.close();
+            await this.releaseDatabase();
         }
     }
 }
 
 // CLI interface
+
+// Weather values that can be given on the command line, by calculation parameter
+const WEATHER_OPTIONS = {
+    '--temp': 'temperature',
+    '--wind': 'windSpeed',
+    '--wind-dir': 'windDirection',
+    '--humidity': 'humidity'
+};
+
+// Options that may come first on a calculation command line
+const CALCULATION_OPTIONS = ['--rider-id', '--model', '--tracks', '--splits', '--on-duplicate', ...Object.keys(WEATHER_OPTIONS)];
+
+// How assumed inputs are shown in results: label and unit, and what each source means
+const ASSUMPTION_LABELS = {
+    temperature: ['Temperature', '°C'],
+    windSpeed: ['Wind speed', ' m/s'],
+    windDirection: ['Wind direction', '°'],
+    humidity: ['Humidity', '%'],
+    pressure: ['Pressure', ' hPa'],
+    elevation: ['Elevation gain', ' m'],
+    averageSpeed: ['Average speed', ' km/h']
+};
+const ASSUMPTION_SOURCES = {
+    user: 'supplied',
+    default: 'default, no data available',
+    file: 'recorded in the activity file, not corrected'
+};
+
 async function main() {
     const args = process.argv.slice(2);
     
+    // --offline applies to calculations and imports alike, wherever it is given
+    const calculatorConfig = extractFlag(args, '--offline') ? { offlineMode: true } : {};
+    
     // Handle database commands
-    if (args.length > 0 && args[0].startsWith('--')) {
+    if (args.length > 0 && args[0].startsWith('--') && !CALCULATION_OPTIONS.includes(args[0])) {
         const command = args[0];
-        const calculator = new CyclingCalorieCalculator();
+        const calculator = new CyclingCalorieCalculator(calculatorConfig);
         
         try {
             switch (command) {
@@ -681,6 +2970,43 @@ async function main() {
                     await calculator.exportData(exportPath);
                     break;
                     
+                case '--riders':
+                    await showRiders(calculator);
+                    break;
+                    
+                case '--import':
+                    if (!await importActivities(calculator, args.slice(1))) {
+                        process.exit(1);
+                    }
+                    break;
+                    
+                case '--add-rider':
+                    if (!args[1] || args[1].startsWith('--')) {
+                        throw new Error('--add-rider requires a rider name');
+                    }
+                    await calculator.addRider({ name: args[1], ...parseRiderOptions(args.slice(2)) });
+                    break;
+                    
+                case '--update-rider':
+                    if (!args[1] || args[1].startsWith('--')) {
+                        throw new Error('--update-rider requires a rider ID or name');
+                    }
+                    await calculator.updateRider(args[1], parseRiderOptions(args.slice(2)));
+                    break;
+                    
+                case '--serve':
+                    await serveApi(calculator, args.slice(1));
+                    break;
+                    
+                case '--delete-rider':
+                    if (!args[1]) {
+                        throw new Error('--delete-rider requires a rider ID or name');
+                    }
+                    if (!await calculator.deleteRider(args[1])) {
+                        throw new Error(`Rider not found: ${args[1]}`);
+                    }
+                    break;
+                    
                 case '--help':
                     showHelp();
                     break;
@@ -703,100 +3029,60 @@ async function main() {
     }
 
     // Parse arguments - support both old and new format
-    let gpxFilePath;
-    let riderId = null;
+    const positional = [...args];
+    const riderId = extractOption(positional, '--rider-id');
+    const model = extractOption(positional, '--model');
+    const trackMode = extractOption(positional, '--tracks');
+    const splits = extractOption(positional, '--splits');
+    const onDuplicate = extractOption(positional, '--on-duplicate');
+    const weather = extractWeatherOptions(positional);
+    let filePath;
     let weight = null;
     
-    // Check if --rider-id switch is used
-    const riderIdIndex = args.indexOf('--rider-id');
-    if (riderIdIndex !== -1 && riderIdIndex + 1 < args.length) {
-        riderId = args[riderIdIndex + 1];
-        // Remove --rider-id and its value from args for GPX file detection
-        const filteredArgs = args.filter((arg, index) => 
-            index !== riderIdIndex && index !== riderIdIndex + 1
-        );
-        gpxFilePath = filteredArgs[0];
+    // Legacy support: if two arguments and the first is a number, treat as weight + activity file
+    if (positional.length >= 2 && !isNaN(parseFloat(positional[0]))) {
+        console.log('⚠️  Legacy format detected. Consider using: node index.js <activity_file> [--rider-id <id>]');
+        weight = parseFloat(positional[0]);
+        filePath = positional[1];
     } else {
-        // Legacy support: if two arguments and second is not a switch, treat as weight + gpx
-        if (args.length >= 2 && !args[1].startsWith('--') && !isNaN(parseFloat(args[0]))) {
-            console.log('⚠️  Legacy format detected. Consider using: node index.js <gpx_file> [--rider-id <id>]');
-            weight = parseFloat(args[0]);
-            gpxFilePath = args[1];
-        } else {
-            gpxFilePath = args[0];
-        }
+        filePath = positional[0];
     }
     
-    const calculator = new CyclingCalorieCalculator();
+    if (!filePath) {
+        showHelp();
+        process.exit(1);
+    }
+    
+    const calculator = new CyclingCalorieCalculator(calculatorConfig);
     
     try {
-        // Get weight from database if not provided (legacy format)
+        // Get weight from database if neither a weight (legacy format) nor a rider is given
         if (weight === null) {
-            weight = await calculator.getDefaultRiderWeight();
-            
             if (riderId) {
                 console.log(`📋 Using rider ID: ${riderId}`);
-                // TODO: In future, could look up rider-specific weight by ID
-                console.log(`⚖️  Using default weight: ${weight}kg (rider-specific weights not yet implemented)`);
             } else {
+                weight = await calculator.getDefaultRiderWeight();
                 console.log(`⚖️  Using default weight from database: ${weight}kg`);
             }
         }
         
         const result = await calculator.calculateCalorieBurn({
             weight: weight,
-            gpxFilePath
-        });
-        
-        console.log('\n🎯 CALORIE BURN RESULTS');
-        console.log('========================');
-        console.log(`Total Calories: ${result.summary.totalCalories} kcal`);
-        console.log(`Distance: ${result.gpxData.distance} km`);
-        console.log(`Duration: ${result.gpxData.duration} minutes`);
-        console.log(`Elevation Gain: ${result.gpxData.elevationGain} m`);
-        console.log(`Average Speed: ${result.gpxData.averageSpeed} km/h`);
-        console.log(`Calories per km: ${result.summary.caloriesPerKm} kcal/km`);
-        console.log(`Calories per hour: ${result.summary.caloriesPerHour} kcal/h`);
-        
-        console.log('\n📍 LOCATION & TIME');
-        console.log('===================');
-        console.log(`Start coordinates: ${result.location.lat.toFixed(6)}, ${result.location.lon.toFixed(6)}`);
-        if (result.gpxData.startTime) {
-            console.log(`Ride date: ${result.gpxData.startTime.toDateString()}`);
-            console.log(`Ride time: ${result.gpxData.startTime.toLocaleTimeString()}`);
-        } else {
-            console.log('Ride date: No timestamp data in GPX file');
-        }
-        
-        console.log('\n📊 BREAKDOWN');
-        console.log('=============');
-        result.breakdown.forEach(item => {
-            console.log(`${item.factor}: ${item.calories} kcal (${item.percentage}%)`);
-            console.log(`  ${item.description}`);
+            riderId,
+            model,
+            trackMode,
+            splits,
+            onDuplicate,
+            weather,
+            filePath
         });
         
-        console.log('\n🌤️ WEATHER CONDITIONS');
-        console.log('====================');
-        console.log(`Date: ${result.weatherData.date}`);
-        console.log(`Wind: ${result.weatherData.windSpeed} m/s`);
-        console.log(`Humidity: ${result.weatherData.humidity}%`);
-        console.log(`Temperature: ${result.weatherData.temperature}°C`);
-        console.log(`Data source: ${result.weatherData.source}`);
-        
-        if (result.gpxData.elevationEnhanced) {
-            console.log('\n✅ Elevation data enhanced with GPXZ');
-        } else {
-            console.log('\u26a0\ufe0f  Using original GPX elevation data');
-        }
-        
-        // Show database save status
-        if (result.rideId) {
-            console.log(`\n💾 DATA SAVED`);
-            console.log('==========');
-            console.log(`Ride ID: ${result.rideId}`);
-            console.log('Data has been saved to the database.');
-            console.log('Use --history to view past rides or --stats for statistics.');
+        // Separate track mode returns one result per track
+        for (const trackResult of Array.isArray(result) ? result : [result]) {
+            printResult(trackResult);
         }
+        printElevationCacheStats(calculator);
+        printHttpSummary(calculator);
         
     } catch (error) {
         console.error('❌ Error:', error.message);
@@ -805,6 +3091,434 @@ async function main() {
 }
 
 // Helper functions for CLI commands
+
+/**
+ * Print the calorie analysis of a single ride
+ */
+function printResult(result) {
+    console.log('\n🎯 CALORIE BURN RESULTS');
+    console.log('========================');
+    if (result.rider) {
+        console.log(`Rider: ${result.rider.name} (${result.weight} kg)`);
+    }
+    if (result.gpxData.trackName) {
+        const track = result.gpxData.tracks ? result.gpxData.tracks[0] : null;
+        console.log(`${track && track.type === 'route' ? 'Route' : 'Track'}: ${result.gpxData.trackName}`);
+    } else if (result.gpxData.tracks && result.gpxData.tracks.length > 1) {
+        console.log(`Tracks: ${result.gpxData.tracks.map(track => track.name).join(', ')} (merged)`);
+    }
+    console.log(`Total Calories: ${result.summary.totalCalories} kcal`);
+    if (result.summary.model === 'power') {
+        console.log(`Model: power meter (${result.summary.mechanicalWork} kJ, ${Math.round(result.summary.grossEfficiency * 100)}% gross efficiency)`);
+        console.log(`Estimated model: ${result.summary.estimatedCalories} kcal`);
+    } else if (result.summary.model === 'physics') {
+        console.log(`Model: physics (${result.summary.mechanicalWork} kJ, CdA ${result.summary.modelInputs.cda}, Crr ${result.summary.modelInputs.crr})`);
+        console.log(`Estimated model: ${result.summary.estimatedCalories} kcal`);
+    } else if (result.summary.model === 'hr') {
+        console.log(`Model: heart rate (avg ${result.summary.modelInputs.averageHeartRate} bpm)`);
+        console.log(`Estimated model: ${result.summary.estimatedCalories} kcal`);
+    } else {
+        console.log('Model: MET estimate');
+    }
+    console.log(`Distance: ${result.gpxData.distance} km`);
+    console.log(`Elapsed Time: ${result.gpxData.duration} minutes${result.gpxData.timingAssumed ? ' (estimated, no timestamps)' : ''}`);
+    console.log(`Moving Time: ${result.gpxData.movingTime ?? '-'} minutes`);
+    console.log(`Elevation Gain: ${result.gpxData.elevationGain} m (raw ${result.gpxData.rawElevationGain} m)`);
+    console.log(`Elevation Loss: ${result.gpxData.elevationLoss} m (raw ${result.gpxData.rawElevationLoss} m)`);
+    console.log(`Average Speed: ${result.gpxData.averageSpeed} km/h`);
+    console.log(`Calories per km: ${result.summary.caloriesPerKm} kcal/km`);
+    console.log(`Calories per hour: ${result.summary.caloriesPerHour} kcal/h`);
+    if (result.gpxData.deviceCalories) {
+        console.log(`Device-reported calories: ${result.gpxData.deviceCalories} kcal`);
+    }
+    
+    const sensors = result.gpxData.sensors;
+    if (sensors) {
+        console.log('\n📈 SENSOR DATA');
+        console.log('==============');
+        if (sensors.avgHeartRate !== null) {
+            console.log(`Heart rate: avg ${sensors.avgHeartRate} bpm, max ${sensors.maxHeartRate} bpm`);
+        }
+        if (sensors.avgCadence !== null) {
+            console.log(`Cadence: avg ${sensors.avgCadence} rpm, max ${sensors.maxCadence} rpm`);
+        }
+        if (sensors.avgPower !== null) {
+            console.log(`Power: avg ${sensors.avgPower} W, normalized ${sensors.normalizedPower ?? '-'} W, max ${sensors.maxPower} W`);
+        }
+        if (sensors.avgTemperature !== null) {
+            console.log(`Device temperature: ${sensors.avgTemperature}°C`);
+        }
+    }
+    
+    const stops = result.gpxData.stops || [];
+    if (stops.length > 0) {
+        const stoppedMinutes = stops.reduce((sum, stop) => sum + stop.duration, 0) / 60;
+        console.log(`\n⏸️  STOPS (${stops.length}, ${stoppedMinutes.toFixed(1)} minutes)`);
+        console.log('==========');
+        stops.slice(0, 10).forEach((stop, index) => {
+            const length = stop.duration >= 60 ? `${(stop.duration / 60).toFixed(1)} min` : `${stop.duration} s`;
+            console.log(`${index + 1}. ${stop.startTime.toLocaleTimeString()} for ${length} at ${stop.lat.toFixed(5)}, ${stop.lon.toFixed(5)}`);
+        });
+        if (stops.length > 10) {
+            console.log(`... and ${stops.length - 10} more`);
+        }
+    }
+    
+    const waypoints = result.gpxData.waypoints || [];
+    if (waypoints.length > 0) {
+        console.log(`\n📌 WAYPOINTS (${waypoints.length})`);
+        console.log('==============');
+        waypoints.forEach(waypoint => {
+            console.log(`${waypoint.name || 'Unnamed'}: ${waypoint.lat.toFixed(5)}, ${waypoint.lon.toFixed(5)}${waypoint.ele !== null ? ` (${waypoint.ele} m)` : ''}`);
+        });
+    }
+    
+    if (result.splits && result.splits.length > 0) {
+        console.log('\n🏁 SPLITS');
+        console.log('==========');
+        console.log('  #   Distance      Time     Speed    Gain    Loss  Calories');
+        result.splits.forEach(split => {
+            console.log([
+                String(split.split).padStart(3),
+                `${split.distance.toFixed(2)} km`.padStart(10),
+                `${split.movingTime ?? '-'} min`.padStart(9),
+                `${split.averageSpeed ?? '-'} km/h`.padStart(10),
+                `${split.elevationGain} m`.padStart(7),
+                `${split.elevationLoss} m`.padStart(7),
+                `${split.calories} kcal`.padStart(9)
+            ].join(' '));
+        });
+    }
+    
+    if (result.climbs && result.climbs.length > 0) {
+        console.log('\n⛰️  CLIMBS');
+        console.log('==========');
+        result.climbs.forEach(climb => {
+            console.log(`${climb.climb}. ${climb.category} (score ${climb.score}): ${climb.length} km at ${climb.averageGradient}% (max ${climb.maxGradient}%), +${climb.elevationGain} m`);
+            console.log(`   From km ${climb.startDistance} at ${climb.startElevation} m to ${climb.endElevation} m, ${climb.duration ?? '-'} min, ${climb.calories} kcal`);
+        });
+    }
+    
+    console.log('\n📍 LOCATION & TIME');
+    console.log('===================');
+    console.log(`Start coordinates: ${result.location.lat.toFixed(6)}, ${result.location.lon.toFixed(6)}`);
+    if (result.gpxData.startTime) {
+        console.log(`Ride date: ${result.gpxData.startTime.toDateString()}`);
+        console.log(`Ride time: ${result.gpxData.startTime.toLocaleTimeString()}`);
+    } else {
+        console.log('Ride date: No timestamp data in activity file');
+    }
+    
+    console.log('\n📊 BREAKDOWN');
+    console.log('=============');
+    result.breakdown.forEach(item => {
+        console.log(`${item.factor}: ${item.calories} kcal (${item.percentage}%)`);
+        console.log(`  ${item.description}`);
+    });
+    
+    console.log('\n🌤️ WEATHER CONDITIONS');
+    console.log('====================');
+    console.log(`Date: ${result.weatherData.date}`);
+    console.log(`Wind: ${result.weatherData.windSpeed} m/s`);
+    if (result.summary.wind && result.summary.wind.segmentCount > 0 && result.weatherData.windSpeed > 0) {
+        const wind = result.summary.wind;
+        console.log(`Along the route: ${wind.headwindTime} min headwind, ${wind.tailwindTime} min tailwind, ${wind.crosswindTime} min crosswind`);
+        console.log(`Average headwind component: ${wind.averageHeadwind} m/s`);
+    }
+    console.log(`Humidity: ${result.weatherData.humidity}%`);
+    console.log(`Temperature: ${result.weatherData.temperature}°C`);
+    console.log(`Data source: ${result.weatherData.source}${result.weatherData.provider ? ` (${WEATHER_PROVIDERS[result.weatherData.provider].label})` : ''}${result.weatherData.cached ? ' [cached]' : ''}`);
+    
+    const samples = result.weatherData.samples || [];
+    if (samples.length > 1) {
+        console.log(`Averaged over ${samples.length} samples along the route:`);
+        samples.forEach(sample => {
+            console.log([
+                `${sample.distance.toFixed(1)} km`.padStart(10),
+                (sample.time ? sample.time.toLocaleTimeString() : '-').padStart(11),
+                `${sample.temperature.toFixed(1)}°C`.padStart(8),
+                `${sample.windSpeed.toFixed(1)} m/s from ${Math.round(sample.windDirection)}°`.padStart(19),
+                `${Math.round(sample.humidity)}%`.padStart(5)
+            ].join(' '));
+        });
+    }
+    
+    if (result.gpxData.elevationEnhanced) {
+        console.log(`\n✅ Elevation data enhanced with ${ELEVATION_SOURCES[result.gpxData.elevationEnhanced]}`);
+    } else {
+        console.log('\u26a0\ufe0f  Using original GPX elevation data');
+    }
+    
+    if (result.assumptions && result.assumptions.length > 0) {
+        console.log(`\n📝 ASSUMED INPUTS${result.offline ? ' (offline mode)' : ''}`);
+        console.log('=================');
+        result.assumptions.forEach(assumption => {
+            const [label, unit] = ASSUMPTION_LABELS[assumption.input];
+            console.log(`${label}: ${assumption.value}${unit} (${ASSUMPTION_SOURCES[assumption.source]})`);
+        });
+    }
+    
+    // Show database save status
+    if (result.rideId) {
+        console.log(`\n💾 DATA SAVED`);
+        console.log('==========');
+        console.log(`Ride ID: ${result.rideId}`);
+        if (result.replacedRideId) {
+            console.log('Recalculated the saved duplicate ride in place (same ID)');
+        }
+        console.log('Data has been saved to the database.');
+        console.log('Use --history to view past rides or --stats for statistics.');
+    } else if (result.duplicateOf) {
+        console.log(`\n🔁 DUPLICATE RIDE`);
+        console.log('==========');
+        console.log(`Already saved as ride ID: ${result.duplicateOf}`);
+        console.log('Not saved again. Use --on-duplicate replace to overwrite it or keep to save a copy.');
+    }
+}
+
+/**
+ * Find the activity files for --import: every supported file below a directory,
+ * a single file, or a glob pattern (*, ? and ** for any number of directories)
+ */
+async function findActivityFiles(pattern) {
+    const isActivityFile = (file) => SUPPORTED_FILE_FORMATS.includes(path.extname(file).toLowerCase().slice(1));
+    
+    const walk = async (directory) => {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await walk(entryPath));
+            } else if (entry.isFile()) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    };
+    
+    if (!/[*?]/.test(pattern)) {
+        const stats = await fs.stat(pattern).catch(() => null);
+        if (!stats) {
+            throw new Error(`No such file or directory: ${pattern}`);
+        }
+        return stats.isDirectory() ? (await walk(pattern)).filter(isActivityFile).sort() : [pattern];
+    }
+    
+    // Walk from the last directory before the first wildcard and match the rest
+    const segments = pattern.split(/[\\/]/);
+    const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    const baseDirectory = segments.slice(0, firstWildcard).join(path.sep) || '.';
+    const expression = segments.slice(firstWildcard).join('/')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*\*\//g, '\u0000')
+        .replace(/\*\*/g, '\u0001')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]')
+        .replace(/\u0000/g, '(?:.*/)?')
+        .replace(/\u0001/g, '.*');
+    const matcher = new RegExp(`^${expression}$`);
+    
+    const files = await walk(baseDirectory).catch(() => []);
+    return files
+        .filter(file => matcher.test(path.relative(baseDirectory, file).split(path.sep).join('/')))
+        .sort();
+}
+
+/**
+ * Import many activity files over a single database connection, continuing past
+ * failures, and print a summary report
+ * @returns {boolean} true when every file was imported
+ */
+async function importActivities(calculator, args) {
+    const options = [...args];
+    const params = {
+        riderId: extractOption(options, '--rider-id'),
+        model: extractOption(options, '--model'),
+        trackMode: extractOption(options, '--tracks'),
+        splits: extractOption(options, '--splits'),
+        onDuplicate: extractOption(options, '--on-duplicate'),
+        weather: extractWeatherOptions(options)
+    };
+    const unknown = options.find(option => option.startsWith('-'));
+    if (unknown) {
+        throw new Error(`Unknown --import option: ${unknown}`);
+    }
+    const pattern = options[0];
+    if (!pattern) {
+        throw new Error('--import requires a directory, file or glob pattern');
+    }
+    if (options.length > 1) {
+        throw new Error(`--import takes one directory, file or glob pattern, got: ${options.join(' ')} (quote glob patterns so the shell does not expand them)`);
+    }
+    
+    const files = await findActivityFiles(pattern);
+    if (files.length === 0) {
+        console.log(`No activity files (${SUPPORTED_FILE_FORMATS.join(', ')}) found for: ${pattern}`);
+        return true;
+    }
+    
+    console.log(`\n📥 Importing ${files.length} activity file${files.length === 1 ? '' : 's'}`);
+    const startedAt = Date.now();
+    const imported = [];
+    const failed = [];
+    
+    await calculator.openDatabaseSession();
+    try {
+        for (const [index, file] of files.entries()) {
+            console.log(`\n[${index + 1}/${files.length}] ${file}`);
+            try {
+                const result = await calculator.calculateCalorieBurn({ ...params, filePath: file });
+                for (const ride of Array.isArray(result) ? result : [result]) {
+                    imported.push({ file, ride });
+                    console.log(`✅ [${index + 1}/${files.length}] ${path.basename(file)}${ride.gpxData.trackName ? ` - ${ride.gpxData.trackName}` : ''}: ${ride.summary.totalCalories} kcal, ${ride.gpxData.distance} km${ride.rideId ? ` (ride #${ride.rideId})` : ''}${!ride.rideId && ride.duplicateOf ? ` (duplicate of ride #${ride.duplicateOf}, skipped)` : ''}`);
+                }
+            } catch (error) {
+                failed.push({ file, error: error.message });
+                console.log(`❌ [${index + 1}/${files.length}] ${path.basename(file)}: ${error.message}`);
+            }
+        }
+    } finally {
+        await calculator.closeDatabaseSession();
+    }
+    
+    // Totals only count stored rides, once per ride ID: a replaced ride may be overwritten
+    // again by a later file, which then holds its values
+    const stored = new Map();
+    imported.filter(item => item.ride.rideId).forEach(item => stored.set(item.ride.rideId, item.ride));
+    const saved = [...stored.values()];
+    const replaced = saved.filter(ride => ride.replacedRideId).length;
+    const skipped = imported.filter(item => !item.ride.rideId && item.ride.duplicateOf).length;
+    const unsaved = imported.filter(item => !item.ride.rideId && !item.ride.duplicateOf).length;
+    const totalDistance = saved.reduce((sum, ride) => sum + ride.gpxData.distance, 0);
+    const totalCalories = saved.reduce((sum, ride) => sum + ride.summary.totalCalories, 0);
+    
+    console.log('\n📋 IMPORT SUMMARY');
+    console.log('=================');
+    console.log(`Files processed: ${files.length}`);
+    console.log(`Rides imported: ${saved.length}${replaced > 0 ? ` (${replaced} replacing saved duplicates)` : ''}`);
+    console.log(`Duplicates skipped: ${skipped}`);
+    if (unsaved > 0) {
+        console.log(`Calculated but not saved: ${unsaved}`);
+    }
+    console.log(`Failed files: ${failed.length}`);
+    console.log(`Total distance: ${totalDistance.toFixed(1)} km`);
+    console.log(`Total calories: ${totalCalories} kcal`);
+    console.log(`Time taken: ${((Date.now() - startedAt) / 1000).toFixed(1)} s`);
+    printElevationCacheStats(calculator);
+    printHttpSummary(calculator);
+    
+    if (failed.length > 0) {
+        console.log('\nFailures:');
+        failed.forEach(item => console.log(`  ❌ ${item.file}: ${item.error}`));
+    }
+    
+    return failed.length === 0;
+}
+
+/**
+ * Start the REST API server (--serve [--port <port>] [--host <address>]) and stop it
+ * cleanly, closing the database, on Ctrl+C or SIGTERM
+ */
+async function serveApi(calculator, args) {
+    const options = [...args];
+    const port = extractOption(options, '--port');
+    const host = extractOption(options, '--host');
+    if (options.length > 0) {
+        throw new Error(`Unknown --serve option: ${options[0]}`);
+    }
+    if (port !== null && !(/^\d+$/.test(port) && parseInt(port) <= 65535)) {
+        throw new Error(`Invalid port: ${port}`);
+    }
+    
+    const server = new ApiServer(calculator);
+    await server.start(port !== null ? parseInt(port) : null, host);
+    
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Print elevation cache hits and misses of the run, when the cache was used
+ */
+function printElevationCacheStats(calculator) {
+    const { hits, misses } = calculator.elevationCacheStats;
+    if (hits + misses === 0) {
+        return;
+    }
+    
+    console.log(`\n💾 Elevation cache: ${hits} hits, ${misses} misses (${Math.round(hits / (hits + misses) * 100)}% of ${hits + misses} locations served from cache)`);
+}
+
+/**
+ * Print the requests, retries and failures of every API used during the run
+ */
+function printHttpSummary(calculator) {
+    const summary = calculator.http ? calculator.http.getSummary() : [];
+    if (summary.length === 0) {
+        return;
+    }
+    
+    console.log('\n🌐 API requests:');
+    summary.forEach(provider => {
+        const waited = provider.rateLimitWait > 0 ? `, ${(provider.rateLimitWait / 1000).toFixed(1)}s rate limited` : '';
+        console.log(`   ${provider.name}: ${provider.requests} request${provider.requests === 1 ? '' : 's'}, ${provider.retries} retr${provider.retries === 1 ? 'y' : 'ies'}, ${provider.failures} failed${waited}`);
+    });
+}
+
+/**
+ * Remove an option and its value from an argument list and return the value
+ */
+function extractOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return null;
+    }
+    if (index + 1 >= args.length) {
+        throw new Error(`${name} requires a value`);
+    }
+    
+    const [, value] = args.splice(index, 2);
+    return value;
+}
+
+/**
+ * Remove a flag without a value from an argument list and return whether it was there
+ */
+function extractFlag(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return false;
+    }
+    
+    args.splice(index, 1);
+    return true;
+}
+
+/**
+ * Remove the weather options (--temp, --wind, --wind-dir, --humidity) from an argument
+ * list and return the values given, by calculation parameter
+ */
+function extractWeatherOptions(args) {
+    const weather = {};
+    
+    for (const [option, field] of Object.entries(WEATHER_OPTIONS)) {
+        const value = extractOption(args, option);
+        if (value !== null) {
+            weather[field] = parseFloat(value);
+            if (Number.isNaN(weather[field])) {
+                throw new Error(`Invalid value for ${option}: ${value}`);
+            }
+        }
+    }
+    
+    return weather;
+}
+
 async function showHistory(calculator, limit) {
     console.log(`\n📊 RIDE HISTORY (Last ${limit} rides)`);
     console.log('='.repeat(50));
@@ -819,14 +3533,74 @@ async function showHistory(calculator, limit) {
     rides.forEach((ride, index) => {
         const rideDate = ride.ride_date ? new Date(ride.ride_date).toLocaleDateString() : 'Unknown';
         console.log(`\n${index + 1}. Ride #${ride.id} - ${rideDate}`);
-        console.log(`   File: ${ride.gpx_filename || 'Unknown'}`);
-        console.log(`   Distance: ${ride.distance}km, Duration: ${ride.duration}min`);
+        console.log(`   File: ${ride.source_filename || 'Unknown'}${ride.source_format ? ` (${ride.source_format.toUpperCase()})` : ''}${ride.track_name ? ` - ${ride.track_name}` : ''}`);
+        console.log(`   Distance: ${ride.distance}km, Duration: ${ride.duration}min${ride.moving_time ? ` (${ride.moving_time}min moving)` : ''}`);
         console.log(`   Calories: ${ride.total_calories} kcal (${ride.calories_per_km} kcal/km)`);
         console.log(`   Elevation: ${ride.elevation_gain}m, Speed: ${ride.average_speed}km/h`);
-        console.log(`   Weight: ${ride.rider_weight}kg`);
+        console.log(`   Rider: ${ride.rider_name || 'Default'}, Weight: ${ride.rider_weight}kg`);
+    });
+}
+
+async function showRiders(calculator) {
+    console.log(`\n👥 RIDERS`);
+    console.log('='.repeat(30));
+    
+    const riders = await calculator.getRiders();
+    
+    if (riders.length === 0) {
+        console.log('No riders found. Add one with --add-rider <name> --weight <kg>');
+        return;
+    }
+    
+    riders.forEach(rider => {
+        console.log(`\n#${rider.id} ${rider.name}`);
+        console.log(`   Weight: ${rider.weight}kg, Age: ${rider.age || '-'}, Sex: ${rider.sex || '-'}`);
+        console.log(`   FTP: ${rider.ftp ? rider.ftp + 'W' : '-'}, Max HR: ${rider.max_heart_rate ? rider.max_heart_rate + 'bpm' : '-'}`);
+        console.log(`   Rides: ${rider.ride_count}`);
     });
 }
 
+/**
+ * Parse rider profile options (--name, --weight, --age, --sex, --ftp, --max-hr)
+ */
+function parseRiderOptions(args) {
+    const fields = {
+        '--name': ['name', value => value],
+        '--weight': ['weight', parseFloat],
+        '--age': ['age', value => parseInt(value)],
+        '--sex': ['sex', normalizeSex],
+        '--ftp': ['ftp', value => parseInt(value)],
+        '--max-hr': ['maxHeartRate', value => parseInt(value)]
+    };
+    const options = {};
+    
+    for (let i = 0; i < args.length; i += 2) {
+        const field = fields[args[i]];
+        if (!field) {
+            throw new Error(`Unknown rider option: ${args[i]}`);
+        }
+        
+        const [key, parse] = field;
+        const value = args[i + 1] !== undefined ? parse(args[i + 1]) : undefined;
+        if (value === undefined || value === null || Number.isNaN(value)) {
+            throw new Error(`Invalid value for ${args[i]}`);
+        }
+        options[key] = value;
+    }
+    
+    return options;
+}
+
+/**
+ * Normalize a sex argument to 'male' or 'female'
+ */
+function normalizeSex(value) {
+    const normalized = String(value).toLowerCase();
+    if (['m', 'male'].includes(normalized)) return 'male';
+    if (['f', 'female'].includes(normalized)) return 'female';
+    return null;
+}
+
 async function showStatistics(calculator) {
     console.log(`\n📈 RIDING STATISTICS`);
     console.log('='.repeat(30));
@@ -841,6 +3615,7 @@ async function showStatistics(calculator) {
     console.log(`Total Rides: ${stats.total_rides}`);
     console.log(`Total Distance: ${stats.total_distance?.toFixed(1)} km`);
     console.log(`Total Duration: ${(stats.total_duration / 60)?.toFixed(1)} hours`);
+    console.log(`Total Moving Time: ${(stats.total_moving_time / 60)?.toFixed(1)} hours`);
     console.log(`Total Elevation Gain: ${stats.total_elevation_gain?.toFixed(0)} m`);
     console.log(`Total Calories Burned: ${stats.total_calories?.toFixed(0)} kcal`);
     console.log(`Average Speed: ${stats.avg_speed?.toFixed(1)} km/h`);
@@ -859,32 +3634,97 @@ function showHelp() {
 🚴 Elevation-Adjusted Cycling Calorie Calculator
 
 Usage: 
-  Calculate calories: node index.js <gpx_file_path> [--rider-id <id>]
+  Calculate calories: node index.js <activity_file_path> [--rider-id <id>] [--model <model>]
+                     [--tracks merge|separate] [--splits 1km|5km|mile|lap|none]
+                     [--on-duplicate skip|replace|keep] [--offline]
+                     [--temp <°C>] [--wind <m/s>] [--wind-dir <degrees>] [--humidity <%>]
+  Import many files:  node index.js --import <directory|file|glob> [--rider-id <id>] [--model <model>]
   View history:      node index.js --history [limit]
   Show statistics:   node index.js --stats
   Export data:       node index.js --export [output_file]
+  REST API server:   node index.js --serve [--port <port>] [--host <address>] [--offline]
+                     (also serves the web dashboard at /)
+  List riders:       node index.js --riders
+  Add rider:         node index.js --add-rider <name> --weight <kg> [rider options]
+  Update rider:      node index.js --update-rider <id|name> [rider options]
+  Delete rider:      node index.js --delete-rider <id|name>
   Show this help:    node index.js --help
 
+Calorie models (--model, or the calorie_model configuration key):
+  auto   Use power, then heart rate, then MET, depending on the data available (default)
+  power  Mechanical work from power meter data and gross efficiency
+  hr     Keytel heart-rate equation (needs HR data and rider age and sex)
+  physics  Rolling resistance, drag, gravity and acceleration integrated per segment
+         (uses cda, rolling_resistance, bike_weight and default_wind_resistance)
+  met    Speed-based MET estimate with elevation, wind and environment adjustments
+
+GPX tracks and routes (--tracks, or the gpx_track_mode configuration key):
+  merge     Combine all tracks of the file into one ride (default)
+  separate  Save every track as its own ride
+  Route-only files (<rte>) are processed like tracks; waypoints (<wpt>) are listed as markers.
+
+Splits (--splits, or the split_interval configuration key):
+  1km, 5km, mile  Cut the ride every 1 km, 5 km or mile (default 1km)
+  lap             One split per device lap (TCX/FIT laps, GPX track segments)
+  none            No splits
+
+Duplicate rides (--on-duplicate, or the on_duplicate configuration key):
+  A ride matches a saved one when its track points are identical (content hash), or when it
+  starts within 5 minutes and 200 m of it and covers the same distance within 2%.
+  skip     Do not save the ride again (default)
+  replace  Recalculate the saved ride in place, keeping its ID
+  keep     Save the ride anyway
+
+Offline mode (--offline, or the offline_mode configuration key):
+  No elevation or weather API is called. Elevation comes from the GPXZ cache, local DEM
+  tiles or the activity file; weather from the weather cache, expired entries included.
+  --temp, --wind, --wind-dir and --humidity supply weather values (offline or not) that
+  replace looked-up ones. Supplied values and defaults used for missing data are listed
+  under ASSUMED INPUTS and saved with the ride (assumed_inputs).
+
+Rider options:
+  --name <name>  --weight <kg>  --age <years>  --sex <male|female>
+  --ftp <watts>  --max-hr <bpm>
+
 Examples:
   node index.js ./ride.gpx                    # Use default weight from database
-  node index.js ./ride.gpx --rider-id john    # Use rider ID (weight from config)
+  node index.js ./ride.gpx --rider-id john    # Use rider profile (by name or ID)
+  node index.js ./ride.tcx                    # TCX and FIT files are supported too
+  node index.js ./tour.gpx --tracks separate  # One ride per day of a multi-track tour
+  node index.js ./ride.fit --splits lap       # Calories per device lap
+  node index.js ./ride.gpx --on-duplicate replace   # Recalculate a ride already saved
+  node index.js ./ride.gpx --offline --temp 12 --wind 4 --wind-dir 270   # No network calls
+  node index.js ./ride.fit --rider-id john --model hr   # Heart-rate based estimate
+  node index.js --add-rider john --weight 72 --age 35 --sex male
+  node index.js --import ./rides             # Import every GPX/TCX/FIT file below ./rides
+  node index.js --import "./rides/2023/**/*.fit" --rider-id john
   node index.js --history 20                  # Show last 20 rides
   node index.js --stats                       # Show riding statistics
   node index.js --export data.json            # Export all data to JSON
+  node index.js --serve --port 8080           # REST API and dashboard at http://127.0.0.1:8080/
   
   # Legacy format (still supported):
   node index.js 70 ./ride.gpx                 # Specify weight directly
 
 Configuration:
-  The rider weight is retrieved from the database configuration (default_rider_weight).
+  With --rider-id the weight comes from the rider profile and the ride is linked to it.
+  Otherwise the rider weight is retrieved from the database configuration (default_rider_weight).
   You can update it using: node manage-weather-api.js or configuration management tools.
 
 The calculator automatically saves results to a SQLite database (cycling_data.db).
-Coordinates are extracted from the GPX file for weather data lookup.
+Supported activity files: GPX, TCX and FIT (chosen by extension, or by content when the
+extension is missing or unknown).
+Coordinates are extracted from the activity file for weather data lookup.
 
 API Keys (Environment Variables or Database Config):
 - GPXZ_API_KEY: Your GPXZ.io API key for elevation enhancement
-- WEATHER_API_KEY: Your OpenWeatherMap API key for weather data
+- WEATHER_API_KEY: API key of the active weather provider (OpenWeatherMap by default)
+
+Weather providers: openweathermap, weatherapi, accuweather, visualcrossing
+  Choose one and a fallback chain: node manage-weather-api.js set --provider <name> --key <key>
+                                   node manage-weather-api.js set --fallback <name,name>
+  Lookups are cached by position and hour: node manage-weather-api.js cache | cache-purge
+  Long rides are sampled every weather_sample_distance km / weather_sample_interval minutes
 
 Get your free GPXZ API key at: https://gpxz.io
 Get your free weather API key at: https://openweathermap.org/api
@@ -898,8 +3738,12 @@ Database Management:
 
 // Export for use as module
 module.exports = CyclingCalorieCalculator;
+module.exports.InputError = InputError;
 
 // Run CLI if called directly
 if (require.main === module) {
-    main();
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
 }
\ No newline at end of file
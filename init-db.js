@@ -94,9 +94,16 @@ DESCRIPTION:
     be modified unless --force is specified.
 
 TABLES CREATED:
+    • riders             - Store rider profiles (weight, age, sex, FTP, max HR)
     • rides              - Store cycling ride data and calculations
     • calorie_breakdown   - Store detailed calorie breakdown per ride
+    • ride_splits         - Store distance/lap splits per ride
+    • ride_climbs         - Store categorised climbs per ride
+    • ride_weather        - Store weather sampled along each ride
+    • ride_track          - Store the thinned track of each ride
     • configuration       - Store application configuration settings
+    • weather_cache       - Cache weather lookups by position and hour
+    • elevation_cache     - Cache elevation lookups by position
 `);
     }
 
@@ -197,7 +204,7 @@ TABLES CREATED:
         console.log(`
 📈 DATABASE SUMMARY:
    Path: ${path.resolve(this.options.dbPath)}
-   Tables: rides, calorie_breakdown, configuration
+   Tables: riders, rides, calorie_breakdown, ride_splits, ride_climbs, ride_weather, ride_track, configuration, weather_cache, elevation_cache
    Indexes: Optimized for queries on date, distance, calories
    
 🚴 READY TO USE:
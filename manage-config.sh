@@ -319,9 +319,46 @@ reset_config() {
     ('weather_api_key', '', 'string', 'Weather API key (OpenWeatherMap or similar)', 'api'),
     ('weather_api_timeout', '5000', 'number', 'Weather API timeout in milliseconds', 'api'),
     ('weather_api_base_url', 'https://api.openweathermap.org/data/2.5', 'string', 'Weather API base URL', 'api'),
+    ('elevation_api_timeout', '10000', 'number', 'Elevation API (GPXZ) timeout in milliseconds', 'api'),
+    ('http_max_retries', '3', 'number', 'Retries of API requests failing with HTTP 429, 5xx or a network error', 'api'),
+    ('http_retry_delay', '500', 'number', 'Delay in milliseconds before the first retry, doubled on every further retry', 'api'),
+    ('http_rate_limits', 'gpxz:1,openweathermap:1,weatherapi:2,accuweather:1,visualcrossing:1', 'string', 'Requests per second allowed for each API provider (provider:rate, comma separated)', 'api'),
+    ('offline_mode', 'false', 'boolean', 'Never call elevation or weather APIs; use cached, local and supplied data only', 'api'),
+    ('weather_provider', 'openweathermap', 'string', 'Weather provider: openweathermap, weatherapi, accuweather or visualcrossing', 'api'),
+    ('weather_fallback_providers', '', 'string', 'Weather providers tried in order when the active one fails (comma separated)', 'api'),
+    ('weather_cache_precision', '2', 'number', 'Decimal places of latitude and longitude in weather cache keys', 'api'),
+    ('weather_cache_ttl', '60', 'number', 'Minutes cached current weather stays valid (historical weather is kept permanently)', 'api'),
+    ('weather_sample_distance', '25', 'number', 'Distance in km between weather samples along the route', 'api'),
+    ('weather_sample_interval', '60', 'number', 'Minutes between weather samples along the route', 'api'),
+    ('weather_max_samples', '12', 'number', 'Most weather samples fetched for one ride', 'api'),
     ('enable_elevation_enhancement', 'true', 'boolean', 'Enable elevation data enhancement', 'processing'),
+    ('elevation_provider', 'gpxz', 'string', 'Elevation source: gpxz (online API), dem (local SRTM/GeoTIFF tiles) or none', 'processing'),
+    ('elevation_sample_distance', '30', 'number', 'Distance in meters between elevation samples along the route (bends are always sampled)', 'processing'),
+    ('elevation_cache_precision', '4', 'number', 'Decimal places of latitude and longitude in elevation cache keys', 'processing'),
+    ('dem_directory', './dem', 'string', 'Directory with SRTM .hgt or GeoTIFF elevation tiles for the dem provider', 'processing'),
     ('default_wind_resistance', '0.9', 'number', 'Default wind resistance coefficient', 'physics'),
+    ('cda', '0.32', 'number', 'Rider drag area CdA in m² for the physics model', 'physics'),
+    ('rolling_resistance', '0.005', 'number', 'Tyre rolling resistance coefficient Crr for the physics model', 'physics'),
+    ('bike_weight', '9', 'number', 'Bike and equipment weight in kg for the physics model', 'physics'),
+    ('elevation_filter', 'moving_average,hysteresis', 'string', 'Elevation smoothing pipeline: moving_average, kalman, hysteresis (comma separated) or none', 'processing'),
+    ('elevation_smoothing_window', '5', 'number', 'Moving average window in points for elevation smoothing', 'processing'),
+    ('elevation_hysteresis', '3', 'number', 'Minimum elevation change in meters counted as gain or loss', 'processing'),
+    ('elevation_kalman_noise', '9', 'number', 'Elevation measurement variance in m² for the Kalman filter', 'processing'),
+    ('auto_pause_speed', '3', 'number', 'Speed in km/h below which the rider counts as stopped', 'processing'),
+    ('auto_pause_gap', '60', 'number', 'Recording gap in seconds treated as a pause', 'processing'),
+    ('auto_pause_min_stop', '10', 'number', 'Shortest stop in seconds subtracted from moving time', 'processing'),
+    ('gpx_track_mode', 'merge', 'string', 'GPX files with several tracks: merge into one ride or save separate rides', 'processing'),
+    ('assumed_speed', '20', 'number', 'Speed in km/h assumed for routes and tracks without timestamps', 'processing'),
+    ('split_interval', '1km', 'string', 'Split interval: 1km, 5km, mile, lap or none', 'processing'),
+    ('stored_track_points', '1000', 'number', 'Track points stored per ride for route maps and elevation profiles (0 stores none)', 'processing'),
+    ('climb_min_gradient', '3', 'number', 'Minimum average gradient in % for a categorised climb', 'processing'),
+    ('climb_descent_tolerance', '10', 'number', 'Descent in meters that ends a climb', 'processing'),
+    ('on_duplicate', 'skip', 'string', 'Ride already in the database: skip, replace or keep', 'processing'),
+    ('calorie_model', 'auto', 'string', 'Calorie model: auto, power, hr, met or physics', 'processing'),
+    ('gross_efficiency', '0.24', 'number', 'Gross efficiency converting power meter work to calories', 'physics'),
     ('database_backup_enabled', 'false', 'boolean', 'Enable automatic database backups', 'system'),
+    ('server_port', '8080', 'number', 'Port of the REST API server (node index.js --serve)', 'system'),
+    ('server_host', '127.0.0.1', 'string', 'Address the REST API server listens on (0.0.0.0 for all interfaces)', 'system'),
     ('max_rides_per_export', '1000', 'number', 'Maximum number of rides per export', 'export');
     " 2>/dev/null
     
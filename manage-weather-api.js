@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const CyclingDatabase = require('./database.js');
+const { WEATHER_PROVIDERS, weatherApiKeySetting } = require('./weather-providers.js');
 
 /**
  * Command line utility to manage weather API key configuration
@@ -16,9 +17,13 @@ class WeatherApiManager {
         const options = {
             dbPath: './cycling_data.db',
             apiKey: null,
+            provider: null,
+            fallback: null,
             baseUrl: null,
             timeout: null,
             show: false,
+            all: false,
+            limit: 20,
             help: false
         };
 
@@ -44,6 +49,23 @@ class WeatherApiManager {
                         i++;
                     }
                     break;
+                case '--provider':
+                case '-p':
+                    if (i + 1 < this.args.length) {
+                        options.provider = this.args[i + 1].toLowerCase();
+                        i++;
+                    }
+                    break;
+                case '--fallback':
+                case '-f':
+                    if (i + 1 < this.args.length) {
+                        options.fallback = this.args[i + 1]
+                            .split(',')
+                            .map(name => name.trim().toLowerCase())
+                            .filter(Boolean);
+                        i++;
+                    }
+                    break;
                 case '--url':
                 case '-u':
                     if (i + 1 < this.args.length) {
@@ -62,6 +84,20 @@ class WeatherApiManager {
                 case '-s':
                     options.show = true;
                     break;
+                case '--all':
+                case '-a':
+                    options.all = true;
+                    break;
+                case '--limit':
+                case '-l':
+                    if (i + 1 < this.args.length) {
+                        if (!/^\d+$/.test(this.args[i + 1]) || parseInt(this.args[i + 1]) === 0) {
+                            throw new Error(`Invalid value for ${arg}: ${this.args[i + 1]}. Use a whole number above 0`);
+                        }
+                        options.limit = parseInt(this.args[i + 1]);
+                        i++;
+                    }
+                    break;
                 default:
                     // If no flag and it looks like an API key, use it as such
                     if (!arg.startsWith('-') && arg.length > 10) {
@@ -82,17 +118,26 @@ USAGE:
     node manage-weather-api.js <command> [options]
 
 COMMANDS:
-    set                Set weather API key and configuration
+    set                Set weather provider, API key and configuration
     get                Get current weather API configuration
-    check              Check if API key is configured
-    clear              Clear the weather API key
+    check              Check if the active provider has an API key
+    clear              Clear the API key of the active provider (or of --provider)
+    cache              Show weather cache statistics and the latest entries
+    cache-purge        Delete expired weather cache entries (or all with --all)
 
 OPTIONS:
-    -k, --key <key>    Weather API key
-    -u, --url <url>    Weather API base URL
+    -k, --key <key>    Weather API key of --provider, or of the active provider
+    -p, --provider <name>
+                       Make <name> the active weather provider
+    -f, --fallback <names>
+                       Providers tried in order when the active one fails
+                       (comma separated, "none" to clear)
+    -u, --url <url>    OpenWeatherMap API base URL
     -t, --timeout <ms> API timeout in milliseconds
     -d, --db <path>    Database file path (default: ./cycling_data.db)
     -s, --show         Show API key value (otherwise masked)
+    -l, --limit <n>    Number of cache entries to list (default: 20)
+    -a, --all          Purge every cache entry, including historical weather
     -h, --help         Show this help message
 
 EXAMPLES:
@@ -102,6 +147,16 @@ EXAMPLES:
     # Set API key with custom URL and timeout
     node manage-weather-api.js set -k "api-key" -u "https://api.weather.com" -t 10000
     
+    # Switch to Visual Crossing with its own key
+    node manage-weather-api.js set --provider visualcrossing --key "vc-key"
+    
+    # Fall back to WeatherAPI, then OpenWeatherMap, when the active provider fails
+    node manage-weather-api.js set --provider weatherapi --key "wa-key"
+    node manage-weather-api.js set --provider visualcrossing --fallback weatherapi,openweathermap
+    
+    # Clear the WeatherAPI key
+    node manage-weather-api.js clear --provider weatherapi
+    
     # Get current configuration
     node manage-weather-api.js get
     
@@ -116,17 +171,24 @@ EXAMPLES:
     
     # Use different database
     node manage-weather-api.js get --db ./production_data.db
+    
+    # Inspect the weather cache and drop stale current conditions
+    node manage-weather-api.js cache --limit 50
+    node manage-weather-api.js cache-purge
 
 WEATHER API PROVIDERS:
-    • OpenWeatherMap: https://openweathermap.org/api
-    • WeatherAPI: https://www.weatherapi.com/
-    • AccuWeather: https://developer.accuweather.com/
-    • Visual Crossing: https://www.visualcrossing.com/weather-api
+    • openweathermap   OpenWeatherMap: https://openweathermap.org/api (default)
+    • weatherapi       WeatherAPI: https://www.weatherapi.com/
+    • accuweather      AccuWeather: https://developer.accuweather.com/
+                       (history covers the last 24 hours only)
+    • visualcrossing   Visual Crossing: https://www.visualcrossing.com/weather-api
 
 NOTES:
     - API keys are stored securely in the database
     - Use environment variables for sensitive keys in production
     - Some commands may require the database to exist first
+    - Historical weather is cached permanently, current weather for
+      weather_cache_ttl minutes (see ./manage-config.sh)
 `);
     }
 
@@ -154,6 +216,12 @@ NOTES:
                 case 'clear':
                     await this.clearApiKey(db);
                     break;
+                case 'cache':
+                    await this.showCache(db);
+                    break;
+                case 'cache-purge':
+                    await this.purgeCache(db);
+                    break;
                 default:
                     console.error(`❌ Unknown command: ${this.command}`);
                     console.log('Use --help to see available commands');
@@ -170,18 +238,50 @@ NOTES:
         }
     }
 
+    /**
+     * Check provider names against the available weather providers
+     */
+    validateProviders(names) {
+        const unknown = names.filter(name => !WEATHER_PROVIDERS[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown weather provider: ${unknown.join(', ')}. Use ${Object.keys(WEATHER_PROVIDERS).join(', ')}`);
+        }
+    }
+
+    /**
+     * Print the provider chain and the (masked) key of every provider
+     */
+    printProviders(config) {
+        const chain = [config.provider, ...config.fallbackProviders.filter(name => name !== config.provider)];
+        console.log(`   Provider: ${config.provider}`);
+        console.log(`   Fallback chain: ${chain.join(' → ')}`);
+
+        for (const name of Object.keys(WEATHER_PROVIDERS)) {
+            const key = config.providerKeys[name];
+            if (key || chain.includes(name)) {
+                console.log(`   ${WEATHER_PROVIDERS[name].label} key: ${key ? (this.options.show ? key : this.maskApiKey(key)) : '❌ Not configured'}`);
+            }
+        }
+    }
+
     async setApiKey(db) {
-        const { apiKey, baseUrl, timeout } = this.options;
+        const { apiKey, provider, fallback, baseUrl, timeout } = this.options;
 
-        if (!apiKey) {
-            console.error('❌ API key is required. Use --key or -k to specify it.');
+        if (!apiKey && !provider && !fallback && !baseUrl && !timeout) {
+            console.error('❌ Nothing to set. Use --key, --provider, --fallback, --url or --timeout.');
             return;
         }
 
+        if (provider) this.validateProviders([provider]);
+        const fallbackProviders = fallback && fallback.join(',') === 'none' ? [] : fallback;
+        if (fallbackProviders) this.validateProviders(fallbackProviders);
+
         console.log('🔑 Setting weather API configuration...');
 
         const config = {};
         if (apiKey) config.apiKey = apiKey;
+        if (provider) config.provider = provider;
+        if (fallbackProviders) config.fallbackProviders = fallbackProviders;
         if (baseUrl) config.baseUrl = baseUrl;
         if (timeout) config.timeout = timeout;
 
@@ -190,7 +290,7 @@ NOTES:
         const updatedConfig = await db.getWeatherApiConfig();
         
         console.log('✅ Weather API configuration updated:');
-        console.log(`   API Key: ${this.options.show ? updatedConfig.apiKey : this.maskApiKey(updatedConfig.apiKey)}`);
+        this.printProviders(updatedConfig);
         console.log(`   Base URL: ${updatedConfig.baseUrl}`);
         console.log(`   Timeout: ${updatedConfig.timeout}ms`);
         console.log(`   Status: ${updatedConfig.hasKey ? '✅ Configured' : '❌ Not configured'}`);
@@ -201,14 +301,14 @@ NOTES:
         
         const config = await db.getWeatherApiConfig();
         
-        console.log(`   API Key: ${config.apiKey ? (this.options.show ? config.apiKey : this.maskApiKey(config.apiKey)) : '❌ Not configured'}`);
+        this.printProviders(config);
         console.log(`   Base URL: ${config.baseUrl}`);
         console.log(`   Timeout: ${config.timeout}ms`);
         console.log(`   Status: ${config.hasKey ? '✅ Configured' : '❌ Not configured'}`);
 
         if (!config.hasKey) {
             console.log('\n💡 To set an API key, use:');
-            console.log('   node manage-weather-api.js set --key "your-api-key-here"');
+            console.log(`   node manage-weather-api.js set --provider ${config.provider} --key "your-api-key-here"`);
         }
     }
 
@@ -218,7 +318,7 @@ NOTES:
         
         if (hasKey) {
             console.log('✅ Weather API key is configured');
-            console.log(`   Provider: ${config.baseUrl}`);
+            console.log(`   Provider: ${WEATHER_PROVIDERS[config.provider]?.label || config.provider}`);
             console.log(`   Key length: ${config.apiKey.length} characters`);
         } else {
             console.log('❌ Weather API key is not configured');
@@ -229,9 +329,15 @@ NOTES:
     }
 
     async clearApiKey(db) {
-        console.log('🗑️  Clearing weather API key...');
+        const provider = this.options.provider || (await db.getWeatherApiConfig()).provider;
+        this.validateProviders([provider]);
+        console.log(`🗑️  Clearing weather API key for ${provider}...`);
         
-        await db.setConfig('weather_api_key', '', 'string', 'Weather API key (OpenWeatherMap or similar)', 'api');
+        if (provider === 'openweathermap') {
+            await db.setConfig('weather_api_key', '', 'string', 'Weather API key (OpenWeatherMap or similar)', 'api');
+        } else {
+            await db.deleteConfig(weatherApiKeySetting(provider));
+        }
         
         console.log('✅ Weather API key cleared');
         
@@ -239,6 +345,40 @@ NOTES:
         console.log(`   Status: ${config.hasKey ? '✅ Still configured' : '❌ Not configured'}`);
     }
 
+    async showCache(db) {
+        const stats = await db.getWeatherCacheStats();
+
+        console.log('💾 Weather cache:');
+        console.log(`   Entries: ${stats.total_entries}`);
+        console.log(`   Historical (permanent): ${stats.permanent_entries || 0}`);
+        console.log(`   Current (valid): ${stats.active_entries || 0}`);
+        console.log(`   Current (expired): ${stats.expired_entries || 0}`);
+
+        if (stats.total_entries === 0) {
+            return;
+        }
+
+        console.log(`   Oldest entry: ${stats.oldest_entry}`);
+        console.log(`   Newest entry: ${stats.newest_entry}`);
+
+        const entries = await db.getWeatherCacheEntries(this.options.limit);
+        console.log(`\n📋 Latest ${entries.length} entries:`);
+        for (const entry of entries) {
+            const weather = JSON.parse(entry.data);
+            const provider = WEATHER_PROVIDERS[entry.provider]?.label || entry.provider || 'unknown';
+            const expiry = entry.expires_at ? `expires ${entry.expires_at}` : 'permanent';
+            console.log(`   ${entry.hour}  ${entry.latitude}, ${entry.longitude}  ${weather.temperature}°C, ${weather.windSpeed} m/s, ${weather.humidity}%  ${entry.source} from ${provider} (${expiry})`);
+        }
+    }
+
+    async purgeCache(db) {
+        console.log(this.options.all ? '🗑️  Purging the whole weather cache...' : '🗑️  Purging expired weather cache entries...');
+
+        const deleted = await db.purgeWeatherCache({ all: this.options.all });
+
+        console.log(`✅ ${deleted} cache entr${deleted === 1 ? 'y' : 'ies'} removed`);
+    }
+
     async run() {
         if (this.options.help || !this.command) {
             this.showHelp();
@@ -254,8 +394,8 @@ NOTES:
 
 // Run the manager if called directly
 if (require.main === module) {
-    const manager = new WeatherApiManager();
-    manager.run().catch(error => {
+    // Invalid options are reported by the constructor
+    Promise.resolve().then(() => new WeatherApiManager().run()).catch(error => {
         console.error('❌ Fatal error:', error.message);
         process.exit(1);
     });
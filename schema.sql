@@ -1,10 +1,27 @@
 -- Cycling Calorie Calculator Database Schema
 -- This file contains all SQL statements needed to create the database structure
 
+-- Create riders table
+CREATE TABLE IF NOT EXISTS riders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    weight REAL NOT NULL,
+    age INTEGER,
+    sex TEXT,
+    ftp INTEGER,
+    max_heart_rate INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create rides table
 CREATE TABLE IF NOT EXISTS rides (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    gpx_filename TEXT,
+    source_filename TEXT,
+    source_format TEXT,
+    track_name TEXT,
+    content_hash TEXT,
+    rider_id INTEGER REFERENCES riders (id) ON DELETE SET NULL,
     rider_weight REAL NOT NULL,
     ride_date TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -12,7 +29,12 @@ CREATE TABLE IF NOT EXISTS rides (
     -- Route data
     distance REAL NOT NULL,
     duration REAL,
+    moving_time REAL,
+    stop_count INTEGER,
     elevation_gain REAL,
+    elevation_loss REAL,
+    raw_elevation_gain REAL,
+    raw_elevation_loss REAL,
     average_speed REAL,
     start_latitude REAL,
     start_longitude REAL,
@@ -26,6 +48,19 @@ CREATE TABLE IF NOT EXISTS rides (
     base_met REAL,
     calories_per_km INTEGER,
     calories_per_hour INTEGER,
+    calorie_model TEXT,
+    estimated_calories INTEGER,
+    mechanical_work_kj REAL,
+    model_inputs TEXT,
+    
+    -- Sensor data (from trackpoint extensions / device records)
+    avg_heart_rate INTEGER,
+    max_heart_rate INTEGER,
+    avg_cadence INTEGER,
+    avg_power INTEGER,
+    max_power INTEGER,
+    normalized_power INTEGER,
+    device_temperature REAL,
     
     -- Weather data
     wind_speed REAL,
@@ -34,9 +69,11 @@ CREATE TABLE IF NOT EXISTS rides (
     temperature REAL,
     pressure REAL,
     weather_source TEXT,
+    weather_provider TEXT,
+    assumed_inputs TEXT, -- JSON list of inputs that were defaulted or supplied by the user
     
     -- Metadata
-    elevation_enhanced BOOLEAN DEFAULT 0,
+    elevation_enhanced TEXT, -- elevation source used (gpxz, dem or dem-partial), NULL for file elevation
     has_elevation_data BOOLEAN DEFAULT 0
 );
 
@@ -51,6 +88,73 @@ CREATE TABLE IF NOT EXISTS calorie_breakdown (
     FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
 );
 
+-- Create ride splits table
+CREATE TABLE IF NOT EXISTS ride_splits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ride_id INTEGER NOT NULL,
+    split_number INTEGER NOT NULL,
+    distance REAL NOT NULL,
+    duration REAL,
+    moving_time REAL,
+    average_speed REAL,
+    elevation_gain REAL,
+    elevation_loss REAL,
+    calories INTEGER NOT NULL,
+    FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+);
+
+-- Create ride climbs table
+CREATE TABLE IF NOT EXISTS ride_climbs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ride_id INTEGER NOT NULL,
+    climb_number INTEGER NOT NULL,
+    category TEXT NOT NULL,
+    score INTEGER,
+    start_distance REAL,
+    length REAL NOT NULL,
+    elevation_gain REAL NOT NULL,
+    average_gradient REAL,
+    max_gradient REAL,
+    start_elevation REAL,
+    end_elevation REAL,
+    start_latitude REAL,
+    start_longitude REAL,
+    duration REAL,
+    calories INTEGER,
+    FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+);
+
+-- Create ride weather table (weather sampled along the route)
+CREATE TABLE IF NOT EXISTS ride_weather (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ride_id INTEGER NOT NULL,
+    sample_number INTEGER NOT NULL,
+    distance REAL NOT NULL,
+    sample_time DATETIME,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    wind_speed REAL,
+    wind_direction REAL,
+    humidity REAL,
+    temperature REAL,
+    pressure REAL,
+    source TEXT,
+    provider TEXT,
+    FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+);
+
+-- Create ride track table (track thinned for route maps and elevation profiles)
+CREATE TABLE IF NOT EXISTS ride_track (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ride_id INTEGER NOT NULL,
+    point_number INTEGER NOT NULL,
+    distance REAL NOT NULL,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    elevation REAL,
+    FOREIGN KEY (ride_id) REFERENCES rides (id) ON DELETE CASCADE
+);
+
 -- Create configuration table
 CREATE TABLE IF NOT EXISTS configuration (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -63,13 +167,44 @@ CREATE TABLE IF NOT EXISTS configuration (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create weather cache table (expires_at is NULL for historical weather)
+CREATE TABLE IF NOT EXISTS weather_cache (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    hour TEXT NOT NULL,
+    provider TEXT,
+    source TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT,
+    UNIQUE (latitude, longitude, hour)
+);
+
+-- Create elevation cache table
+CREATE TABLE IF NOT EXISTS elevation_cache (
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    provider TEXT NOT NULL,
+    elevation REAL NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (latitude, longitude, provider)
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_rides_date ON rides (ride_date);
 CREATE INDEX IF NOT EXISTS idx_rides_distance ON rides (distance);
 CREATE INDEX IF NOT EXISTS idx_rides_calories ON rides (total_calories);
+CREATE INDEX IF NOT EXISTS idx_rides_rider ON rides (rider_id);
+CREATE INDEX IF NOT EXISTS idx_rides_hash ON rides (content_hash);
 CREATE INDEX IF NOT EXISTS idx_breakdown_ride ON calorie_breakdown (ride_id);
+CREATE INDEX IF NOT EXISTS idx_splits_ride ON ride_splits (ride_id);
+CREATE INDEX IF NOT EXISTS idx_climbs_ride ON ride_climbs (ride_id);
+CREATE INDEX IF NOT EXISTS idx_ride_weather_ride ON ride_weather (ride_id);
+CREATE INDEX IF NOT EXISTS idx_ride_track_ride ON ride_track (ride_id);
 CREATE INDEX IF NOT EXISTS idx_config_key ON configuration (key);
 CREATE INDEX IF NOT EXISTS idx_config_category ON configuration (category);
+CREATE INDEX IF NOT EXISTS idx_weather_cache_expires ON weather_cache (expires_at);
 
 -- Insert default configuration values
 INSERT OR IGNORE INTO configuration (key, value, value_type, description, category) VALUES
@@ -77,7 +212,44 @@ INSERT OR IGNORE INTO configuration (key, value, value_type, description, catego
 ('weather_api_key', '', 'string', 'Weather API key (OpenWeatherMap or similar)', 'api'),
 ('weather_api_timeout', '5000', 'number', 'Weather API timeout in milliseconds', 'api'),
 ('weather_api_base_url', 'https://api.openweathermap.org/data/2.5', 'string', 'Weather API base URL', 'api'),
+('elevation_api_timeout', '10000', 'number', 'Elevation API (GPXZ) timeout in milliseconds', 'api'),
+('http_max_retries', '3', 'number', 'Retries of API requests failing with HTTP 429, 5xx or a network error', 'api'),
+('http_retry_delay', '500', 'number', 'Delay in milliseconds before the first retry, doubled on every further retry', 'api'),
+('http_rate_limits', 'gpxz:1,openweathermap:1,weatherapi:2,accuweather:1,visualcrossing:1', 'string', 'Requests per second allowed for each API provider (provider:rate, comma separated)', 'api'),
+('offline_mode', 'false', 'boolean', 'Never call elevation or weather APIs; use cached, local and supplied data only', 'api'),
+('weather_provider', 'openweathermap', 'string', 'Weather provider: openweathermap, weatherapi, accuweather or visualcrossing', 'api'),
+('weather_fallback_providers', '', 'string', 'Weather providers tried in order when the active one fails (comma separated)', 'api'),
+('weather_cache_precision', '2', 'number', 'Decimal places of latitude and longitude in weather cache keys', 'api'),
+('weather_cache_ttl', '60', 'number', 'Minutes cached current weather stays valid (historical weather is kept permanently)', 'api'),
+('weather_sample_distance', '25', 'number', 'Distance in km between weather samples along the route', 'api'),
+('weather_sample_interval', '60', 'number', 'Minutes between weather samples along the route', 'api'),
+('weather_max_samples', '12', 'number', 'Most weather samples fetched for one ride', 'api'),
 ('enable_elevation_enhancement', 'true', 'boolean', 'Enable elevation data enhancement', 'processing'),
+('elevation_provider', 'gpxz', 'string', 'Elevation source: gpxz (online API), dem (local SRTM/GeoTIFF tiles) or none', 'processing'),
+('elevation_sample_distance', '30', 'number', 'Distance in meters between elevation samples along the route (bends are always sampled)', 'processing'),
+('elevation_cache_precision', '4', 'number', 'Decimal places of latitude and longitude in elevation cache keys', 'processing'),
+('dem_directory', './dem', 'string', 'Directory with SRTM .hgt or GeoTIFF elevation tiles for the dem provider', 'processing'),
 ('default_wind_resistance', '0.9', 'number', 'Default wind resistance coefficient', 'physics'),
+('cda', '0.32', 'number', 'Rider drag area CdA in m² for the physics model', 'physics'),
+('rolling_resistance', '0.005', 'number', 'Tyre rolling resistance coefficient Crr for the physics model', 'physics'),
+('bike_weight', '9', 'number', 'Bike and equipment weight in kg for the physics model', 'physics'),
+('elevation_filter', 'moving_average,hysteresis', 'string', 'Elevation smoothing pipeline: moving_average, kalman, hysteresis (comma separated) or none', 'processing'),
+('elevation_smoothing_window', '5', 'number', 'Moving average window in points for elevation smoothing', 'processing'),
+('elevation_hysteresis', '3', 'number', 'Minimum elevation change in meters counted as gain or loss', 'processing'),
+('elevation_kalman_noise', '9', 'number', 'Elevation measurement variance in m² for the Kalman filter', 'processing'),
+('auto_pause_speed', '3', 'number', 'Speed in km/h below which the rider counts as stopped', 'processing'),
+('auto_pause_gap', '60', 'number', 'Recording gap in seconds treated as a pause', 'processing'),
+('auto_pause_min_stop', '10', 'number', 'Shortest stop in seconds subtracted from moving time', 'processing'),
+('gpx_track_mode', 'merge', 'string', 'GPX files with several tracks: merge into one ride or save separate rides', 'processing'),
+('assumed_speed', '20', 'number', 'Speed in km/h assumed for routes and tracks without timestamps', 'processing'),
+('split_interval', '1km', 'string', 'Split interval: 1km, 5km, mile, lap or none', 'processing'),
+('stored_track_points', '1000', 'number', 'Track points stored per ride for route maps and elevation profiles (0 stores none)', 'processing'),
+('climb_min_gradient', '3', 'number', 'Minimum average gradient in % for a categorised climb', 'processing'),
+('climb_descent_tolerance', '10', 'number', 'Descent in meters that ends a climb', 'processing'),
+('on_duplicate', 'skip', 'string', 'Ride already in the database: skip, replace or keep', 'processing'),
+('calorie_model', 'auto', 'string', 'Calorie model: auto, power, hr, met or physics', 'processing'),
+('gross_efficiency', '0.24', 'number', 'Gross efficiency converting power meter work to calories', 'physics'),
 ('database_backup_enabled', 'false', 'boolean', 'Enable automatic database backups', 'system'),
+('server_port', '8080', 'number', 'Port of the REST API server (node index.js --serve)', 'system'),
+('server_host', '127.0.0.1', 'string', 'Address the REST API server listens on (0.0.0.0 for all interfaces)', 'system'),
 ('max_rides_per_export', '1000', 'number', 'Maximum number of rides per export', 'export');
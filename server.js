@@ -0,0 +1,597 @@
+// cycling-calorie-calculator/server.js
+// Local REST API around the calculator: activity uploads, rides, statistics and configuration,
+// plus the static web dashboard built on it
+
+const http = require('http');
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Largest request body accepted, uploads included (bytes)
+const MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+// Rides per page of GET /api/rides, by default and at most
+const DEFAULT_RIDE_LIMIT = 20;
+const MAX_RIDE_LIMIT = 500;
+
+// Upload form fields passed to calculateCalorieBurn(), with their parsers
+const UPLOAD_FIELDS = {
+    riderId: value => value,
+    weight: value => {
+        const weight = Number(value);
+        if (!Number.isFinite(weight) || weight <= 0) {
+            throw new HttpError(400, `Invalid weight: ${value}. Use a number of kilograms above 0`);
+        }
+        return weight;
+    },
+    model: value => value,
+    trackMode: value => value,
+    splits: value => value,
+    onDuplicate: value => value
+};
+const UPLOAD_WEATHER_FIELDS = ['temperature', 'windSpeed', 'windDirection', 'humidity'];
+
+// Periods of GET /api/statistics/periods, by default and at most
+const DEFAULT_PERIOD_LIMIT = 12;
+const MAX_PERIOD_LIMIT = 120;
+
+// Static files of the dashboard, served from / with these content types
+const DASHBOARD_DIRECTORY = path.join(__dirname, 'dashboard');
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml'
+};
+
+// Ride columns holding JSON, returned parsed
+const RIDE_JSON_COLUMNS = ['model_inputs', 'assumed_inputs'];
+
+/**
+ * Error answered with an HTTP status and a JSON body { error }
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @returns {Array} [{ name, filename, contentType, data (Buffer) }]
+ */
+function parseMultipart(body, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const separator = Buffer.from(`\r\n--${boundary}`);
+    const parts = [];
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) {
+        throw new HttpError(400, 'Malformed multipart body: boundary not found');
+    }
+
+    for (;;) {
+        position += delimiter.length;
+
+        // "--" after a delimiter closes the body
+        if (body.toString('latin1', position, position + 2) === '--') {
+            return parts;
+        }
+
+        const headerEnd = body.indexOf('\r\n\r\n', position);
+        const next = headerEnd === -1 ? -1 : body.indexOf(separator, headerEnd + 4);
+        if (next === -1) {
+            throw new HttpError(400, 'Malformed multipart body: part is not terminated');
+        }
+
+        const headers = {};
+        for (const line of body.toString('utf8', position, headerEnd).split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        }
+
+        const disposition = headers['content-disposition'] || '';
+        const name = /\bname="([^"]*)"/i.exec(disposition);
+        const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+        parts.push({
+            name: name ? name[1] : null,
+            filename: filename ? filename[1] : null,
+            contentType: headers['content-type'] || null,
+            data: body.subarray(headerEnd + 4, next)
+        });
+
+        // Skip the CRLF in front of the next delimiter
+        position = next + 2;
+    }
+}
+
+/**
+ * Calculation result as returned by the API: the track points are left out, they make
+ * up almost all of its size; the thinned track stored with the ride is in `track`
+ */
+function toResultJson(result) {
+    const { points, ...gpxData } = result.gpxData;
+    return {
+        rideId: result.rideId ?? null,
+        duplicateOf: result.duplicateOf ?? null,
+        replacedRideId: result.replacedRideId ?? null,
+        saveError: result.saveError ?? null,
+        summary: result.summary,
+        gpxData: { ...gpxData, pointCount: points.length },
+        weatherData: result.weatherData,
+        breakdown: result.breakdown,
+        splits: result.splits,
+        climbs: result.climbs,
+        location: result.location,
+        rider: result.rider,
+        weight: result.weight,
+        offline: result.offline,
+        assumptions: result.assumptions,
+        track: result.track
+    };
+}
+
+/**
+ * Ride row with its JSON columns parsed
+ */
+function toRideJson(ride) {
+    const json = { ...ride };
+    for (const column of RIDE_JSON_COLUMNS) {
+        if (typeof json[column] === 'string') {
+            try {
+                json[column] = JSON.parse(json[column]);
+            } catch (error) {
+                // Keep the stored text
+            }
+        }
+    }
+    return json;
+}
+
+/**
+ * Hide all but the ends of API keys in configuration responses
+ */
+function maskConfigValue(key, value) {
+    if (!/api_key/.test(key) || !value) {
+        return value;
+    }
+    const text = String(value);
+    return text.length > 8 ? `${text.substring(0, 4)}****${text.substring(text.length - 4)}` : '****';
+}
+
+/**
+ * Convert a configuration value sent by a client to the key's type
+ */
+function parseConfigValue(value, type) {
+    switch (type) {
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                throw new HttpError(400, `Invalid number: ${JSON.stringify(value)}`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            throw new HttpError(400, `Invalid boolean: ${JSON.stringify(value)}. Use true or false`);
+        case 'json':
+            return value;
+        default:
+            if (typeof value === 'object' && value !== null) {
+                throw new HttpError(400, `Invalid ${type}: ${JSON.stringify(value)}`);
+            }
+            return String(value);
+    }
+}
+
+/**
+ * HTTP server exposing a calculator as a JSON API. It keeps one database connection
+ * open while it runs and calculates uploads one at a time, because they share the
+ * calculator's settings, caches and HTTP client.
+ */
+class ApiServer {
+    /**
+     * @param {CyclingCalorieCalculator} calculator - Calculator with database storage enabled
+     */
+    constructor(calculator) {
+        if (!calculator.database) {
+            throw new Error('Database not enabled. Set saveToDatabase to true in config.');
+        }
+
+        this.calculator = calculator;
+        this.database = calculator.database;
+        this.server = null;
+        this.queue = Promise.resolve();
+
+        this.routes = [
+            { method: 'POST', pattern: /^\/api\/rides$/, handler: (request) => this.uploadRide(request) },
+            { method: 'GET', pattern: /^\/api\/rides$/, handler: (request, url) => this.listRides(url) },
+            { method: 'GET', pattern: /^\/api\/rides\/(\d+)$/, handler: (request, url, id) => this.getRide(id) },
+            { method: 'DELETE', pattern: /^\/api\/rides\/(\d+)$/, handler: (request, url, id) => this.deleteRide(id) },
+            { method: 'GET', pattern: /^\/api\/rides\/(\d+)\/breakdown$/, handler: (request, url, id) => this.getBreakdown(id) },
+            { method: 'GET', pattern: /^\/api\/statistics$/, handler: () => this.getStatistics() },
+            { method: 'GET', pattern: /^\/api\/statistics\/periods$/, handler: (request, url) => this.getPeriodTotals(url) },
+            { method: 'GET', pattern: /^\/api\/config$/, handler: (request, url) => this.getConfig(url) },
+            { method: 'PUT', pattern: /^\/api\/config\/([\w.-]+)$/, handler: (request, url, key) => this.updateConfig(request, key) },
+            { method: 'GET', pattern: /^\/(?!api(?:\/|$))(.*)$/, handler: (request, url, file) => this.serveDashboard(file) }
+        ];
+    }
+
+    /**
+     * Open the database and start listening
+     * @param {number} [port] - Port, server_port by default (0 picks a free port)
+     * @param {string} [host] - Address, server_host by default
+     * @returns {Object} { host, port } actually listened on
+     */
+    async start(port = null, host = null) {
+        await this.calculator.openDatabaseSession();
+        // Missing keys are added with their defaults, so all of them can be changed through the API
+        await this.database.initializeDefaultConfig();
+        await this.calculator.loadDatabaseConfig();
+        port = port ?? this.calculator.getSetting('serverPort');
+        host = host ?? this.calculator.getSetting('serverHost');
+
+        this.server = http.createServer((request, response) => this.handle(request, response));
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.server.once('error', reject);
+                this.server.listen(port, host, resolve);
+            });
+        } catch (error) {
+            this.server = null;
+            await this.calculator.closeDatabaseSession();
+            throw error;
+        }
+
+        const address = this.server.address();
+        console.log(`🌐 REST API listening on http://${address.address}:${address.port}/api`);
+        console.log(`📊 Dashboard at http://${address.address}:${address.port}/`);
+        return { host: address.address, port: address.port };
+    }
+
+    /**
+     * Stop accepting requests, wait for running calculations and close the database
+     */
+    async stop() {
+        if (this.server) {
+            const server = this.server;
+            this.server = null;
+            const closed = new Promise(resolve => server.close(() => resolve()));
+            // Keep-alive connections would hold the server open until they time out
+            if (server.closeIdleConnections) {
+                server.closeIdleConnections();
+            }
+            await closed;
+        }
+        await this.queue;
+        await this.calculator.closeDatabaseSession();
+        console.log('🌐 REST API stopped');
+    }
+
+    /**
+     * Run a task after the calculations and configuration changes queued before it
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Route a request and answer with JSON
+     */
+    async handle(request, response) {
+        const startedAt = Date.now();
+        let status = 200;
+        let body;
+        let contentType = null;
+
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const matches = this.routes
+                .map(route => ({ route, match: route.pattern.exec(url.pathname) }))
+                .filter(({ match }) => match);
+
+            if (matches.length === 0) {
+                throw new HttpError(404, `Not found: ${url.pathname}`);
+            }
+
+            const matched = matches.find(({ route }) => route.method === request.method);
+            if (!matched) {
+                response.setHeader('Allow', matches.map(({ route }) => route.method).join(', '));
+                throw new HttpError(405, `Method ${request.method} not allowed for ${url.pathname}`);
+            }
+
+            ({ status = 200, body, contentType } = await matched.route.handler(request, url, ...matched.match.slice(1)));
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: error.message };
+            contentType = null;
+            if (status === 500) {
+                console.error('❌ API error:', error.stack || error.message);
+            }
+        }
+
+        if (contentType) {
+            response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+            response.end(body);
+        } else {
+            response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+            response.end(JSON.stringify(body));
+        }
+        console.log(`🌐 ${request.method} ${request.url} ${status} (${Date.now() - startedAt} ms)`);
+    }
+
+    /**
+     * Read the request body, refusing bodies over MAX_BODY_SIZE
+     */
+    async readBody(request) {
+        const length = parseInt(request.headers['content-length']);
+        if (length > MAX_BODY_SIZE) {
+            throw new HttpError(413, `Request body too large (limit ${MAX_BODY_SIZE / 1024 / 1024} MB)`);
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                throw new HttpError(413, `Request body too large (limit ${MAX_BODY_SIZE / 1024 / 1024} MB)`);
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Read a JSON request body
+     */
+    async readJson(request) {
+        if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+            throw new HttpError(415, 'Expected a JSON body (Content-Type: application/json)');
+        }
+
+        try {
+            return JSON.parse((await this.readBody(request)).toString('utf8'));
+        } catch (error) {
+            throw error instanceof HttpError ? error : new HttpError(400, `Invalid JSON body: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a ride ID from the path, answering 404 when there is no such ride
+     */
+    async findRide(id) {
+        const ride = await this.database.getRide(parseInt(id));
+        if (!ride) {
+            throw new HttpError(404, `Ride not found: ${id}`);
+        }
+        return ride;
+    }
+
+    /**
+     * POST /api/rides: calculate and save an uploaded GPX, TCX or FIT file (multipart field
+     * "file"), with the calculateCalorieBurn() parameters as optional form fields
+     */
+    async uploadRide(request) {
+        const contentType = request.headers['content-type'] || '';
+        const boundary = /^multipart\/form-data\b.*?;\s*boundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType);
+        if (!boundary) {
+            throw new HttpError(415, 'Expected a multipart/form-data upload with the activity file in the "file" field');
+        }
+
+        const parts = parseMultipart(await this.readBody(request), boundary[1] || boundary[2]);
+        const file = parts.find(part => part.name === 'file' && part.filename !== null);
+        if (!file || file.data.length === 0) {
+            throw new HttpError(400, 'No activity file uploaded in the "file" field');
+        }
+
+        const fields = Object.fromEntries(parts
+            .filter(part => part.filename === null && part.name)
+            .map(part => [part.name, part.data.toString('utf8').trim()])
+            .filter(([, value]) => value !== ''));
+        const params = {};
+        const weather = {};
+        for (const [name, value] of Object.entries(fields)) {
+            const isWeather = UPLOAD_WEATHER_FIELDS.includes(name);
+            if (!UPLOAD_FIELDS[name] && !isWeather) {
+                throw new HttpError(400, `Unknown upload field: ${name}`);
+            }
+
+            const parsed = isWeather ? parseFloat(value) : UPLOAD_FIELDS[name](value);
+            if (Number.isNaN(parsed)) {
+                throw new HttpError(400, `Invalid value for ${name}: ${value}`);
+            }
+            if (isWeather) {
+                weather[name] = parsed;
+            } else {
+                params[name] = parsed;
+            }
+        }
+
+        // The file keeps its name, which is saved with the ride and selects the parser
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cycling-upload-'));
+        const filePath = path.join(directory, path.basename(file.filename.replace(/\\/g, '/')) || 'upload');
+
+        try {
+            await fs.writeFile(filePath, file.data);
+            const result = await this.enqueue(async () => {
+                try {
+                    return await this.calculator.calculateCalorieBurn({ ...params, weather, filePath });
+                } catch (error) {
+                    // Only bad options and unreadable files are the client's fault, anything else
+                    // is a 500. InputError is matched by name: index.js requires this module.
+                    throw error.name === 'InputError' ? new HttpError(422, error.message) : error;
+                }
+            });
+
+            const rides = (Array.isArray(result) ? result : [result]).map(toResultJson);
+            const unsaved = rides.find(ride => ride.saveError);
+            if (unsaved) {
+                throw new HttpError(500, `Ride calculated but not saved: ${unsaved.saveError}`);
+            }
+            return { status: rides.some(ride => ride.rideId) ? 201 : 200, body: { rides } };
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * GET /api/rides: newest rides first (?limit=&offset=), or the rides of a date
+     * range (?from=&to=, ISO dates)
+     */
+    async listRides(url) {
+        const limit = url.searchParams.has('limit') ? parseInt(url.searchParams.get('limit')) : DEFAULT_RIDE_LIMIT;
+        const offset = url.searchParams.has('offset') ? parseInt(url.searchParams.get('offset')) : 0;
+        if (!(limit > 0) || limit > MAX_RIDE_LIMIT) {
+            throw new HttpError(400, `Invalid limit: use 1 to ${MAX_RIDE_LIMIT}`);
+        }
+        if (!(offset >= 0)) {
+            throw new HttpError(400, 'Invalid offset: use 0 or more');
+        }
+
+        if (url.searchParams.has('from') || url.searchParams.has('to')) {
+            const from = new Date(url.searchParams.get('from') || 0);
+            const to = url.searchParams.has('to') ? new Date(url.searchParams.get('to')) : new Date();
+            if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+                throw new HttpError(400, 'Invalid date range: use ISO dates, e.g. from=2024-01-01&to=2024-12-31');
+            }
+
+            const rides = await this.database.getRidesByDateRange(from, to, limit, offset);
+            return { body: { rides: rides.map(toRideJson), from: from.toISOString(), to: to.toISOString(), limit, offset } };
+        }
+
+        const rides = await this.database.getAllRides(limit, offset);
+        return { body: { rides: rides.map(toRideJson), limit, offset } };
+    }
+
+    /**
+     * GET /api/rides/:id: a ride with its breakdown, splits, climbs and weather samples
+     */
+    async getRide(id) {
+        const ride = toRideJson(await this.findRide(id));
+        ride.breakdown = await this.database.getRideBreakdown(ride.id);
+        ride.splits = await this.database.getRideSplits(ride.id);
+        ride.climbs = await this.database.getRideClimbs(ride.id);
+        ride.weather = await this.database.getRideWeather(ride.id);
+        ride.track = await this.database.getRideTrack(ride.id);
+        return { body: ride };
+    }
+
+    /**
+     * DELETE /api/rides/:id, queued behind uploads so it never runs inside the
+     * transaction of a ride being saved on the shared connection
+     */
+    async deleteRide(id) {
+        return this.enqueue(async () => {
+            await this.findRide(id);
+            await this.database.deleteRide(parseInt(id));
+            return { body: { deleted: parseInt(id) } };
+        });
+    }
+
+    /**
+     * GET /api/rides/:id/breakdown: calorie breakdown by factor
+     */
+    async getBreakdown(id) {
+        const ride = await this.findRide(id);
+        return {
+            body: {
+                rideId: ride.id,
+                totalCalories: ride.total_calories,
+                estimatedCalories: ride.estimated_calories,
+                breakdown: await this.database.getRideBreakdown(ride.id)
+            }
+        };
+    }
+
+    /**
+     * GET /api/statistics: totals over all rides
+     */
+    async getStatistics() {
+        return { body: await this.database.getRideStatistics() };
+    }
+
+    /**
+     * GET /api/statistics/periods: totals per week or month, newest first
+     * (?period=week|month&limit=12)
+     */
+    async getPeriodTotals(url) {
+        const period = url.searchParams.get('period') || 'week';
+        const limit = url.searchParams.has('limit') ? parseInt(url.searchParams.get('limit')) : DEFAULT_PERIOD_LIMIT;
+        if (!['week', 'month'].includes(period)) {
+            throw new HttpError(400, `Unknown period: ${period}. Use week or month`);
+        }
+        if (!(limit > 0) || limit > MAX_PERIOD_LIMIT) {
+            throw new HttpError(400, `Invalid limit: use 1 to ${MAX_PERIOD_LIMIT}`);
+        }
+
+        return { body: { period, totals: await this.database.getPeriodTotals(period, limit) } };
+    }
+
+    /**
+     * GET /: the dashboard's static files; / is index.html
+     */
+    async serveDashboard(file) {
+        try {
+            const filePath = path.resolve(DASHBOARD_DIRECTORY, decodeURIComponent(file) || 'index.html');
+            // Nothing outside the dashboard directory is served
+            if (!filePath.startsWith(DASHBOARD_DIRECTORY + path.sep)) {
+                throw new Error('Outside the dashboard directory');
+            }
+
+            return {
+                body: await fs.readFile(filePath),
+                contentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+            };
+        } catch (error) {
+            throw new HttpError(404, `Not found: /${file}`);
+        }
+    }
+
+    /**
+     * GET /api/config: every configuration key (?category= to filter), API keys masked
+     */
+    async getConfig(url) {
+        const config = await this.database.getAllConfig(url.searchParams.get('category'));
+        for (const [key, entry] of Object.entries(config)) {
+            entry.value = maskConfigValue(key, entry.value);
+        }
+        return { body: config };
+    }
+
+    /**
+     * PUT /api/config/:key with { "value": ... }: change an existing key, keeping its
+     * type, description and category, and apply it to later calculations
+     */
+    async updateConfig(request, key) {
+        const body = await this.readJson(request);
+        if (!body || typeof body !== 'object' || !('value' in body)) {
+            throw new HttpError(400, 'Expected a JSON body with a "value" field');
+        }
+
+        return this.enqueue(async () => {
+            const entry = (await this.database.getAllConfig())[key];
+            if (!entry) {
+                throw new HttpError(404, `Unknown configuration key: ${key}`);
+            }
+
+            const value = parseConfigValue(body.value, entry.type);
+            await this.database.setConfig(key, value, entry.type, entry.description, entry.category);
+            await this.calculator.reloadDatabaseConfig();
+
+            return { body: { key, value: maskConfigValue(key, value), type: entry.type, category: entry.category } };
+        });
+    }
+}
+
+module.exports = {
+    ApiServer,
+    HttpError,
+    parseMultipart
+};
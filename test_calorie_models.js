@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const CyclingCalorieCalculator = require('./index.js');
+
+// Kilojoules per kilocalorie
+const KJ_PER_KCAL = 4.184;
+
+// Still, mild weather
+const CALM = { windSpeed: 0, windDirection: 0, temperature: 20, humidity: 50, pressure: 1013.25 };
+
+/**
+ * Track heading north from 46°N with one point per second at a constant speed (m/s)
+ * and grade; power and heart rate are recorded on every point when given
+ */
+function track(seconds, { speed = 5, grade = 0, power = null, heartRate = null } = {}) {
+    const metersPerDegree = 6371000 * Math.PI / 180;
+    const start = Date.parse('2024-06-01T08:00:00Z');
+    return Array.from({ length: seconds + 1 }, (_, i) => ({
+        lat: 46 + i * speed / metersPerDegree,
+        lon: 7.5,
+        ele: 500 + i * speed * grade,
+        time: new Date(start + i * 1000),
+        power,
+        heartRate
+    }));
+}
+
+/**
+ * calculateDetailedCalories() for a track of points
+ */
+function calories(calculator, points, { weight = 70, rider = null, model = 'auto', weather = CALM } = {}) {
+    const seconds = (points[points.length - 1].time - points[0].time) / 1000;
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += calculator.calculateDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+    }
+    return calculator.calculateDetailedCalories({
+        weight,
+        distance,
+        duration: seconds / 60,
+        elevationGain: Math.max(0, points[points.length - 1].ele - points[0].ele),
+        averageSpeed: distance / (seconds / 3600),
+        points,
+        weather,
+        rider,
+        model
+    });
+}
+
+/**
+ * Factors of a breakdown add up to the ride total, give or take rounding
+ */
+function assertBreakdownTotal(calculator, calorieData) {
+    const breakdown = calculator.getCalorieBreakdown(calorieData, []);
+    const total = breakdown.reduce((sum, item) => sum + item.calories, 0);
+    assert.ok(Math.abs(total - calorieData.totalCalories) <= breakdown.length,
+        `Breakdown adds up to ${total}, the total is ${calorieData.totalCalories}`);
+    assert.ok(!breakdown.some(item => item.factor === 'Estimated Model'), 'The MET comparison is not a breakdown factor');
+}
+
+/**
+ * Test script checking the calorie models against hand-calculated rides
+ */
+function testCalorieModels() {
+    console.log('🧪 Testing the calorie models\n');
+
+    // Models report the data they are missing; only the checks are shown
+    const warn = console.warn;
+    console.warn = () => {};
+    const calculator = new CyclingCalorieCalculator({ saveToDatabase: false });
+
+    try {
+        console.log('1. Power meter...');
+        // 200 W for an hour is 720 kJ of work, at 24% gross efficiency
+        assert.strictEqual(calculator.calculateMechanicalWork(track(3600, { power: 200 })), 720);
+        const powered = calories(calculator, track(3600, { power: 200 }));
+        assert.strictEqual(powered.model, 'power');
+        assert.strictEqual(powered.totalCalories, Math.round(720 / KJ_PER_KCAL / 0.24));
+        assert.strictEqual(powered.mechanicalWork, 720);
+        assert.ok(powered.estimatedCalories > 0 && powered.estimatedCalories !== powered.totalCalories);
+        assertBreakdownTotal(calculator, powered);
+
+        // Pauses longer than 10 s add no work
+        const paused = track(600, { power: 250 });
+        paused.slice(301).forEach(point => {
+            point.time = new Date(point.time.getTime() + 60000);
+        });
+        assert.strictEqual(calculator.calculateMechanicalWork(paused), 250 * 599 / 1000);
+
+        // Power on fewer than half the points: the MET estimate is used
+        const sparse = track(600, { power: 200 }).map((point, index) => ({ ...point, power: index % 3 === 0 ? 200 : null }));
+        assert.strictEqual(calculator.calculateMechanicalWork(sparse), null);
+        const estimated = calories(calculator, sparse);
+        assert.strictEqual(estimated.model, 'met');
+        assert.strictEqual(estimated.totalCalories, estimated.estimatedCalories);
+        assertBreakdownTotal(calculator, estimated);
+
+        console.log('2. Heart rate (Keytel)...');
+        // Keytel et al. (2005), kJ per minute at 150 bpm for a 70 kg, 30-year-old rider
+        const male = { age: 30, sex: 'male' };
+        const female = { age: 30, sex: 'female' };
+        const maleKilojoules = -55.0969 + 0.6309 * 150 + 0.1988 * 70 + 0.2017 * 30;
+        const femaleKilojoules = -20.4022 + 0.4472 * 150 - 0.1263 * 70 + 0.074 * 30;
+        const hour = track(3600, { heartRate: 150 });
+
+        const maleResult = calculator.calculateHeartRateCalories(hour, male, 70);
+        assert.ok(Math.abs(maleResult.calories - maleKilojoules * 60 / KJ_PER_KCAL) < 0.01);
+        assert.deepStrictEqual(maleResult.inputs, { averageHeartRate: 150, age: 30, sex: 'male', weight: 70 });
+        const femaleResult = calculator.calculateHeartRateCalories(hour, female, 70);
+        assert.ok(Math.abs(femaleResult.calories - femaleKilojoules * 60 / KJ_PER_KCAL) < 0.01);
+
+        // Very low heart rates give no negative energy
+        assert.strictEqual(calculator.calculateHeartRateCalories(track(600, { heartRate: 40 }), male, 70).calories, 0);
+
+        // The model needs the rider's age and sex and heart rate on most points
+        assert.strictEqual(calculator.calculateHeartRateCalories(hour, null, 70), null);
+        assert.strictEqual(calculator.calculateHeartRateCalories(hour, { sex: 'male' }, 70), null);
+        assert.strictEqual(calculator.calculateHeartRateCalories(track(600), male, 70), null);
+
+        const hrRide = calories(calculator, hour, { rider: male });
+        assert.strictEqual(hrRide.model, 'hr');
+        assert.strictEqual(hrRide.totalCalories, Math.round(maleKilojoules * 60 / KJ_PER_KCAL));
+        assertBreakdownTotal(calculator, hrRide);
+        // Power comes first when the ride has both
+        assert.strictEqual(calories(calculator, track(600, { power: 200, heartRate: 150 }), { rider: male }).model, 'power');
+        assert.strictEqual(calories(calculator, track(600, { power: 200, heartRate: 150 }), { rider: male, model: 'hr' }).model, 'hr');
+
+        console.log('3. Physics...');
+        // Defaults: CdA 0.32 m², Crr 0.005, 9 kg bike, 90% of the wind felt at rider height
+        const mass = 70 + 9;
+        const airDensity = 101325 / (287.05 * 293.15);
+        const flat = track(600);
+        let meters = 0;
+        for (let i = 1; i < flat.length; i++) {
+            meters += calculator.calculateDistance(flat[i - 1].lat, flat[i - 1].lon, flat[i].lat, flat[i].lon) * 1000;
+        }
+        const kilojoules = (joules) => joules / 1000;
+
+        const still = calculator.calculatePhysicsWork(flat, 70, CALM);
+        assert.ok(Math.abs(still.components.rolling - kilojoules(0.005 * mass * 9.80665 * meters)) <= 0.1);
+        assert.ok(Math.abs(still.components.aerodynamic - kilojoules(0.5 * airDensity * 0.32 * 25 * meters)) <= 0.1);
+        assert.strictEqual(still.components.gravity, 0);
+        assert.strictEqual(still.components.acceleration, 0);
+        assert.strictEqual(still.airDensity, parseFloat(airDensity.toFixed(3)));
+
+        // 4 m/s from the north is a 3.6 m/s headwind for a rider heading north
+        const headwind = calculator.calculatePhysicsWork(flat, 70, { ...CALM, windSpeed: 4, windDirection: 0 });
+        assert.ok(Math.abs(headwind.components.aerodynamic - kilojoules(0.5 * airDensity * 0.32 * 8.6 * 8.6 * meters)) <= 0.1);
+        const tailwind = calculator.calculatePhysicsWork(flat, 70, { ...CALM, windSpeed: 4, windDirection: 180 });
+        assert.ok(tailwind.components.aerodynamic < still.components.aerodynamic);
+
+        // A 5% climb lifts rider and bike 0.25 m per second
+        const climb = calculator.calculatePhysicsWork(track(600, { grade: 0.05 }), 70, CALM);
+        assert.ok(Math.abs(climb.components.gravity - kilojoules(mass * 9.80665 * 0.25 * 600)) <= 0.5);
+
+        // Coasting down a steep descent takes no work
+        assert.strictEqual(calculator.calculatePhysicsWork(track(600, { grade: -0.1 }), 70, CALM).mechanicalWork, 0);
+        assert.strictEqual(calculator.calculatePhysicsWork(flat.map(point => ({ ...point, time: null })), 70, CALM), null);
+
+        const physics = calories(calculator, track(600, { grade: 0.05 }), { model: 'physics' });
+        assert.strictEqual(physics.model, 'physics');
+        assert.strictEqual(physics.totalCalories, Math.round(physics.mechanicalWork / KJ_PER_KCAL / 0.24));
+        assertBreakdownTotal(calculator, physics);
+        // Only used when asked for
+        assert.strictEqual(calories(calculator, track(600)).model, 'met');
+
+        console.log('\n✅ Calorie model test completed successfully!');
+    } finally {
+        console.warn = warn;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    try {
+        testCalorieModels();
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = testCalorieModels;
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const DemElevation = require('./dem-elevation.js');
+
+// Bytes per value of the TIFF field types used below (ASCII, SHORT, LONG, DOUBLE)
+const TIFF_TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 12: 8 };
+
+/**
+ * SRTM tile: big-endian 16-bit samples, rows from north to south
+ */
+function hgtTile(rows) {
+    const buffer = Buffer.alloc(rows.length * rows.length * 2);
+    rows.flat().forEach((value, index) => buffer.writeInt16BE(value, index * 2));
+    return buffer;
+}
+
+/**
+ * TIFF LZW encoder as libtiff writes it: MSB-first codes growing from 9 to 12 bits
+ * when the next code reaches the current width, and a clear code when the table is full
+ */
+function lzwEncode(data) {
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeLength = 9;
+    const put = (code) => {
+        bitBuffer = (bitBuffer << codeLength) | code;
+        bitCount += codeLength;
+        while (bitCount >= 8) {
+            bytes.push((bitBuffer >>> (bitCount - 8)) & 0xFF);
+            bitCount -= 8;
+        }
+        bitBuffer &= (1 << bitCount) - 1;
+    };
+
+    let table = new Map();
+    let nextCode = 258;
+    let current = data[0];
+    put(256);
+
+    for (let i = 1; i < data.length; i++) {
+        const key = current * 256 + data[i];
+        if (table.has(key)) {
+            current = table.get(key);
+            continue;
+        }
+
+        put(current);
+        current = data[i];
+        table.set(key, nextCode++);
+        if (nextCode === 4094) {
+            put(256);
+            table = new Map();
+            nextCode = 258;
+            codeLength = 9;
+        } else if (nextCode > (1 << codeLength) - 1) {
+            codeLength++;
+        }
+    }
+
+    put(current);
+    if (++nextCode > (1 << codeLength) - 1 && codeLength < 12) {
+        codeLength++;
+    }
+    put(257);
+    if (bitCount > 0) {
+        bytes.push((bitBuffer << (8 - bitCount)) & 0xFF);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Little-endian TIFF with one image: tags are { id: [type, values] }, strips the
+ * (compressed) strip data
+ */
+function tiffFile(tags, strips) {
+    tags = { ...tags, 273: [4, strips.map(() => 0)], 279: [4, strips.map(strip => strip.length)] };
+    const ids = Object.keys(tags).map(Number).sort((a, b) => a - b);
+
+    // Header, directory, values that don't fit in an entry, then the strips
+    let end = 8 + 2 + ids.length * 12 + 4;
+    const entries = ids.map(id => {
+        const [type, values] = tags[id];
+        const size = TIFF_TYPE_SIZES[type] * values.length;
+        const offset = size > 4 ? end : null;
+        if (size > 4) {
+            end += size + (size % 2);
+        }
+        return { id, type, values, offset };
+    });
+    strips.forEach((strip, index) => {
+        tags[273][1][index] = end;
+        end += strip.length;
+    });
+
+    const buffer = Buffer.alloc(end);
+    const writeValues = (type, values, at) => values.forEach((value, index) => {
+        const position = at + index * TIFF_TYPE_SIZES[type];
+        if (type === 2) buffer.writeUInt8(value, position);
+        if (type === 3) buffer.writeUInt16LE(value, position);
+        if (type === 4) buffer.writeUInt32LE(value, position);
+        if (type === 12) buffer.writeDoubleLE(value, position);
+    });
+
+    buffer.write('II', 0, 'ascii');
+    buffer.writeUInt16LE(42, 2);
+    buffer.writeUInt32LE(8, 4);
+    buffer.writeUInt16LE(ids.length, 8);
+    entries.forEach(({ id, type, values, offset }, index) => {
+        const entry = 10 + index * 12;
+        buffer.writeUInt16LE(id, entry);
+        buffer.writeUInt16LE(type, entry + 2);
+        buffer.writeUInt32LE(values.length, entry + 4);
+        if (offset === null) {
+            writeValues(type, values, entry + 8);
+        } else {
+            buffer.writeUInt32LE(offset, entry + 8);
+            writeValues(type, values, offset);
+        }
+    });
+    strips.forEach((strip, index) => strip.copy(buffer, tags[273][1][index]));
+
+    return buffer;
+}
+
+/**
+ * Geographic GeoTIFF of signed 16-bit samples with the top-left sample at (north, west)
+ */
+function geoTiff(rows, { west, north, step, compression = 1, predictor = 1, rowsPerStrip = rows.length, noData = null, modelType = 2 }) {
+    const width = rows[0].length;
+    const strips = [];
+    for (let start = 0; start < rows.length; start += rowsPerStrip) {
+        const stripRows = rows.slice(start, start + rowsPerStrip);
+        const strip = Buffer.alloc(stripRows.length * width * 2);
+        stripRows.forEach((row, r) => row.forEach((value, c) => {
+            // Horizontal differencing stores each sample minus its left neighbour
+            const stored = predictor === 2 && c > 0 ? (value - row[c - 1]) & 0xFFFF : value & 0xFFFF;
+            strip.writeUInt16LE(stored, (r * width + c) * 2);
+        }));
+        strips.push(compression === 5 ? lzwEncode(strip) : compression === 8 ? zlib.deflateSync(strip) : strip);
+    }
+
+    const tags = {
+        256: [3, [width]],
+        257: [3, [rows.length]],
+        258: [3, [16]],
+        259: [3, [compression]],
+        277: [3, [1]],
+        278: [3, [rowsPerStrip]],
+        317: [3, [predictor]],
+        339: [3, [2]],
+        33550: [12, [step, step, 0]],
+        33922: [12, [0, 0, 0, west, north, 0]],
+        // GeoKey directory: model type, raster type 2 (pixel is point)
+        34735: [3, [1, 1, 0, 2, 1024, 0, 1, modelType, 1025, 0, 1, 2]]
+    };
+    if (noData !== null) {
+        tags[42113] = [2, [...Buffer.from(String(noData)), 0]];
+    }
+    return tiffFile(tags, strips);
+}
+
+/**
+ * Test script checking DEM tile lookup: SRTM .hgt and GeoTIFF decoding and interpolation
+ */
+async function testDemElevation() {
+    console.log('🧪 Testing DEM elevation tiles\n');
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dem-test-'));
+
+    try {
+        console.log('1. Tile names and interpolation...');
+        assert.strictEqual(DemElevation.hgtTileName(47.5, 8.2), 'N47E008.hgt');
+        assert.strictEqual(DemElevation.hgtTileName(-33.1, -70.6), 'S34W071.hgt');
+        const grid = [[100, 200], [300, null]];
+        const sample = (r, c) => (grid[r] ? grid[r][c] ?? null : null);
+        assert.strictEqual(DemElevation.interpolate(sample, 0, 0), 100);
+        assert.strictEqual(DemElevation.interpolate(sample, 0, 0.5), 150);
+        // The sample without data is left out and the other weights renormalized
+        assert.strictEqual(DemElevation.interpolate(sample, 0.5, 0.5), 200);
+        assert.strictEqual(DemElevation.interpolate(sample, 1, 1), null);
+
+        console.log('2. SRTM .hgt tiles...');
+        await fs.writeFile(path.join(directory, 'N47E008.hgt'), hgtTile([
+            [100, 200, 300],
+            [400, 500, 600],
+            [700, 800, -32768]
+        ]));
+        const hgt = new DemElevation(directory);
+        assert.strictEqual(await hgt.getElevation(47.5, 8), 400);
+        assert.strictEqual(await hgt.getElevation(47.5, 8.25), 450);
+        assert.strictEqual(await hgt.getElevation(47.75, 8.25), 300);
+        // Next to the void sample: the average of the other three
+        assert.strictEqual(await hgt.getElevation(47.25, 8.75), 633.3);
+        assert.strictEqual(await hgt.getElevation(46.5, 8.5), null);
+
+        await fs.writeFile(path.join(directory, 'N46E008.hgt'), Buffer.alloc(7));
+        await assert.rejects(new DemElevation(directory).getElevation(46.5, 8.5), /Invalid SRTM tile size/);
+        await fs.rm(path.join(directory, 'N46E008.hgt'));
+
+        console.log('3. LZW decoding...');
+        const dem = new DemElevation(directory);
+        let seed = 12345;
+        const random = () => (seed = (seed * 1103515245 + 12345) >>> 0) >>> 24;
+        // A small alphabet builds long strings, enough codes for 12 bits and a table reset
+        for (const data of [Buffer.from('TOBEORNOTTOBEORTOBEORNOT'), Buffer.from(Array.from({ length: 40000 }, () => random() % 16)), Buffer.from(Array.from({ length: 6000 }, random))]) {
+            assert.deepStrictEqual(dem.decodeLzw(lzwEncode(data), data.length), data);
+        }
+
+        console.log('4. GeoTIFF tiles...');
+        const rows = [0, 1, 2].map(r => [0, 1, 2, 3].map(c => 1000 + 100 * r + 10 * c));
+        rows[2][3] = -9999;
+        const variants = [
+            ['uncompressed', {}],
+            ['deflate with predictor', { compression: 8, predictor: 2 }],
+            ['LZW with predictor, one row per strip', { compression: 5, predictor: 2, rowsPerStrip: 1 }]
+        ];
+        for (const [name, options] of variants) {
+            const tiffDirectory = path.join(directory, name.replace(/\W+/g, '-'));
+            await fs.mkdir(tiffDirectory);
+            await fs.writeFile(path.join(tiffDirectory, 'dem.tif'), geoTiff(rows, { west: 8, north: 48, step: 0.5, noData: -9999, ...options }));
+
+            const tiff = new DemElevation(tiffDirectory);
+            assert.strictEqual(await tiff.getElevation(48, 8), 1000, name);
+            assert.strictEqual(await tiff.getElevation(47.5, 9.5), 1130, name);
+            assert.strictEqual(await tiff.getElevation(47.75, 8.25), 1055, name);
+            assert.strictEqual(await tiff.getElevation(47, 9.5), null, name);
+            assert.strictEqual(await tiff.getElevation(46.5, 8.5), null, name);
+        }
+
+        assert.throws(() => dem.readGeoTiff(geoTiff(rows, { west: 8, north: 48, step: 0.5, modelType: 1 })), /Projected GeoTIFFs/);
+        assert.throws(() => dem.readGeoTiff(Buffer.from('GIF89a')), /Not a TIFF file/);
+        await assert.rejects(new DemElevation(path.join(directory, 'missing')).getElevation(10, 10), /DEM directory not found/);
+
+        console.log('\n✅ DEM elevation test completed successfully!');
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testDemElevation().catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = testDemElevation;
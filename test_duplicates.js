@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CyclingCalorieCalculator = require('./index.js');
+
+/**
+ * GPX track heading north at about 18 km/h, one point every 10 seconds; with
+ * timed: false the points have no times (a planned route)
+ */
+function gpxTrack(startTime, { lat = 46, pointCount = 120, timed = true } = {}) {
+    const points = [];
+    for (let i = 0; i < pointCount; i++) {
+        const time = timed ? `<time>${new Date(Date.parse(startTime) + i * 10000).toISOString()}</time>` : '';
+        points.push(`<trkpt lat="${(lat + i * 0.00045).toFixed(6)}" lon="7.5"><ele>${(200 + i).toFixed(1)}</ele>${time}</trkpt>`);
+    }
+    return `<?xml version="1.0"?><gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">` +
+        `<trk><name>Test ride</name><trkseg>${points.join('')}</trkseg></trk></gpx>`;
+}
+
+/**
+ * Test script checking duplicate ride detection and the skip, replace and keep actions
+ */
+async function testDuplicates() {
+    const log = console.log;
+    log('🧪 Testing duplicate ride detection\n');
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'duplicate-test-'));
+    const calculator = new CyclingCalorieCalculator({
+        saveToDatabase: true,
+        databasePath: path.join(directory, 'test.db'),
+        offlineMode: true
+    });
+    const save = async (name, content, params = {}) => {
+        const filePath = path.join(directory, name);
+        await fs.writeFile(filePath, content);
+        return calculator.calculateCalorieBurn({ filePath, weight: 70, ...params });
+    };
+
+    // The calculator reports every step; only this script's output is shown
+    const { warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+
+    try {
+        log('1. Identical files...');
+        const original = await save('morning.gpx', gpxTrack('2024-06-01T08:00:00Z'));
+        assert.ok(original.rideId > 0);
+        assert.strictEqual(original.duplicateOf, undefined);
+
+        // Skipping is the default
+        const again = await save('morning-copy.gpx', gpxTrack('2024-06-01T08:00:00Z'));
+        assert.strictEqual(again.rideId, undefined);
+        assert.strictEqual(again.duplicateOf, original.rideId);
+
+        log('2. The same ride from another device...');
+        // Started 2 minutes later, 50 m further north and 1% shorter: different points, same activity
+        const otherDevice = gpxTrack('2024-06-01T08:02:00Z', { lat: 46.00045, pointCount: 119 });
+        const otherResult = await save('morning-watch.gpx', otherDevice);
+        assert.strictEqual(otherResult.duplicateOf, original.rideId);
+        assert.strictEqual(otherResult.rideId, undefined);
+
+        await calculator.openDatabaseSession();
+        const match = await calculator.database.findDuplicateRide(otherResult);
+        assert.strictEqual(match.match, 'start time, location and distance');
+        assert.strictEqual((await calculator.database.findDuplicateRide(original)).match, 'content hash');
+        await calculator.closeDatabaseSession();
+
+        // Outside the tolerances: 10 minutes later, 1 km away or a quarter shorter
+        for (const [name, content] of [
+            ['later.gpx', gpxTrack('2024-06-01T08:10:00Z')],
+            ['elsewhere.gpx', gpxTrack('2024-06-01T08:00:00Z', { lat: 46.01 })],
+            ['shorter.gpx', gpxTrack('2024-06-01T08:00:00Z', { pointCount: 90 })]
+        ]) {
+            const result = await save(name, content, { onDuplicate: 'skip' });
+            assert.strictEqual(result.duplicateOf, undefined, name);
+            assert.ok(result.rideId > 0, name);
+        }
+
+        log('3. Replace and keep...');
+        const replaced = await save('morning-watch.gpx', otherDevice, { weight: 80, onDuplicate: 'replace' });
+        // Overwritten in place: same ID, new data
+        assert.strictEqual(replaced.rideId, original.rideId);
+        assert.strictEqual(replaced.replacedRideId, original.rideId);
+
+        const kept = await save('morning-copy.gpx', gpxTrack('2024-06-01T08:00:00Z'), { onDuplicate: 'keep' });
+        assert.ok(kept.rideId > original.rideId);
+        assert.strictEqual(kept.duplicateOf, undefined);
+
+        await calculator.openDatabaseSession();
+        const rides = await calculator.database.getAllRides();
+        // The original (replaced), three rides outside the tolerances and the kept copy
+        assert.strictEqual(rides.length, 5);
+        const saved = await calculator.database.getRide(original.rideId);
+        assert.strictEqual(saved.source_filename, 'morning-watch.gpx');
+        assert.strictEqual(saved.rider_weight, 80);
+        await calculator.closeDatabaseSession();
+
+        await assert.rejects(save('morning.gpx', gpxTrack('2024-06-01T08:00:00Z'), { onDuplicate: 'merge' }), /Unknown duplicate action/);
+
+        log('4. Planned routes...');
+        // Without times only identical points count as the same route
+        const route = await save('route.gpx', gpxTrack(null, { lat: 47, timed: false }));
+        assert.ok(route.rideId > 0);
+        assert.strictEqual((await save('route-copy.gpx', gpxTrack(null, { lat: 47, timed: false }))).duplicateOf, route.rideId);
+        const nearby = await save('route-nearby.gpx', gpxTrack(null, { lat: 47.00001, timed: false }));
+        assert.strictEqual(nearby.duplicateOf, undefined);
+        assert.ok(nearby.rideId > 0);
+    } finally {
+        await calculator.closeDatabaseSession();
+        Object.assign(console, { log, warn, error });
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+
+    log('\n✅ Duplicate detection test completed successfully!');
+}
+
+// Run the test
+if (require.main === module) {
+    testDuplicates().catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = testDuplicates;
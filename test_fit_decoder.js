@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const FitDecoder = require('./fit-decoder.js');
+
+// Seconds between the Unix epoch and the FIT epoch
+const FIT_EPOCH_OFFSET = 631065600;
+
+// DataView writers for the base types used below
+const WRITERS = { 0x00: 'setUint8', 0x02: 'setUint8', 0x84: 'setUint16', 0x85: 'setInt32', 0x86: 'setUint32' };
+
+/**
+ * Definition message: fields are [number, size, baseType]
+ */
+function definitionRecord(localType, globalNumber, fields, littleEndian = true) {
+    const buffer = Buffer.alloc(6 + fields.length * 3);
+    buffer[0] = 0x40 | localType;
+    buffer[2] = littleEndian ? 0 : 1;
+    if (littleEndian) {
+        buffer.writeUInt16LE(globalNumber, 3);
+    } else {
+        buffer.writeUInt16BE(globalNumber, 3);
+    }
+    buffer[5] = fields.length;
+    fields.forEach(([number, size, baseType], index) => {
+        buffer[6 + index * 3] = number;
+        buffer[7 + index * 3] = size;
+        buffer[8 + index * 3] = baseType;
+    });
+    return buffer;
+}
+
+/**
+ * Data message with one value per field of its definition
+ */
+function dataRecord(header, fields, values, littleEndian = true) {
+    const buffer = Buffer.alloc(1 + fields.reduce((sum, [, size]) => sum + size, 0));
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    buffer[0] = header;
+    let position = 1;
+    fields.forEach(([, size, baseType], index) => {
+        view[WRITERS[baseType]](position, values[index], littleEndian);
+        position += size;
+    });
+    return buffer;
+}
+
+/**
+ * Complete FIT file: 14-byte header, records and CRC
+ */
+function fitFile(records, { crc = true } = {}) {
+    const data = Buffer.concat(records);
+    const header = Buffer.alloc(14);
+    header[0] = 14;
+    header[1] = 0x10;
+    header.writeUInt16LE(2093, 2);
+    header.writeUInt32LE(data.length, 4);
+    header.write('.FIT', 8, 'ascii');
+
+    const file = Buffer.concat([header, data, Buffer.alloc(2)]);
+    if (crc) {
+        file.writeUInt16LE(FitDecoder.crc(file, 0, file.length - 2), file.length - 2);
+    }
+    return file;
+}
+
+function fitTime(isoDate) {
+    return Date.parse(isoDate) / 1000 - FIT_EPOCH_OFFSET;
+}
+
+/**
+ * Test script checking the FIT decoder against files built in memory
+ */
+function testFitDecoder() {
+    console.log('🧪 Testing the FIT decoder\n');
+
+    console.log('1. Helpers...');
+    assert.strictEqual(FitDecoder.semicirclesToDegrees(Math.pow(2, 30)), 90);
+    assert.strictEqual(FitDecoder.semicirclesToDegrees(-Math.pow(2, 31)), -180);
+    // CRC-16/ARC check value of "123456789"
+    assert.strictEqual(FitDecoder.crc(Buffer.from('123456789'), 0, 9), 0xBB3D);
+    assert.strictEqual(FitDecoder.isFit(fitFile([])), true);
+    assert.strictEqual(FitDecoder.isFit(Buffer.from('<?xml version="1.0"?>')), false);
+
+    console.log('2. Records, laps and sessions...');
+    const start = fitTime('2024-05-01T08:00:30Z');
+    const recordFields = [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84], [3, 1, 0x02], [6, 2, 0x84], [7, 2, 0x84]];
+    const compressedFields = recordFields.slice(1);
+    const lapFields = [[2, 4, 0x86], [7, 4, 0x86], [9, 4, 0x86], [11, 2, 0x84]];
+    const sessionFields = [[253, 4, 0x86], [11, 2, 0x84]];
+    const file = fitFile([
+        definitionRecord(0, 20, recordFields),
+        // Altitude is stored as (m + 500) * 5, speed in mm/s
+        dataRecord(0x00, recordFields, [start, Math.pow(2, 30), -Math.pow(2, 29), (120 + 500) * 5, 150, 8000, 210]),
+        // 0xFF is "no heart rate", 0xFFFF "no power"
+        dataRecord(0x00, recordFields, [start + 1, Math.pow(2, 30), -Math.pow(2, 29), (121 + 500) * 5, 0xFF, 8100, 0xFFFF]),
+        // Compressed timestamps: 5 bits relative to the last full timestamp, wrapping at 32
+        definitionRecord(1, 20, compressedFields),
+        dataRecord(0x80 | (1 << 5) | ((start + 3) & 0x1F), compressedFields, [Math.pow(2, 30), 0, (122 + 500) * 5, 152, 8200, 220]),
+        dataRecord(0x80 | (1 << 5) | ((start + 5) & 0x1F), compressedFields, [Math.pow(2, 30), 0, (123 + 500) * 5, 153, 8300, 230]),
+        // Big-endian lap definition
+        definitionRecord(2, 19, lapFields, false),
+        dataRecord(0x02, lapFields, [start, 5000, 4000, 75], false),
+        definitionRecord(3, 18, sessionFields),
+        dataRecord(0x03, sessionFields, [start + 5, 80])
+    ]);
+
+    const fit = new FitDecoder().decode(file);
+    assert.strictEqual(fit.records.length, 4);
+
+    const [first, second, third, fourth] = fit.records;
+    assert.strictEqual(first.timestamp.toISOString(), '2024-05-01T08:00:30.000Z');
+    assert.strictEqual(FitDecoder.semicirclesToDegrees(first.positionLat), 90);
+    assert.strictEqual(FitDecoder.semicirclesToDegrees(first.positionLong), -45);
+    assert.strictEqual(first.altitude, 120);
+    assert.strictEqual(first.heartRate, 150);
+    assert.strictEqual(first.speed, 8);
+    assert.strictEqual(first.power, 210);
+    assert.strictEqual(second.heartRate, undefined);
+    assert.strictEqual(second.power, undefined);
+
+    // The low 5 bits of start are 30, so start + 3 wraps the 5-bit counter
+    assert.strictEqual(start & 0x1F, 30);
+    assert.strictEqual(third.timestamp.getTime() - first.timestamp.getTime(), 3000);
+    assert.strictEqual(fourth.timestamp.getTime() - first.timestamp.getTime(), 5000);
+    assert.strictEqual(third.altitude, 122);
+
+    assert.strictEqual(fit.laps.length, 1);
+    assert.strictEqual(fit.laps[0].startTime.toISOString(), '2024-05-01T08:00:30.000Z');
+    assert.strictEqual(fit.laps[0].totalElapsedTime, 5);
+    assert.strictEqual(fit.laps[0].totalDistance, 40);
+    assert.strictEqual(fit.laps[0].totalCalories, 75);
+    assert.strictEqual(fit.sessions.length, 1);
+    assert.strictEqual(fit.sessions[0].totalCalories, 80);
+
+    console.log('3. Chained files...');
+    const chained = new FitDecoder().decode(Buffer.concat([file, file]));
+    assert.strictEqual(chained.records.length, 8);
+    assert.strictEqual(chained.laps.length, 2);
+
+    console.log('4. Corrupt files...');
+    const corrupt = Buffer.from(file);
+    corrupt[20] ^= 0xFF;
+    assert.throws(() => new FitDecoder().decode(corrupt), /CRC check failed/);
+    assert.throws(() => new FitDecoder().decode(file.subarray(0, file.length - 10)), /truncated/);
+    assert.throws(() => new FitDecoder().decode(Buffer.from('not a fit file at all')), /Not a FIT file/);
+    assert.throws(
+        () => new FitDecoder().decode(fitFile([dataRecord(0x05, [[3, 1, 0x02]], [150])])),
+        /without definition/
+    );
+
+    // A stored CRC of 0 means the writer didn't compute one
+    const unchecked = fitFile([definitionRecord(0, 20, recordFields), dataRecord(0x00, recordFields, [start, 0, 0, 2500, 150, 8000, 210])], { crc: false });
+    assert.strictEqual(new FitDecoder().decode(unchecked).records.length, 1);
+
+    console.log('\n✅ FIT decoder test completed successfully!');
+}
+
+// Run the test
+if (require.main === module) {
+    try {
+        testFitDecoder();
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = testFitDecoder;
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const { HttpClient, TokenBucket } = require('./http-client.js');
+
+/**
+ * Local server answering each request with the next of the given statuses (the last
+ * one repeats); retry-after is sent with 429 responses
+ */
+async function startServer(statuses, retryAfter = null) {
+    const server = http.createServer((request, response) => {
+        const status = statuses[Math.min(server.hits, statuses.length - 1)];
+        server.hits++;
+        const headers = { 'Content-Type': 'application/json' };
+        if (status === 429 && retryAfter !== null) {
+            headers['Retry-After'] = retryAfter;
+        }
+        response.writeHead(status, headers);
+        response.end(JSON.stringify({ hit: server.hits }));
+    });
+    server.hits = 0;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.address().port}/`;
+    return server;
+}
+
+/**
+ * Test script checking the shared HTTP client: retries, backoff and rate limits
+ */
+async function testHttpClient() {
+    console.log('🧪 Testing the HTTP client\n');
+
+    // Retry warnings are expected below
+    const warn = console.warn;
+    console.warn = () => {};
+    const servers = [];
+
+    try {
+        console.log('1. Rate limit settings and retryable errors...');
+        assert.deepStrictEqual(HttpClient.parseRateLimits('gpxz:1, openweathermap:0.5'), { gpxz: 1, openweathermap: 0.5 });
+        assert.deepStrictEqual(HttpClient.parseRateLimits(''), {});
+        assert.throws(() => HttpClient.parseRateLimits('gpxz'), /Invalid rate limit/);
+        assert.throws(() => HttpClient.parseRateLimits('gpxz:0'), /Invalid rate limit/);
+
+        assert.strictEqual(HttpClient.isRetryable({ response: { status: 429 } }), true);
+        assert.strictEqual(HttpClient.isRetryable({ response: { status: 503 } }), true);
+        assert.strictEqual(HttpClient.isRetryable({ response: { status: 404 } }), false);
+        assert.strictEqual(HttpClient.isRetryable({ code: 'ECONNRESET' }), true);
+        assert.strictEqual(HttpClient.isRetryable(new TypeError('bug')), false);
+
+        console.log('2. Retry delays...');
+        const client = new HttpClient({ retryDelay: 100 });
+        assert.strictEqual(client.retryDelayFor({ response: { headers: { 'retry-after': '2' } } }, 0), 2000);
+        assert.strictEqual(client.retryDelayFor({ response: { headers: { 'retry-after': '120' } } }, 0), 30000);
+        const dateDelay = client.retryDelayFor({ response: { headers: { 'retry-after': new Date(Date.now() + 5000).toUTCString() } } }, 0);
+        assert.ok(dateDelay > 3000 && dateDelay <= 5000, `Retry-After date gave ${dateDelay} ms`);
+        // Backoff doubles on every attempt, plus up to one retryDelay of jitter
+        for (const [attempt, minimum] of [[0, 100], [1, 200], [3, 800]]) {
+            const delay = client.retryDelayFor({}, attempt);
+            assert.ok(delay >= minimum && delay < minimum + 100, `Attempt ${attempt} waited ${delay} ms`);
+        }
+
+        console.log('3. Retried requests...');
+        const flaky = await startServer([503, 503, 200]);
+        servers.push(flaky);
+        const retrying = new HttpClient({ retryDelay: 1 });
+        const response = await retrying.get('test', flaky.url);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(flaky.hits, 3);
+        assert.deepStrictEqual(retrying.getSummary(), [{ name: 'test', requests: 1, retries: 2, failures: 0, rateLimitWait: 0 }]);
+
+        const failing = await startServer([500]);
+        servers.push(failing);
+        const limited = new HttpClient({ retries: 2, retryDelay: 1 });
+        await assert.rejects(limited.get('test', failing.url), error => error.response.status === 500);
+        assert.strictEqual(failing.hits, 3);
+        assert.strictEqual(limited.getStats('test').failures, 1);
+
+        const missing = await startServer([404]);
+        servers.push(missing);
+        await assert.rejects(new HttpClient({ retryDelay: 1 }).get('test', missing.url), error => error.response.status === 404);
+        assert.strictEqual(missing.hits, 1);
+
+        const throttled = await startServer([429, 200], '0');
+        servers.push(throttled);
+        assert.strictEqual((await new HttpClient({ retryDelay: 5000 }).get('test', throttled.url)).status, 200);
+        assert.strictEqual(throttled.hits, 2);
+
+        // A port nobody listens on refuses the connection, which is retried too
+        const closed = await startServer([200]);
+        const closedUrl = closed.url;
+        await new Promise(resolve => closed.close(resolve));
+        const refused = new HttpClient({ retries: 1, retryDelay: 1 });
+        await assert.rejects(refused.get('test', closedUrl), error => error.code === 'ECONNREFUSED');
+        assert.strictEqual(refused.getStats('test').retries, 1);
+
+        await assert.rejects(new HttpClient({ offline: true }).get('test', flaky.url), /Offline mode: test request not sent/);
+        assert.strictEqual(flaky.hits, 3);
+
+        console.log('4. Token bucket rate limits...');
+        const bucket = new TokenBucket(20, 1);
+        const startedAt = Date.now();
+        const order = [];
+        const waits = await Promise.all([0, 1, 2, 3, 4].map(index => bucket.take().then(waited => {
+            order.push(index);
+            return waited;
+        })));
+        const elapsed = Date.now() - startedAt;
+        assert.deepStrictEqual(order, [0, 1, 2, 3, 4]);
+        assert.strictEqual(waits[0], 0);
+        // Four more tokens at 20 per second take about 200 ms
+        assert.ok(elapsed >= 180 && elapsed < 1000, `Five requests at 20/s took ${elapsed} ms`);
+
+        // A client's bucket holds one second of requests, the third of three at 2/s waits
+        const rateLimited = new HttpClient({ rateLimits: { test: 2 } });
+        await Promise.all([0, 1, 2].map(() => rateLimited.get('test', flaky.url)));
+        assert.ok(rateLimited.getStats('test').rateLimitWait >= 400, 'Rate limit waits are recorded');
+
+        console.log('\n✅ HTTP client test completed successfully!');
+    } finally {
+        console.warn = warn;
+        await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testHttpClient().catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = testHttpClient;
@@ -49,7 +49,7 @@ async function testNewArguments() {
         
         console.log('\nScenario 2: New format - GPX file with rider ID');
         console.log('Command: node index.js ./test_ride.gpx --rider-id john');
-        console.log('Expected: Use default weight (75kg) with rider ID tracking');
+        console.log('Expected: Use weight from rider profile "john" and link the ride to it');
         
         console.log('\nScenario 3: Legacy format - Weight and GPX file');
         console.log('Command: node index.js 80 ./test_ride.gpx');
@@ -73,7 +73,7 @@ async function testNewArguments() {
         console.log('\n✅ All tests completed successfully!');
         console.log('\n💡 Usage examples:');
         console.log('  node index.js ride.gpx                    # Uses database default weight');
-        console.log('  node index.js ride.gpx --rider-id alice   # Uses database default weight with rider tracking');
+        console.log('  node index.js ride.gpx --rider-id alice   # Uses the rider profile weight');
         console.log('  node index.js 65 ride.gpx                # Legacy format, uses specified weight');
         console.log('  node manage-weather-api.js set -k "your-api-key"  # Set weather API key');
         console.log('  ./manage-config.sh set -k "default_rider_weight" -v 72 -t number  # Set default weight');
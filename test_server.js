@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ApiServer, HttpError, parseMultipart } = require('./server.js');
+
+/**
+ * GPX track heading north at about 18 km/h, one point every 10 seconds
+ */
+function gpxTrack(startTime, pointCount = 120) {
+    const points = [];
+    for (let i = 0; i < pointCount; i++) {
+        const time = new Date(Date.parse(startTime) + i * 10000).toISOString();
+        const elevation = 200 + 30 * Math.sin(i / 20);
+        points.push(`<trkpt lat="${(46 + i * 0.00045).toFixed(6)}" lon="7.5"><ele>${elevation.toFixed(1)}</ele><time>${time}</time></trkpt>`);
+    }
+    return `<?xml version="1.0"?><gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">` +
+        `<trk><name>Test ride</name><trkseg>${points.join('')}</trkseg></trk></gpx>`;
+}
+
+/**
+ * multipart/form-data body from [name, value] and [name, data, filename] parts
+ */
+function multipartBody(boundary, parts) {
+    return Buffer.concat([
+        ...parts.map(([name, value, filename]) => Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"` +
+                (filename ? `; filename="${filename}"\r\nContent-Type: application/octet-stream` : '') + '\r\n\r\n'),
+            Buffer.from(value),
+            Buffer.from('\r\n')
+        ])),
+        Buffer.from(`--${boundary}--\r\n`)
+    ]);
+}
+
+/**
+ * Test script checking the multipart parser and the REST API on a temporary database
+ */
+async function testServer() {
+    const log = console.log;
+    log('🧪 Testing the REST API\n');
+
+    log('1. Multipart parsing...');
+    // File content with CRLFs and a near-boundary line must come through unchanged
+    const binary = Buffer.from([0, 1, 2, 13, 10, 45, 45, 13, 10, 255, 254]);
+    const boundary = 'test-boundary';
+    const parts = parseMultipart(multipartBody(boundary, [['weight', '72.5'], ['file', binary, 'ride.fit']]), boundary);
+    assert.strictEqual(parts.length, 2);
+    assert.deepStrictEqual(parts[0], { name: 'weight', filename: null, contentType: null, data: Buffer.from('72.5') });
+    assert.strictEqual(parts[1].name, 'file');
+    assert.strictEqual(parts[1].filename, 'ride.fit');
+    assert.strictEqual(parts[1].contentType, 'application/octet-stream');
+    assert.deepStrictEqual(Buffer.from(parts[1].data), binary);
+    assert.deepStrictEqual(parseMultipart(Buffer.from(`--${boundary}--\r\n`), boundary), []);
+    assert.throws(() => parseMultipart(Buffer.from('no delimiter here'), boundary), error => error instanceof HttpError && error.status === 400);
+    assert.throws(
+        () => parseMultipart(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="a"\r\n\r\nvalue`), boundary),
+        /part is not terminated/
+    );
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'api-test-'));
+    const CyclingCalorieCalculator = require('./index.js');
+    const calculator = new CyclingCalorieCalculator({
+        saveToDatabase: true,
+        databasePath: path.join(directory, 'test.db'),
+        offlineMode: true
+    });
+    const server = new ApiServer(calculator);
+
+    // The calculator and server report every step; only this script's output is shown
+    const { warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+
+    try {
+        const { port } = await server.start(0, '127.0.0.1');
+        const api = async (method, url, body = null) => {
+            const response = await fetch(`http://127.0.0.1:${port}${url}`, { method, body });
+            return { status: response.status, body: await response.json() };
+        };
+        const upload = (fields, content, filename = 'ride.gpx') => {
+            const form = new FormData();
+            form.append('file', new Blob([content]), filename);
+            for (const [name, value] of Object.entries(fields)) {
+                form.append(name, value);
+            }
+            return api('POST', '/api/rides', form);
+        };
+
+        log('2. Uploads...');
+        const first = await upload({ weight: '72.5' }, gpxTrack('2024-06-01T08:00:00Z'));
+        assert.strictEqual(first.status, 201);
+        const rideId = first.body.rides[0].rideId;
+        assert.ok(rideId > 0);
+        assert.strictEqual(first.body.rides[0].weight, 72.5);
+
+        const duplicate = await upload({ weight: '72.5' }, gpxTrack('2024-06-01T08:00:00Z'));
+        assert.strictEqual(duplicate.status, 200);
+        assert.strictEqual(duplicate.body.rides[0].rideId, null);
+        assert.strictEqual(duplicate.body.rides[0].duplicateOf, rideId);
+
+        for (const weight of ['-5', '0', 'abc', 'Infinity']) {
+            assert.strictEqual((await upload({ weight }, gpxTrack('2024-06-02T08:00:00Z'))).status, 400, `weight ${weight}`);
+        }
+        assert.strictEqual((await upload({ colour: 'red' }, gpxTrack('2024-06-02T08:00:00Z'))).status, 400);
+        assert.strictEqual((await upload({ model: 'guess' }, gpxTrack('2024-06-02T08:00:00Z'))).status, 422);
+        assert.strictEqual((await upload({}, 'not an activity', 'notes.txt')).status, 422);
+        assert.strictEqual((await api('POST', '/api/rides', 'plain text')).status, 415);
+
+        // A failed save is a server error, not a skipped duplicate
+        const saveRide = calculator.database.saveRide;
+        calculator.database.saveRide = async () => {
+            throw new Error('disk full');
+        };
+        const unsaved = await upload({}, gpxTrack('2024-06-03T08:00:00Z'));
+        calculator.database.saveRide = saveRide;
+        assert.strictEqual(unsaved.status, 500);
+        assert.match(unsaved.body.error, /disk full/);
+
+        // Errors other than bad input aren't blamed on the client either
+        const getRouteWeather = calculator.getRouteWeather;
+        calculator.getRouteWeather = async () => {
+            throw new TypeError('weather is broken');
+        };
+        const broken = await upload({}, gpxTrack('2024-06-03T08:00:00Z'));
+        calculator.getRouteWeather = getRouteWeather;
+        assert.strictEqual(broken.status, 500);
+
+        log('3. Ride listings and breakdowns...');
+        for (const day of ['04', '05', '06', '07']) {
+            assert.strictEqual((await upload({}, gpxTrack(`2024-06-${day}T08:00:00Z`))).status, 201);
+        }
+        const pages = [];
+        for (const offset of [0, 2, 4]) {
+            const page = await api('GET', `/api/rides?from=2024-06-01&to=2024-06-30&limit=2&offset=${offset}`);
+            assert.strictEqual(page.status, 200);
+            assert.strictEqual(page.body.offset, offset);
+            pages.push(...page.body.rides.map(ride => ride.id));
+        }
+        assert.strictEqual(pages.length, 5);
+        assert.strictEqual(new Set(pages).size, 5);
+        assert.strictEqual((await api('GET', '/api/rides?limit=0')).status, 400);
+
+        const breakdown = await api('GET', `/api/rides/${rideId}/breakdown`);
+        const factorTotal = breakdown.body.breakdown.reduce((sum, item) => sum + item.calories, 0);
+        assert.ok(Math.abs(factorTotal - breakdown.body.totalCalories) <= breakdown.body.breakdown.length, 'Breakdown adds up to the total');
+
+        log('4. Deleting rides...');
+        assert.strictEqual((await api('DELETE', `/api/rides/${rideId}`)).status, 200);
+        assert.strictEqual((await api('DELETE', `/api/rides/${rideId}`)).status, 404);
+        assert.strictEqual((await api('GET', `/api/rides/${rideId}`)).status, 404);
+        assert.strictEqual((await api('PATCH', '/api/rides')).status, 405);
+        assert.strictEqual((await api('GET', '/api/unknown')).status, 404);
+    } finally {
+        await server.stop();
+        Object.assign(console, { log, warn, error });
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+
+    log('\n✅ REST API test completed successfully!');
+}
+
+// Run the test
+if (require.main === module) {
+    testServer().catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = testServer;
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const CyclingCalorieCalculator = require('./index.js');
+const { InputError } = CyclingCalorieCalculator;
+
+// Still, mild weather
+const CALM = { windSpeed: 0, windDirection: 0, temperature: 20, humidity: 50, pressure: 1013.25 };
+
+const START = Date.parse('2024-06-01T08:00:00Z');
+
+/**
+ * Ride heading north from 46°N at 5 m/s with one point per second; sections are
+ * [seconds, grade] and follow each other
+ */
+function ride(sections) {
+    const metersPerDegree = 6371000 * Math.PI / 180;
+    const points = [];
+    let elevation = 500;
+    for (const [seconds, grade] of sections) {
+        for (let i = 0; i < seconds; i++) {
+            const index = points.length;
+            points.push({ lat: 46 + index * 5 / metersPerDegree, lon: 7.5, ele: elevation, time: new Date(START + index * 1000) });
+            elevation += 5 * grade;
+        }
+    }
+    return { points, laps: [] };
+}
+
+/**
+ * calculateDetailedCalories() for the whole ride
+ */
+function rideCalories(calculator, gpxData) {
+    const points = gpxData.points;
+    const seconds = (points[points.length - 1].time - points[0].time) / 1000;
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += calculator.calculateDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+    }
+    return calculator.calculateDetailedCalories({
+        weight: 70,
+        distance,
+        duration: seconds / 60,
+        elevationGain: calculator.calculateElevationStats(points).elevationGain,
+        averageSpeed: distance / (seconds / 3600),
+        points,
+        weather: CALM,
+        rider: null,
+        model: 'auto'
+    });
+}
+
+function sum(items, field) {
+    return items.reduce((total, item) => total + item[field], 0);
+}
+
+/**
+ * Test script checking splits and climb detection against a ride with a known profile
+ */
+function testSplitsAndClimbs() {
+    console.log('🧪 Testing splits and climbs\n');
+
+    // Models report the data they are missing; only the checks are shown
+    const warn = console.warn;
+    console.warn = () => {};
+    const calculator = new CyclingCalorieCalculator({ saveToDatabase: false });
+
+    try {
+        // 1.5 km flat, 2 km at 6%, 1.5 km flat, 1 km at -5% and 1.5 km flat: 7.5 km in 25 minutes
+        const hilly = ride([[300, 0], [400, 0.06], [300, 0], [200, -0.05], [300, 0]]);
+        const calorieData = rideCalories(calculator, hilly);
+        const options = { weight: 70, rider: null, weather: CALM };
+
+        console.log('1. Distance splits...');
+        const kilometers = calculator.calculateSplits(hilly, calorieData, { ...options, interval: '1km' });
+        assert.deepStrictEqual(kilometers.map(split => split.split), [1, 2, 3, 4, 5, 6, 7, 8]);
+        // A split can end a point (5 m) late, when the running distance falls just short of a kilometer
+        kilometers.slice(0, -1).forEach(split => {
+            assert.ok(Math.abs(split.distance - 1) <= 0.015, `Split ${split.split} is ${split.distance} km`);
+            assert.strictEqual(split.averageSpeed, 18);
+        });
+        assert.ok(Math.abs(kilometers[7].distance - 0.5) <= 0.015);
+        assert.ok(Math.abs(sum(kilometers, 'distance') - 7.5) <= 0.02);
+        // The climb is in splits 2 to 4 and the descent in split 6
+        assert.strictEqual(kilometers[0].elevationGain, 0);
+        assert.ok(kilometers[2].calories > kilometers[0].calories * 5, 'Climbing splits burn more');
+        assert.ok(kilometers[5].elevationLoss > 40);
+        // Splits are scaled to the ride total, give or take rounding
+        assert.ok(Math.abs(sum(kilometers, 'calories') - calorieData.totalCalories) <= kilometers.length);
+
+        const fives = calculator.calculateSplits(hilly, calorieData, { ...options, interval: '5km' });
+        assert.strictEqual(fives.length, 2);
+        const miles = calculator.calculateSplits(hilly, calorieData, { ...options, interval: 'mile' });
+        assert.strictEqual(miles.length, 5);
+        assert.ok(Math.abs(miles[0].distance - 1.61) <= 0.015);
+
+        console.log('2. Lap splits...');
+        hilly.laps = [
+            // Laps starting with the ride or before it don't add a split
+            { startTime: new Date(START - 60000) },
+            { startTime: new Date(START + 300000) },
+            { startTime: new Date(START + 700000) },
+            { startTime: null }
+        ];
+        const laps = calculator.calculateSplits(hilly, calorieData, { ...options, interval: 'lap' });
+        assert.deepStrictEqual(laps.map(split => split.distance), [1.5, 2, 3.99]);
+        assert.strictEqual(laps[1].duration, 6.7);
+        assert.ok(Math.abs(sum(laps, 'calories') - calorieData.totalCalories) <= laps.length);
+
+        // Without laps the whole ride is one split
+        hilly.laps = [];
+        const single = calculator.calculateSplits(hilly, calorieData, { ...options, interval: 'lap' });
+        assert.strictEqual(single.length, 1);
+        assert.strictEqual(single[0].calories, calorieData.totalCalories);
+
+        assert.deepStrictEqual(calculator.calculateSplits(hilly, calorieData, { ...options, interval: 'none' }), []);
+        assert.throws(
+            () => calculator.calculateSplits(hilly, calorieData, { ...options, interval: '10km' }),
+            error => error instanceof InputError && /Unknown split interval/.test(error.message)
+        );
+
+        console.log('3. Climbs...');
+        // 2 km at 6% scores about 12000: Cat 4. The descent and flat sections aren't climbs
+        const climbs = calculator.detectClimbs(hilly, calorieData, options);
+        assert.strictEqual(climbs.length, 1);
+        const [climb] = climbs;
+        assert.strictEqual(climb.climb, 1);
+        assert.strictEqual(climb.category, 'Cat 4');
+        // Smoothing rounds off the foot and the top a little
+        assert.ok(climb.startDistance >= 1.45 && climb.startDistance <= 1.65, `Climb starts at km ${climb.startDistance}`);
+        assert.ok(climb.length >= 1.8 && climb.length <= 2, `Climb is ${climb.length} km`);
+        assert.ok(climb.elevationGain >= 105 && climb.elevationGain <= 120, `Climb gains ${climb.elevationGain} m`);
+        assert.ok(Math.abs(climb.averageGradient - 6) <= 0.3);
+        assert.ok(climb.maxGradient >= climb.averageGradient);
+        // The score is length in meters times average gradient, from the unrounded values
+        assert.ok(Math.abs(climb.score - climb.length * 1000 * climb.averageGradient) <= climb.score * 0.02);
+        assert.ok(Math.abs(climb.duration - climb.length * 1000 / 5 / 60) <= 0.2);
+        // Most of the ride's energy goes into the climb
+        assert.ok(climb.calories > calorieData.totalCalories / 2 && climb.calories < calorieData.totalCalories);
+
+        // Each climb is a breakdown row and the model's rows cover the rest of the ride
+        const breakdown = calculator.getCalorieBreakdown(calorieData, climbs);
+        const climbRow = breakdown.find(item => item.factor === 'Climb 1 (Cat 4)');
+        assert.strictEqual(climbRow.calories, climb.calories);
+        assert.ok(Math.abs(sum(breakdown, 'calories') - calorieData.totalCalories) <= breakdown.length,
+            'Breakdown with climbs adds up to the total');
+
+        // A short ramp is too small to categorise, and a flat ride has no climbs
+        const ramp = ride([[300, 0], [100, 0.06], [300, 0]]);
+        assert.deepStrictEqual(calculator.detectClimbs(ramp, rideCalories(calculator, ramp), options), []);
+        const flat = ride([[600, 0]]);
+        assert.deepStrictEqual(calculator.detectClimbs(flat, rideCalories(calculator, flat), options), []);
+
+        console.log('\n✅ Splits and climbs test completed successfully!');
+    } finally {
+        console.warn = warn;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    try {
+        testSplitsAndClimbs();
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = testSplitsAndClimbs;
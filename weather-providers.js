@@ -0,0 +1,340 @@
+// cycling-calorie-calculator/weather-providers.js
+// Weather service adapters that return conditions in one common shape
+
+const { HttpClient } = require('./http-client');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Kilometers per hour in one meter per second
+const KMH_PER_MS = 3.6;
+
+/**
+ * Base class for weather providers. Subclasses implement getCurrent() and
+ * getHistorical() and return { windSpeed (m/s), windDirection (degrees),
+ * humidity (%), temperature (°C), pressure (hPa) }.
+ */
+class WeatherProvider {
+    /**
+     * @param {Object} options - { apiKey, timeout (ms), baseUrl, http (shared HttpClient) }
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.timeout = options.timeout || 10000;
+        this.baseUrl = options.baseUrl || this.constructor.defaultBaseUrl;
+        this.http = options.http || new HttpClient();
+    }
+
+    /**
+     * Rides older than this (ms) use historical data instead of current conditions
+     */
+    get historicalAfter() {
+        return HOUR;
+    }
+
+    /**
+     * Get the weather for a position, historical when the ride is old enough
+     * @returns {Object} { windSpeed, windDirection, humidity, temperature, pressure, source, date, provider }
+     */
+    async getWeather(lat, lon, rideDate = null) {
+        if (rideDate && rideDate < new Date(Date.now() - this.historicalAfter)) {
+            console.log(`🕒 Fetching historical weather data from ${this.constructor.label}...`);
+            return this.normalize(await this.getHistorical(lat, lon, rideDate), 'historical', rideDate.toDateString());
+        }
+
+        console.log(`🌐 Fetching current/recent weather data from ${this.constructor.label}...`);
+        return this.normalize(await this.getCurrent(lat, lon), 'current', rideDate ? rideDate.toDateString() : 'current');
+    }
+
+    /**
+     * Fill in missing values and label the conditions with their source
+     */
+    normalize(conditions, source, date) {
+        return {
+            windSpeed: conditions.windSpeed ?? 0,
+            windDirection: conditions.windDirection ?? 0,
+            humidity: conditions.humidity ?? 50,
+            temperature: conditions.temperature ?? 20,
+            pressure: conditions.pressure ?? 1013,
+            source,
+            date,
+            provider: this.constructor.id
+        };
+    }
+
+    /**
+     * GET a provider endpoint and return the response body
+     */
+    async request(url, params) {
+        const response = await this.http.get(this.constructor.id, url, { params, timeout: this.timeout });
+        return response.data;
+    }
+
+    /**
+     * Pick the observation closest in time to a date
+     * @param {Array} observations - Hourly observations
+     * @param {Function} getTime - observation => epoch milliseconds
+     */
+    static closest(observations, date, getTime) {
+        if (!observations || observations.length === 0) {
+            throw new Error('No observations returned for the ride time');
+        }
+        return observations.reduce((best, observation) =>
+            Math.abs(getTime(observation) - date) < Math.abs(getTime(best) - date) ? observation : best);
+    }
+}
+
+/**
+ * OpenWeatherMap: current weather API 2.5 and One Call API 3.0 timemachine
+ */
+class OpenWeatherMapProvider extends WeatherProvider {
+    static id = 'openweathermap';
+    static label = 'OpenWeatherMap';
+    static defaultBaseUrl = 'https://api.openweathermap.org/data/2.5';
+
+    /**
+     * @param {Object} options - { apiKey, timeout, baseUrl, currentUrl, historicalUrl }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.currentUrl = options.currentUrl || `${this.baseUrl}/weather`;
+        this.historicalUrl = options.historicalUrl || `${this.baseUrl.replace('/data/2.5', '/data/3.0')}/onecall/timemachine`;
+    }
+
+    /**
+     * Historical data needs a paid One Call subscription, so recent rides use current weather
+     */
+    get historicalAfter() {
+        return 5 * DAY;
+    }
+
+    async getWeather(lat, lon, rideDate = null) {
+        try {
+            return await super.getWeather(lat, lon, rideDate);
+        } catch (error) {
+            if (!rideDate || error.response?.status !== 401) {
+                throw error;
+            }
+
+            // The free plan has no historical access
+            console.warn('⚠️  Historical weather requires paid API plan, using current weather as fallback');
+            return this.normalize(await this.getCurrent(lat, lon), 'current_fallback', 'current (historical unavailable)');
+        }
+    }
+
+    async getCurrent(lat, lon) {
+        const data = await this.request(this.currentUrl, {
+            lat,
+            lon,
+            appid: this.apiKey,
+            units: 'metric'
+        });
+
+        return {
+            windSpeed: data.wind?.speed,
+            windDirection: data.wind?.deg,
+            humidity: data.main?.humidity,
+            temperature: data.main?.temp,
+            pressure: data.main?.pressure
+        };
+    }
+
+    async getHistorical(lat, lon, rideDate) {
+        const data = await this.request(this.historicalUrl, {
+            lat,
+            lon,
+            dt: Math.floor(rideDate.getTime() / 1000),
+            appid: this.apiKey,
+            units: 'metric'
+        });
+        const historical = data.data[0];
+
+        return {
+            windSpeed: historical.wind_speed,
+            windDirection: historical.wind_deg,
+            humidity: historical.humidity,
+            temperature: historical.temp,
+            pressure: historical.pressure
+        };
+    }
+}
+
+/**
+ * WeatherAPI.com: current.json and hourly history.json
+ */
+class WeatherApiProvider extends WeatherProvider {
+    static id = 'weatherapi';
+    static label = 'WeatherAPI';
+    static defaultBaseUrl = 'https://api.weatherapi.com/v1';
+
+    static toConditions(data) {
+        return {
+            windSpeed: data.wind_kph !== undefined ? data.wind_kph / KMH_PER_MS : undefined,
+            windDirection: data.wind_degree,
+            humidity: data.humidity,
+            temperature: data.temp_c,
+            pressure: data.pressure_mb
+        };
+    }
+
+    async getCurrent(lat, lon) {
+        const data = await this.request(`${this.baseUrl}/current.json`, {
+            key: this.apiKey,
+            q: `${lat},${lon}`
+        });
+        return WeatherApiProvider.toConditions(data.current);
+    }
+
+    async getHistorical(lat, lon, rideDate) {
+        const data = await this.request(`${this.baseUrl}/history.json`, {
+            key: this.apiKey,
+            q: `${lat},${lon}`,
+            unixdt: Math.floor(rideDate.getTime() / 1000)
+        });
+        const hours = data.forecast?.forecastday?.[0]?.hour;
+        const hour = WeatherProvider.closest(hours, rideDate.getTime(), h => h.time_epoch * 1000);
+        return WeatherApiProvider.toConditions(hour);
+    }
+}
+
+/**
+ * AccuWeather: current conditions by location key; history only covers the last 24 hours
+ */
+class AccuWeatherProvider extends WeatherProvider {
+    static id = 'accuweather';
+    static label = 'AccuWeather';
+    static defaultBaseUrl = 'https://dataservice.accuweather.com';
+
+    constructor(options = {}) {
+        super(options);
+        // Location keys by rounded position, so each ride needs one lookup at most
+        this.locationKeys = new Map();
+    }
+
+    static toConditions(data) {
+        return {
+            windSpeed: data.Wind?.Speed?.Metric?.Value !== undefined ? data.Wind.Speed.Metric.Value / KMH_PER_MS : undefined,
+            windDirection: data.Wind?.Direction?.Degrees,
+            humidity: data.RelativeHumidity,
+            temperature: data.Temperature?.Metric?.Value,
+            pressure: data.Pressure?.Metric?.Value
+        };
+    }
+
+    async getLocationKey(lat, lon) {
+        const position = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+        if (!this.locationKeys.has(position)) {
+            const data = await this.request(`${this.baseUrl}/locations/v1/cities/geoposition/search`, {
+                apikey: this.apiKey,
+                q: `${lat},${lon}`
+            });
+            if (!data || !data.Key) {
+                throw new Error(`No AccuWeather location found for ${position}`);
+            }
+            this.locationKeys.set(position, data.Key);
+        }
+        return this.locationKeys.get(position);
+    }
+
+    async getCurrent(lat, lon) {
+        const locationKey = await this.getLocationKey(lat, lon);
+        const data = await this.request(`${this.baseUrl}/currentconditions/v1/${locationKey}`, {
+            apikey: this.apiKey,
+            details: true
+        });
+        return AccuWeatherProvider.toConditions(data[0]);
+    }
+
+    async getHistorical(lat, lon, rideDate) {
+        if (rideDate < new Date(Date.now() - DAY)) {
+            throw new Error('AccuWeather only provides observations from the last 24 hours');
+        }
+
+        const locationKey = await this.getLocationKey(lat, lon);
+        const data = await this.request(`${this.baseUrl}/currentconditions/v1/${locationKey}/historical/24`, {
+            apikey: this.apiKey,
+            details: true
+        });
+        const observation = WeatherProvider.closest(data, rideDate.getTime(), o => o.EpochTime * 1000);
+        return AccuWeatherProvider.toConditions(observation);
+    }
+}
+
+/**
+ * Visual Crossing: Timeline API for current conditions and hourly history
+ */
+class VisualCrossingProvider extends WeatherProvider {
+    static id = 'visualcrossing';
+    static label = 'Visual Crossing';
+    static defaultBaseUrl = 'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline';
+
+    static toConditions(data) {
+        return {
+            windSpeed: data.windspeed !== undefined && data.windspeed !== null ? data.windspeed / KMH_PER_MS : undefined,
+            windDirection: data.winddir,
+            humidity: data.humidity,
+            temperature: data.temp,
+            pressure: data.pressure
+        };
+    }
+
+    async getCurrent(lat, lon) {
+        const data = await this.request(`${this.baseUrl}/${lat},${lon}`, {
+            key: this.apiKey,
+            unitGroup: 'metric',
+            include: 'current'
+        });
+        return VisualCrossingProvider.toConditions(data.currentConditions);
+    }
+
+    async getHistorical(lat, lon, rideDate) {
+        const data = await this.request(`${this.baseUrl}/${lat},${lon}/${Math.floor(rideDate.getTime() / 1000)}`, {
+            key: this.apiKey,
+            unitGroup: 'metric',
+            include: 'hours'
+        });
+        const day = data.days?.[0];
+        if (!day) {
+            throw new Error('No Visual Crossing data returned for the ride date');
+        }
+        const hour = day.hours && day.hours.length > 0
+            ? WeatherProvider.closest(day.hours, rideDate.getTime(), h => h.datetimeEpoch * 1000)
+            : day;
+        return VisualCrossingProvider.toConditions(hour);
+    }
+}
+
+// Available providers by the name used in the weather_provider configuration key
+const WEATHER_PROVIDERS = {
+    [OpenWeatherMapProvider.id]: OpenWeatherMapProvider,
+    [WeatherApiProvider.id]: WeatherApiProvider,
+    [AccuWeatherProvider.id]: AccuWeatherProvider,
+    [VisualCrossingProvider.id]: VisualCrossingProvider
+};
+
+/**
+ * Configuration key holding a provider's API key; OpenWeatherMap keeps the original weather_api_key
+ */
+function weatherApiKeySetting(name) {
+    return name === OpenWeatherMapProvider.id ? 'weather_api_key' : `weather_api_key_${name}`;
+}
+
+/**
+ * Create a weather provider by name
+ * @param {string} name - openweathermap, weatherapi, accuweather or visualcrossing
+ * @param {Object} options - { apiKey, timeout, baseUrl, http }
+ */
+function createWeatherProvider(name, options = {}) {
+    const Provider = WEATHER_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown weather provider: ${name}. Use ${Object.keys(WEATHER_PROVIDERS).join(', ')}`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    WeatherProvider,
+    WEATHER_PROVIDERS,
+    createWeatherProvider,
+    weatherApiKeySetting
+};